@@ -3,27 +3,161 @@
  * 自律的に行動する買い物客の実装
  */
 
+/**
+ * 買い物客の状態と遷移（StateMachineの定義、ownerはCustomerAgent）
+ * entering → shopping → queuing → purchasing → leaving → removed
+ * 何も買えなかった客はshoppingからleavingへ進み、どの状態からも撤去（removed）できる
+ * レジの行列・会計場所からは状態を出るときに抜ける
+ */
+const CUSTOMER_STATES = {
+    // 入口から店内に入るまで（最初の売場へ歩き始めている）
+    entering: {
+        transitions: { shopping: null, leaving: null, removed: null },
+        enter: agent => agent.enterStore(),
+        update: agent => {
+            if (agent.isInsideStore() || (!agent.isWalking && !agent.isPlanning)) {
+                agent.stateMachine.transition('shopping');
+            }
+        },
+        timeout: { after: 30, to: 'shopping' }
+    },
+
+    // 買い物リストの売場を回る（来店時間の予算を使い切ったら残りをあきらめてレジへ、長くても15分まで）
+    shopping: {
+        transitions: {
+            queuing: agent => agent.cart.length > 0,
+            leaving: null,
+            removed: null
+        },
+        update: (agent, deltaTime) => agent.updateShopping(deltaTime),
+        timeout: { after: agent => Math.min(900, agent.stateMachine.elapsed + agent.getTimeRemaining()), to: agent => agent.finishShopping() }
+    },
+
+    // レジの行列に並ぶ（先頭で会計場所が空くと会計へ、並ばない・待ちきれない客はカゴを置いて帰る）
+    queuing: {
+        transitions: {
+            purchasing: agent => agent.station !== null,
+            leaving: agent => agent.cart.length === 0,
+            removed: null
+        },
+        enter: agent => {
+            agent.queueTime = 0;
+            agent.waitTime = 0;
+            agent.nextQueueDecision = agent.patience;
+            agent.joinCheckoutLane();
+        },
+        update: (agent, deltaTime) => agent.updateQueuing(deltaTime),
+        exit: (agent, event) => {
+            if (event.to !== 'purchasing') agent.leaveLane();
+        }
+    },
+
+    // 会計場所へ進んで会計する（たどり着けない場合も時間が過ぎたら会計を済ませる）
+    purchasing: {
+        transitions: { leaving: null, removed: null },
+        enter: agent => {
+            agent.waitTime = 0;
+            agent.moveTo(agent.station.position);
+        },
+        update: (agent, deltaTime) => agent.updatePurchasing(deltaTime),
+        exit: agent => agent.leaveStation(),
+        timeout: { after: agent => agent.serviceTime + 60, to: agent => agent.finishPurchase('timeout') }
+    },
+
+    // 出口へ向かい、着いたら店を出る（人混みで出口にたどり着けなくても時間が過ぎたら出る）
+    leaving: {
+        transitions: { removed: null },
+        enter: agent => agent.moveTo(agent.storePoints.exit, { shared: true }),
+        update: agent => {
+            if (!agent.isWalking && !agent.isPlanning) {
+                agent.stateMachine.transition('removed');
+            }
+        },
+        timeout: { after: 180, to: 'removed' }
+    },
+
+    // 店を出た（AgentManagerが一覧から外す）
+    removed: {
+        enter: agent => agent.dispose()
+    }
+};
+
 class CustomerAgent {
-    constructor(scene, pathFinder, id) {
+    constructor(scene, pathFinder, id, store, profile = null, pathService = null, pathServices = null) {
         this.scene = scene;
-        this.pathFinder = pathFinder;
+        this.pathFinder = pathFinder; // 今いる階のPathFinder
+        this.pathService = pathService; // 非同期経路探索（なければ同期で探索）
+        this.pathServices = pathServices; // 階ごとの非同期経路探索（複数階の店舗）
         this.id = id;
         
+        // 店舗（商品の棚と在庫）と入口・レジエリア・出口
+        this.store = store;
+        this.storePoints = store.getStorePoints();
+        this.floor = this.storePoints.entrance.floor; // 今いる階
+        
+        // 客層プロファイル（CustomerSegments.generateCustomerの結果）
+        this.profile = profile;
+        this.segment = profile ? profile.segment : null;
+        
+        // 買い物グループ（ついてくる同行者と、同行者がたどる歩いた跡）
+        this.companions = [];
+        this.groupId = null; // 同行者がいれば自分のID（衝突回避で同じグループどうしは避け合わない）
+        this.trail = [];
+        
         // エージェントの状態
         this.position = { x: 0, y: 0, z: 0 };
-        this.target = null;
+        this.velocity = { x: 0, z: 0 };
+        this.target = null; // 今の階で歩いて向かう地点（別の階へ行く場合は接続の乗り口）
+        this.sharedTarget = false; // 共有目的地ならフローフィールドで移動
+        this.destination = null; // 最終的な目的地（別の階のこともある）
+        this.sharedDestination = false;
+        this.transfer = null; // 乗り継ぐ接続 { connector, board, exit, status: walking・waiting }
         this.path = [];
+        this.pathCells = [];
+        this.pathClearance = 0; // pathCellsを探索したクリアランス（狭い場所から抜ける間は0）
+        this.planner = null; // 障害物による再計画用（D* Lite）
+        this.isPlanning = false; // 経路探索サービスの結果待ち
+        this.pathRequestId = 0;
         this.currentPathIndex = 0;
         this.speed = 1.5 + Math.random() * 1; // 1.5-2.5の速度
         
-        // 買い物状態
-        this.state = 'entering'; // entering, shopping, queuing, purchasing, leaving
-        this.shoppingList = this.generateShoppingList();
+        // 衝突回避用の体の半径とパーソナルスペース
+        this.bodyRadius = 0.3;
+        this.personalSpace = this.calculatePersonalSpace();
+        
+        // 移動手段（カート・カゴ・車いす）で通れる通路の幅が変わる
+        this.mobility = profile?.mobility || 'cart';
+        this.mobilityProfile = MOBILITY_PROFILES[this.mobility] || MOBILITY_PROFILES.cart;
+        this.cartSize = { width: this.mobilityProfile.width, height: 0.4, depth: 0.4 };
+        this.stuckTime = 0;
+        
+        // 買い物状態（stateはstateMachineの状態）
+        this.stateMachine = new StateMachine(this, CUSTOMER_STATES, 'entering');
+        this.stateMachine.addTransitionListener(event => {
+            console.log(`Customer ${this.id}: ${event.to}${event.reason ? ` (${event.reason})` : ''}`);
+        });
+        this.routeRationality = profile?.planningLevel ?? 0.5; // 売場を回る順序の合理性（0-1）
+        this.shoppingList = this.planShoppingRoute(this.generateShoppingList());
         this.currentShopItem = 0;
         this.cart = [];
+        this.stockOuts = 0; // 品切れに出会った回数
+        this.frustrated = false; // 品切れで買い物を切り上げたか
+        this.lostItem = null; // 売場が見つからず案内を待っている商品 { item, searchTime, helper }
+        this.seenShelves = new Set(); // 前を通った棚のID（同じ棚では一度だけ商品に目を留める）
+        this.exposureTime = 0; // 周りの棚を最後に見てからの時間
+        this.lane = null; // 並んでいるレジ
+        this.station = null; // 会計している場所（レジ台・セルフレジの端末）
+        this.usesSelfCheckout = this.segment !== 'senior' || Math.random() < 0.3; // シニアはセルフレジを避けがち
+        this.queueTime = 0; // 並び始めてからの時間
+        this.nextQueueDecision = 0; // 並び続けるかを次に考え直す時間（queueTimeと比べる）
+        this.serviceTime = 0; // レジでの会計にかかる時間
         this.totalSpent = 0;
         this.waitTime = 0;
-        this.patience = 30 + Math.random() * 60; // 30-90秒の忍耐
+        // 行列で並び続けるかを考え直すまでの時間（秒、客層の忍耐力5-15を30-90秒に）
+        this.patience = Math.max(1, profile?.behavioral?.patience ?? 5 + Math.random() * 10) * 6;
+        this.timeBudget = profile?.timeBudget ?? 180; // 来店時間の予算（秒、歩く・商品を選ぶ・並ぶ時間をすべて含む）
+        this.outOfTime = false; // 予算を使い切って残りの買い物をあきらめたか
+        this.cartItemMeshes = []; // カートに積んだ商品の3Dオブジェクト
         
         // 3Dオブジェクト
         this.mesh = null;
@@ -34,7 +168,109 @@ class CustomerAgent {
         this.isWalking = false;
         
         this.createMesh();
-        this.enterStore();
+        this.companions = (profile?.companions || []).map((companion, slot) => new CompanionAgent(this, companion, slot));
+        this.groupId = this.companions.length > 0 ? this.id : null;
+    }
+
+    /**
+     * 今の状態（entering, shopping, queuing, purchasing, leaving, removed）
+     */
+    get state() {
+        return this.stateMachine.state;
+    }
+
+    /**
+     * 行動を始める（遷移イベントのリスナーを登録してから呼ぶ）
+     */
+    start() {
+        this.stateMachine.start();
+    }
+
+    /**
+     * 来店時間の予算の残り（秒、入店からの時間を引く。使い切ると負）
+     */
+    getTimeRemaining() {
+        return this.timeBudget - this.stateMachine.time;
+    }
+
+    /**
+     * 時間に追われているか（QueueModelが行列を抜けやすくなる残り時間を切った）
+     */
+    isHurried() {
+        return this.getTimeRemaining() < this.store.queueModel.parameters.timePressureThreshold * 60;
+    }
+
+    /**
+     * パーソナルスペースの半径を計算
+     * 客層のパーソナルスペース要求が高く、混雑耐性が低いほど広くとる
+     */
+    calculatePersonalSpace() {
+        const behavioral = this.profile?.behavioral || {};
+        const need = behavioral.personalSpaceNeed ?? 0.6;
+        const tolerance = behavioral.crowdingTolerance ?? 0.6;
+        const radius = this.bodyRadius + 0.6 * need / Math.max(0.3, tolerance);
+        
+        return Math.min(1.5, Math.max(0.5, radius));
+    }
+
+    /**
+     * 買い物リストを回る順序を決める
+     * 計画性の高い客ほど入口からレジまでの歩行距離が短い順序に近づく
+     * 複数階の店舗では階ごとにまとめ、ほかの階を下から回ってからレジのある階で買い物を終える
+     */
+    planShoppingRoute(items) {
+        const floors = this.store.floors;
+        const checkoutFloor = this.storePoints.checkout.floor;
+        const floorOrder = floors.getFloorIds().filter(floor => floor !== checkoutFloor).concat([checkoutFloor]);
+        const options = {
+            rationality: this.routeRationality,
+            minClearance: this.mobilityProfile.minClearance
+        };
+
+        let start = this.storePoints.entrance;
+        const planned = [];
+        floorOrder.forEach(floor => {
+            const floorItems = items.filter(item => (item.position.floor ?? checkoutFloor) === floor);
+            if (floorItems.length === 0) return;
+
+            // 階に着く地点から回り始め、レジのある階以外は着いた地点へ戻る
+            const entry = this.getArrivalPoint(start, floorItems[0].position);
+            const end = floor === checkoutFloor ? this.storePoints.checkout : entry;
+            const order = floors.getPathFinder(floor).planVisitOrder(floorItems.map(item => item.position), entry, end, options);
+            planned.push(...order.map(index => floorItems[index]));
+            start = entry;
+        });
+
+        return planned;
+    }
+
+    /**
+     * fromから別の階の地点へ行くときに、その階で降りる地点（同じ階ならfromのまま）
+     */
+    getArrivalPoint(from, to) {
+        if ((from.floor ?? this.floor) === to.floor) return from;
+        const route = this.findFloorRoute(from, to);
+        return route && route.legs.length > 0 ? route.legs[route.legs.length - 1].exit : from;
+    }
+
+    /**
+     * 階をまたぐ経路（乗り口の混雑を見込み、車いすはエスカレーターを使わない）
+     */
+    findFloorRoute(from, to) {
+        const usesEscalator = this.mobilityProfile.usesEscalator !== false;
+        return this.store.floors.findRoute(from, to, {
+            minClearance: this.mobilityProfile.minClearance,
+            getWaitTime: (connector, board) => this.store.getConnectorWait(connector, board),
+            canUse: connector => usesEscalator || connector.type !== 'escalator'
+        });
+    }
+
+    /**
+     * 地点に行けるか（別の階へは使える接続があるか）
+     */
+    canReach(point) {
+        if (!point) return false;
+        return (point.floor ?? this.floor) === this.floor || this.findFloorRoute({ ...this.position, floor: this.floor }, point) !== null;
     }
 
     /**
@@ -56,8 +292,14 @@ class CustomerAgent {
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
         
-        // カートを作成
-        this.createCart();
+        // カート・カゴ・車いすを作成
+        if (this.mobility === 'basket') {
+            this.createBasket();
+        } else if (this.mobility === 'wheelchair') {
+            this.createWheelchair();
+        } else {
+            this.createCart();
+        }
         
         // グループ化
         this.group = new THREE.Group();
@@ -74,17 +316,18 @@ class CustomerAgent {
         const cartGroup = new THREE.Group();
         
         // カート本体
-        const bodyGeometry = new THREE.BoxGeometry(0.6, 0.4, 0.4);
+        const { width, height, depth } = this.cartSize;
+        const bodyGeometry = new THREE.BoxGeometry(width, height, depth);
         const bodyMaterial = new THREE.MeshPhongMaterial({ color: 0x666666 });
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.position.set(0, 0.2, 0);
+        body.position.set(0, height / 2, 0);
         cartGroup.add(body);
         
         // ハンドル
         const handleGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.8);
         const handleMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
         const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-        handle.position.set(0, 0.6, -0.2);
+        handle.position.set(0, 0.6, -depth / 2);
         cartGroup.add(handle);
         
         // 車輪
@@ -103,97 +346,552 @@ class CustomerAgent {
             cartGroup.add(wheel);
         });
         
-        cartGroup.position.set(0.8, 0, 0);
+        // 進行方向の前に押して歩く
+        cartGroup.position.set(0, 0, this.bodyRadius + depth / 2 + 0.2);
         this.cartMesh = cartGroup;
     }
 
+    /**
+     * 買い物カゴを作成（手に提げて持つ）
+     */
+    createBasket() {
+        const basketGroup = new THREE.Group();
+        
+        const basketGeometry = new THREE.BoxGeometry(0.35, 0.2, 0.25);
+        const basketMaterial = new THREE.MeshPhongMaterial({ color: 0xd63031 });
+        const basket = new THREE.Mesh(basketGeometry, basketMaterial);
+        basketGroup.add(basket);
+        
+        basketGroup.position.set(this.bodyRadius + 0.15, 0.5, 0);
+        basketGroup.scale.set(0.8, 0.8, 0.8);
+        this.cartMesh = basketGroup;
+    }
+
+    /**
+     * 車いすを作成（購入品は膝の上に載せる）
+     */
+    createWheelchair() {
+        const chairGroup = new THREE.Group();
+        
+        // 座面
+        const seatGeometry = new THREE.BoxGeometry(0.45, 0.05, 0.45);
+        const seatMaterial = new THREE.MeshPhongMaterial({ color: 0x2d3436 });
+        const seat = new THREE.Mesh(seatGeometry, seatMaterial);
+        seat.position.set(0, 0.45, 0);
+        chairGroup.add(seat);
+        
+        // 大きな後輪
+        const wheelGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.04, 16);
+        const wheelMaterial = new THREE.MeshPhongMaterial({ color: 0x636e72 });
+        [-1, 1].forEach(side => {
+            const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+            wheel.position.set(side * this.cartSize.width / 2, 0.3, -0.1);
+            wheel.rotation.z = Math.PI / 2;
+            chairGroup.add(wheel);
+        });
+        
+        this.cartMesh = chairGroup;
+    }
+
+    /**
+     * 経路の近道に必要な半径（体とカート・車いすの幅の大きい方に余裕を加える）
+     */
+    getClearanceRadius() {
+        return Math.max(this.bodyRadius, this.mobilityProfile.width / 2) + 0.05;
+    }
+
     /**
      * 買い物リストを生成
+     * 商品カタログから店内で売られている商品を選び、陳列する棚の取る位置に向かう
      */
     generateShoppingList() {
-        const items = [
-            { name: '野菜', section: 'produce', position: { x: -8, z: 8 }, price: 300 },
-            { name: '肉', section: 'meat', position: { x: 8, z: 8 }, price: 800 },
-            { name: 'パン', section: 'bakery', position: { x: -8, z: -8 }, price: 200 },
-            { name: '牛乳', section: 'dairy', position: { x: 8, z: -8 }, price: 150 },
-            { name: 'お菓子', section: 'snacks', position: { x: 0, z: 8 }, price: 400 },
-            { name: '調味料', section: 'condiments', position: { x: 0, z: -8 }, price: 250 }
-        ];
-        
-        // ランダムに2-5個のアイテムを選択
+        // ランダムに2-5個の商品を選択
         const itemCount = 2 + Math.floor(Math.random() * 4);
-        const shuffled = items.sort(() => 0.5 - Math.random());
-        return shuffled.slice(0, itemCount);
+        const products = this.store.catalog.sampleProducts(itemCount, product => this.store.isOnSale(product));
+
+        return products.map(product => this.createListItem(product));
+    }
+
+    /**
+     * 買い物リストの項目（商品と陳列する棚の取る位置）
+     */
+    createListItem(product) {
+        return {
+            sku: product.sku,
+            name: product.name,
+            category: product.category,
+            price: product.price,
+            shelfId: product.shelf,
+            position: this.store.getShelfAccessPoint(product.shelf)
+        };
     }
 
     /**
-     * 店に入る
+     * 入口に立って最初の売場へ向かう
      */
     enterStore() {
-        const entrance = { x: 0, z: -12 };
-        this.position = { ...entrance };
-        this.group.position.set(entrance.x, 0, entrance.z);
-        this.setState('shopping');
-        this.planNextDestination();
+        const entrance = this.storePoints.entrance;
+        this.position = { x: entrance.x, y: 0, z: entrance.z };
+        this.group.position.set(entrance.x, this.store.floors.getElevation(this.floor), entrance.z);
+        this.trail = [];
+        this.companions.forEach(companion => companion.placeAt(entrance));
+        this.planShopping();
+    }
+
+    /**
+     * 店の壁の内側にいるか
+     */
+    isInsideStore() {
+        const { width, depth } = this.store.layout.dimensions;
+        return Math.abs(this.position.x) < width / 2 && Math.abs(this.position.z) < depth / 2;
+    }
+
+    /**
+     * 買い物リストの次の売場へ向かう（買い終わったらレジへ、何も買えなかったら出口へ）
+     */
+    planShopping() {
+        // レイアウト編集で撤去された棚・行ける接続のない階の商品はあきらめる
+        while (this.currentShopItem < this.shoppingList.length &&
+               !this.canReach(this.store.getShelfAccessPoint(this.shoppingList[this.currentShopItem].shelfId))) {
+            this.currentShopItem++;
+        }
+
+        if (this.currentShopItem < this.shoppingList.length) {
+            // 棚が動かされていても今の位置に向かう
+            const item = this.shoppingList[this.currentShopItem];
+            item.position = this.store.getShelfAccessPoint(item.shelfId);
+
+            // 計画性の低い客ほど売場がわからず店員の案内を待つ
+            if (!item.located && Math.random() < 0.3 * (1 - this.routeRationality)) {
+                this.askForHelp(item);
+                return;
+            }
+            item.located = true;
+            this.moveTo(item.position, { shared: true });
+        } else if (this.cart.length === 0) {
+            // 何も買えなかった客はレジに並ばずに帰る
+            this.stateMachine.transition('leaving');
+        } else {
+            this.stateMachine.transition('queuing');
+        }
     }
 
     /**
-     * 状態を設定
+     * 買い物の時間切れ: 残りの商品をあきらめてレジ（何も買っていなければ出口）へ
      */
-    setState(newState) {
-        this.state = newState;
-        console.log(`Customer ${this.id}: ${newState}`);
+    finishShopping() {
+        this.outOfTime = true;
+        if (window.gameStats) {
+            window.gameStats.outOfTimeCustomers++;
+        }
+        console.log(`Customer ${this.id}: ran out of time, skipping ${this.shoppingList.length - this.currentShopItem} items`);
+        this.shoppingList.splice(this.currentShopItem);
+        this.lostItem = null;
+        this.planShopping();
     }
 
     /**
-     * 次の目的地を計画
+     * レジのレーンを選んで最後尾に並ぶ（空いているレーンがなければレジエリアで待つ）
      */
-    planNextDestination() {
-        switch (this.state) {
-            case 'shopping':
-                if (this.currentShopItem < this.shoppingList.length) {
-                    const item = this.shoppingList[this.currentShopItem];
-                    this.moveTo(item.position);
-                } else {
-                    this.setState('queuing');
-                    this.moveTo({ x: 0, z: -10 }); // レジエリア
-                }
-                break;
-                
-            case 'queuing':
-                this.setState('purchasing');
-                break;
-                
-            case 'purchasing':
-                this.setState('leaving');
-                this.moveTo({ x: 0, z: -12 }); // 出口
-                break;
-                
-            case 'leaving':
-                this.remove();
-                break;
+    joinCheckoutLane() {
+        const lane = this.chooseLane();
+        if (!lane) {
+            if (this.destination !== this.storePoints.checkout) {
+                this.moveTo(this.storePoints.checkout, { shared: true }); // レジエリア
+            }
+            return false;
+        }
+
+        // 行列の長さと予想待ち時間を見て、並ばずにカゴを置いて帰ることもある
+        if (Math.random() < this.getBalkingProbability(lane, lane.queue.length)) {
+            this.store.recordQueueExit(lane, 'balked');
+            this.abandonBasket('balked');
+            return false;
         }
+
+        this.lane = lane;
+        this.moveToQueueSlot(this.store.joinQueue(lane, this));
+        return true;
+    }
+
+    /**
+     * QueueModelに渡す客の特性（忍耐力τと来店時間の残りは分、混雑耐性・パーソナルスペース要求は客層から）
+     */
+    getQueueTraits() {
+        const behavioral = this.profile?.behavioral || {};
+        return {
+            patience: this.patience / 6,
+            crowdingTolerance: behavioral.crowdingTolerance,
+            personalSpaceNeed: behavioral.personalSpaceNeed,
+            timeRemaining: this.getTimeRemaining() / 60
+        };
+    }
+
+    /**
+     * レーンのposition番目に並ぶとした場合に並ぶのをやめる確率
+     * 行列の長さは会計する場所1つあたりの人数、待ち時間はレーンの予想待ち時間
+     */
+    getBalkingProbability(lane, position) {
+        return this.store.queueModel.calculateBalkingProbability(
+            position / lane.stations.length,
+            this.getQueueTraits(),
+            this.store.getExpectedWait(lane, position) / 60
+        );
+    }
+
+    /**
+     * 待った時間と残りの待ち時間から行列を抜けて帰るか（並べるレーンがなくレジエリアで待っている場合も）
+     */
+    shouldRenege() {
+        let queueLength = this.store.parameters.maxQueueSlots;
+        let remaining = Math.min(...this.store.getOpenCheckouts().map(lane => this.store.getExpectedWait(lane)));
+        if (this.lane) {
+            const position = this.lane.queue.indexOf(this);
+            queueLength = position / this.lane.stations.length;
+            remaining = this.store.getExpectedWait(this.lane, position);
+        }
+
+        const exitProbability = this.store.queueModel.calculateOverallExitProbability(this.getQueueTraits(), {
+            queueLength,
+            waitingTime: (this.queueTime + remaining) / 60
+        });
+        return Math.random() < exitProbability;
+    }
+
+    /**
+     * 前に並ぶ人の多いレーンから、迂回確率が十分に低いレーンへ移る
+     */
+    considerJockeying() {
+        const position = this.lane.queue.indexOf(this);
+        if (position <= 0) return;
+
+        const lane = this.chooseLane();
+        if (!lane || lane === this.lane) return;
+
+        const staying = this.getBalkingProbability(this.lane, position);
+        const moving = this.getBalkingProbability(lane, lane.queue.length);
+        if (staying - moving < this.store.parameters.jockeyThreshold) return;
+
+        console.log(`Customer ${this.id}: switching from checkout ${this.lane.number} to ${lane.number}`);
+        this.store.recordQueueExit(this.lane, 'jockeyed');
+        if (window.gameStats) {
+            window.gameStats.laneChanges++;
+        }
+        this.leaveLane();
+        this.lane = lane;
+        this.moveToQueueSlot(this.store.joinQueue(lane, this));
+    }
+
+    /**
+     * カゴの商品を買わずに置いて店を出る（販売機会損失として集計）
+     */
+    abandonBasket(reason) {
+        const value = this.cart.reduce((total, item) => total + item.price, 0);
+        console.log(`Customer ${this.id}: abandoned a basket of ¥${value} (${reason})`);
+        if (window.gameStats) {
+            window.gameStats.abandonedBaskets++;
+            window.gameStats.abandonedSales += value;
+        }
+
+        this.cart = [];
+        this.cartItemMeshes.forEach(itemMesh => {
+            this.cartMesh.remove(itemMesh);
+            itemMesh.geometry.dispose();
+            itemMesh.material.dispose();
+        });
+        this.cartItemMeshes = [];
+        this.stateMachine.transition('leaving', reason);
+    }
+
+    /**
+     * 並ぶレーンを選ぶ
+     * 計画性の高い客と時間に追われている客は予想待ち時間（自分の会計時間を含む）で、
+     * それ以外は並んでいる人数で選ぶ（同じなら近いレーン）
+     * エクスプレスレジは点数制限以内のときだけ、セルフレジは使う客だけが候補になり、
+     * 時間に追われている客は使えるエクスプレスレジがあればそこに並ぶ
+     */
+    chooseLane() {
+        const hurried = this.isHurried();
+        const byExpectedWait = hurried || this.routeRationality >= 0.6;
+        let best = null;
+        let bestScore = Infinity;
+
+        const lanes = this.store.getAvailableLanes(this.cart.length).filter(lane =>
+            (lane.type !== 'self' || this.usesSelfCheckout) &&
+            (lane.floor === this.floor || this.canReach(lane.approach))
+        );
+        const express = hurried ? lanes.filter(lane => lane.type === 'express') : [];
+        (express.length > 0 ? express : lanes).forEach(lane => {
+            const slot = this.store.getQueueSlot(lane, lane.queue.length);
+            const distance = Math.hypot(slot.x - this.position.x, slot.z - this.position.z);
+            const load = byExpectedWait
+                ? this.store.getExpectedWait(lane) + this.store.getExpectedServiceTime(lane, this.cart.length)
+                : lane.queue.length / lane.stations.length;
+            const score = load + distance * 0.01;
+            if (score < bestScore) {
+                best = lane;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * 行列のindex番目の位置へ進む
+     */
+    moveToQueueSlot(index) {
+        if (this.state !== 'queuing') return; // 会計中は動かない
+        this.moveTo(this.store.getQueueSlot(this.lane, index));
+    }
+
+    /**
+     * 並んでいるレーンの行列から抜ける
+     */
+    leaveLane() {
+        if (this.lane) {
+            this.store.leaveQueue(this.lane, this);
+            this.lane = null;
+        }
+    }
+
+    /**
+     * 会計場所を空けてレーンから離れる
+     */
+    leaveStation() {
+        if (this.station) {
+            this.store.finishService(this.lane, this);
+            this.station = null;
+        }
+        this.lane = null;
+    }
+
+    /**
+     * 並んでいるレーンが閉まった・撤去された場合は抜けて選び直し、開いていれば移るかを考える
+     */
+    updateLane() {
+        const lane = this.lane;
+        if (lane && lane.open && this.store.checkouts.includes(lane)) {
+            this.considerJockeying();
+            return;
+        }
+
+        this.leaveLane();
+        this.joinCheckoutLane();
+    }
+
+    /**
+     * 売場がわからない商品について案内を待つ（StaffManagerが案内係を向かわせる）
+     */
+    askForHelp(item) {
+        this.lostItem = { item, searchTime: 0, helper: null };
+        console.log(`Customer ${this.id}: cannot find ${item.name}, waiting for help`);
+    }
+
+    /**
+     * 売場がわかったので商品の棚へ向かう
+     */
+    receiveHelp() {
+        this.lostItem.item.located = true;
+        this.lostItem = null;
+        this.planShopping();
     }
 
     /**
      * 指定位置に移動
+     * shared: レジ・出口・売場など多くの客が向かう目的地はフローフィールドをたどる
+     * 別の階の地点へは、最初に乗る接続の乗り口へ歩く（乗っている間は降りてから向かう）
+     */
+    moveTo(targetPosition, { shared = false } = {}) {
+        this.destination = targetPosition;
+        this.sharedDestination = shared;
+        if (this.isRiding()) return;
+        this.planLeg();
+    }
+
+    /**
+     * 目的地までの今の階の区間を計画
+     * 乗り口も多くの客が向かうのでフローフィールドをたどる
+     */
+    planLeg() {
+        const destination = this.destination;
+        const floor = destination.floor ?? this.floor;
+        const route = floor !== this.floor ? this.findFloorRoute({ ...this.position, floor: this.floor }, destination) : null;
+
+        this.transfer = route && route.legs.length > 0 ? { ...route.legs[0], status: 'walking' } : null;
+        this.target = this.transfer ? this.transfer.board : destination;
+        this.sharedTarget = this.transfer ? true : this.sharedDestination;
+        this.planner = null;
+        this.requestPath();
+    }
+
+    /**
+     * エスカレーター・エレベーターを待っている・乗っているか
      */
-    moveTo(targetPosition) {
-        this.target = targetPosition;
-        const path = this.pathFinder.findPath(this.position, targetPosition);
+    isRiding() {
+        return !!this.transfer && this.transfer.status !== 'walking';
+    }
+
+    /**
+     * 乗っている接続に合わせて動く（店舗が毎フレーム呼ぶ）
+     */
+    moveWithConnector(point) {
+        this.position.x = point.x;
+        this.position.z = point.z;
+        this.group.position.set(point.x, point.y, point.z);
+    }
+
+    /**
+     * 降り口に着いたので階を移り、目的地へ向かう
+     */
+    arriveFromConnector(exit) {
+        this.transfer = null;
+        this.changeFloor(exit.floor);
+        this.position.x = exit.x;
+        this.position.z = exit.z;
+        this.group.position.x = exit.x;
+        this.group.position.z = exit.z;
+        this.isWalking = false;
+        this.planLeg();
+    }
+
+    /**
+     * 今いる階を変える（経路探索をその階のものに切り替える）
+     */
+    changeFloor(floor) {
+        this.floor = floor;
+        this.pathFinder = this.store.floors.getPathFinder(floor);
+        if (this.pathServices) {
+            this.pathService = this.pathServices.get(floor) || null;
+        }
+        this.planner = null;
+        this.trail = [];
+        this.group.position.y = this.store.floors.getElevation(floor);
+    }
+
+    /**
+     * 現在の目的地までの経路を探索
+     * 経路探索サービスがある場合は結果が届くまでその場で待つ（planning）
+     */
+    requestPath() {
+        const options = {
+            shared: this.sharedTarget,
+            minClearance: this.mobilityProfile.minClearance
+        };
+
+        if (!this.pathService) {
+            this.followCells(this.pathFinder.findCells(this.position, this.target, options));
+            return;
+        }
+
+        const requestId = ++this.pathRequestId;
+        this.isPlanning = true;
+        this.isWalking = false;
+        this.path = [];
+        this.pathCells = [];
+
+        this.pathService.findCellsAsync(this.position, this.target, options).then(result => {
+            // 後から別の経路を要求した場合や退店後の結果は捨てる
+            if (requestId !== this.pathRequestId) return;
+
+            this.isPlanning = false;
+            this.followCells(result.cells);
+
+            // 探索中にグリッドが変わって経路が塞がれていれば再計画
+            if (result.version !== this.pathFinder.version && this.isPathBlocked()) {
+                this.replan();
+            }
+        });
+    }
+
+    /**
+     * セル経路に沿って移動を開始
+     */
+    followCells(cells) {
+        // クリアランスの足りない場所から抜け出せない場合は、通路の幅を気にせず通れる経路で動く
+        this.pathClearance = this.mobilityProfile.minClearance;
+        if (cells.length === 0 && this.pathClearance > 0) {
+            cells = this.pathFinder.findCells(this.position, this.target, { shared: this.sharedTarget, minClearance: 0 });
+            this.pathClearance = 0;
+        }
+        this.pathCells = cells;
         
-        if (path.length > 0) {
-            this.path = path;
+        if (cells.length > 0) {
+            this.path = this.pathFinder.cellsToPath(cells, {
+                radius: this.getClearanceRadius(),
+                curved: true
+            });
             this.currentPathIndex = 0;
             this.isWalking = true;
         } else {
             // パスが見つからない場合は直接移動
-            this.path = [targetPosition];
+            this.path = [this.target];
             this.currentPathIndex = 0;
             this.isWalking = true;
         }
     }
 
+    /**
+     * グリッド変更の通知を受け取る
+     */
+    onGridChanged(change) {
+        if (this.planner) {
+            // コスト倍率が変わるとヒューリスティックも変わるため計画を作り直す
+            if (change.costChanged.length > 0) {
+                this.planner = null;
+            } else {
+                this.planner.notifyChanged(change.cells);
+            }
+        }
+        
+        if (!this.isWalking || !this.target) return;
+
+        const blocked = change.blocked.length > 0 && this.isPathBlocked();
+        const reopened = change.freed.length > 0 && this.pathCells.length === 0;
+        if (blocked || reopened) {
+            this.replan();
+        }
+    }
+
+    /**
+     * 残りの経路が障害物で塞がれたか、クリアランスが足りなくなったかチェック
+     */
+    isPathBlocked() {
+        const minClearance = this.pathClearance;
+        const width = this.pathFinder.gridWidth;
+        const current = this.pathFinder.worldToGrid(this.position.x, this.position.z);
+        const currentIndex = this.pathCells.indexOf(this.pathFinder.toIndex(current.x, current.y));
+        
+        for (let i = Math.max(0, currentIndex); i < this.pathCells.length; i++) {
+            const index = this.pathCells[i];
+            const x = index % width;
+            if (!this.pathFinder.isPassable(x, (index - x) / width, minClearance)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 現在位置から経路を再計画
+     * 共有目的地は再計算されたフローフィールドを、それ以外はD* Liteの探索結果を再利用する
+     */
+    replan() {
+        if (this.sharedTarget) {
+            this.requestPath();
+            return;
+        }
+        
+        if (!this.planner || !this.planner.hasGoal(this.target)) {
+            this.planner = new DStarLitePlanner(this.pathFinder, this.target, {
+                minClearance: this.mobilityProfile.minClearance
+            });
+        }
+        
+        const cells = this.planner.computePath(this.position);
+        this.followCells(cells);
+        console.log(`Customer ${this.id}: replanned (${cells.length} cells)`);
+    }
+
     /**
      * 更新処理
      */
@@ -201,14 +899,52 @@ class CustomerAgent {
         if (!this.mesh) return;
         
         this.updateMovement(deltaTime);
-        this.updateBehavior(deltaTime);
+        if (this.companions.length > 0) {
+            this.recordTrail();
+            this.companions.forEach(companion => companion.update(deltaTime));
+        }
+        this.stateMachine.update(deltaTime);
         this.updateAnimation(deltaTime);
     }
 
+    /**
+     * 同行者がたどる歩いた跡を記録（0.3mごとに最大30点、乗っている間は記録しない）
+     */
+    recordTrail() {
+        if (this.isRiding()) return;
+
+        const last = this.trail[this.trail.length - 1];
+        if (last && Math.hypot(this.position.x - last.x, this.position.z - last.z) < 0.3) return;
+        this.trail.push({ x: this.position.x, z: this.position.z });
+        if (this.trail.length > 30) {
+            this.trail.shift();
+        }
+    }
+
+    /**
+     * 経路に沿って進みたい速度（ソーシャルフォースモデルの目標速度）
+     */
+    getDesiredVelocity() {
+        if (!this.isWalking || this.currentPathIndex >= this.path.length) {
+            return { x: 0, z: 0 };
+        }
+
+        const currentTarget = this.path[this.currentPathIndex];
+        const dx = currentTarget.x - this.position.x;
+        const dz = currentTarget.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance === 0) return { x: 0, z: 0 };
+
+        return { x: dx / distance * this.speed, z: dz / distance * this.speed };
+    }
+
     /**
      * 移動処理
      */
     updateMovement(deltaTime) {
+        // 待っている・乗っている間は店舗が動かす
+        if (this.isRiding()) return;
+
         if (this.path.length === 0 || this.currentPathIndex >= this.path.length) {
             this.isWalking = false;
             return;
@@ -226,60 +962,266 @@ class CustomerAgent {
                 return;
             }
         } else {
-            // 移動
-            const moveDistance = this.speed * deltaTime;
-            const normalizedDx = dx / distance;
-            const normalizedDz = dz / distance;
+            // AgentManagerの衝突回避で決まった速度で移動（なければ経路方向へ直進）
+            const hasSteering = this.velocity.x !== 0 || this.velocity.z !== 0;
+            const velocityX = hasSteering ? this.velocity.x : dx / distance * this.speed;
+            const velocityZ = hasSteering ? this.velocity.z : dz / distance * this.speed;
 
-            this.position.x += normalizedDx * moveDistance;
-            this.position.z += normalizedDz * moveDistance;
+            const previousX = this.position.x;
+            const previousZ = this.position.z;
+            this.moveBy(velocityX * deltaTime, velocityZ * deltaTime);
+            this.updateStuckState(deltaTime, previousX, previousZ);
 
             // 3Dオブジェクトの位置を更新
             this.group.position.x = this.position.x;
             this.group.position.z = this.position.z;
 
             // 向きを更新
-            const angle = Math.atan2(normalizedDx, normalizedDz);
+            const angle = Math.atan2(velocityX, velocityZ);
             this.group.rotation.y = angle;
         }
     }
 
     /**
-     * 行動処理
+     * 人混みで進めない状態を検出
+     * 目的地の近くなら到着とみなし、途中なら次の経由点へ切り替えて膠着を解く
+     */
+    updateStuckState(deltaTime, previousX, previousZ) {
+        const movedX = this.position.x - previousX;
+        const movedZ = this.position.z - previousZ;
+        const moved = Math.sqrt(movedX * movedX + movedZ * movedZ);
+
+        if (moved < this.speed * deltaTime * 0.2) {
+            this.stuckTime += deltaTime;
+        } else {
+            this.stuckTime = Math.max(0, this.stuckTime - deltaTime);
+        }
+
+        const destination = this.path[this.path.length - 1];
+        const remainingX = destination.x - this.position.x;
+        const remainingZ = destination.z - this.position.z;
+        const remaining = Math.sqrt(remainingX * remainingX + remainingZ * remainingZ);
+
+        if (this.stuckTime > 1 && remaining < this.personalSpace + 1.5) {
+            this.stuckTime = 0;
+            this.onReachedDestination();
+        } else if (this.stuckTime > 3) {
+            this.stuckTime = 0;
+            this.currentPathIndex = Math.min(this.currentPathIndex + 1, this.path.length - 1);
+        }
+    }
+
+    /**
+     * 障害物に入り込まないよう移動（ぶつかる場合は軸ごとに滑らせる）
+     */
+    moveBy(moveX, moveZ) {
+        const canEnter = (x, z) => {
+            const cell = this.pathFinder.worldToGrid(x, z);
+            return this.pathFinder.isWalkable(cell.x, cell.y);
+        };
+
+        // 既に障害物上にいる場合（直接移動中など）はそのまま進む
+        if (!canEnter(this.position.x, this.position.z) ||
+            canEnter(this.position.x + moveX, this.position.z + moveZ)) {
+            this.position.x += moveX;
+            this.position.z += moveZ;
+        } else if (canEnter(this.position.x + moveX, this.position.z)) {
+            this.position.x += moveX;
+        } else if (canEnter(this.position.x, this.position.z + moveZ)) {
+            this.position.z += moveZ;
+        }
+    }
+
+    /**
+     * 買い物中の行動（売場で商品を選ぶ・案内を待つ）
+     */
+    updateShopping(deltaTime) {
+        if (this.lostItem) {
+            // 案内係が来なければしばらく探して自分で見つける
+            this.lostItem.searchTime += deltaTime;
+            if (!this.lostItem.helper && this.lostItem.searchTime >= 20) {
+                this.receiveHelp();
+            }
+        } else if (this.isWalking) {
+            this.updateExposure(deltaTime);
+        } else if (!this.isPlanning) {
+            this.waitTime += deltaTime;
+            if (this.waitTime >= 2 + Math.random() * 3) { // 2-5秒待機
+                this.collectItem();
+                this.waitTime = 0;
+                this.currentShopItem++;
+                this.planShopping();
+            }
+        }
+    }
+
+    /**
+     * 歩きながら前を通った棚の商品に目を留め（AttentionModel）、買いたくなったら寄り道する（DecisionModel）
+     * 目に入る商品は周りの棚の在庫のある商品で、注意配分確率に客の注意散漫さを掛けた確率で立ち止まる
+     */
+    updateExposure(deltaTime) {
+        this.exposureTime += deltaTime;
+        if (this.exposureTime < 0.5 || this.isRiding()) return; // 0.5秒ごとに周りの棚を見る
+        this.exposureTime = 0;
+
+        const nearby = this.store.getShelvesNear(this.position, this.floor);
+        const passing = nearby.filter(shelf => !this.seenShelves.has(shelf.id));
+        if (passing.length === 0) return;
+        passing.forEach(shelf => this.seenShelves.add(shelf.id));
+
+        const visible = nearby.flatMap(shelf =>
+            [...shelf.inventory.values()].filter(stocked => stocked.stock > 0).map(stocked => ({ shelf, stocked }))
+        );
+        const items = visible.map(({ stocked }) => this.toAttentionItem(stocked));
+        const customer = { shoppingList: this.shoppingList.slice(this.currentShopItem), environment: {} }; // 背景は店内の標準色
+        const distractibility = this.profile?.behavioral?.distractibility ?? 0.5;
+        const wanted = new Set([...this.shoppingList, ...this.cart].map(item => item.sku));
+
+        const noticed = visible.find(({ shelf, stocked }, index) =>
+            passing.includes(shelf) && !wanted.has(stocked.product.sku) &&
+            Math.random() < this.store.attentionModel.calculateAttentionProbability(items[index], customer, items) * distractibility
+        );
+        if (noticed) {
+            this.considerUnplannedPurchase(noticed.stocked.product);
+        } else {
+            this.considerCompanionRequests(passing, wanted);
+        }
+    }
+
+    /**
+     * 子どもの同行者が前を通った好きな売場へ駆けていき、その棚に寄り道する
+     * 好み（preferences）の強い売場ほど、寄り道をせがむ傾向（pullTendency）の強い子どもほど起こりやすい
+     * 買うかどうかは棚の前で同行者の好みを含めて決める（collectItem）
      */
-    updateBehavior(deltaTime) {
-        switch (this.state) {
-            case 'shopping':
-                if (!this.isWalking) {
-                    this.waitTime += deltaTime;
-                    if (this.waitTime >= 2 + Math.random() * 3) { // 2-5秒待機
-                        this.collectItem();
-                        this.waitTime = 0;
-                        this.currentShopItem++;
-                        this.planNextDestination();
-                    }
-                }
-                break;
+    considerCompanionRequests(passing, wanted) {
+        for (const companion of this.companions) {
+            if (companion.runTarget) continue; // せがんだ売場にまだ着いていない
 
-            case 'queuing':
-                this.waitTime += deltaTime;
-                if (this.waitTime >= 5 + Math.random() * 10) { // 5-15秒待機
-                    this.planNextDestination();
-                    this.waitTime = 0;
-                }
-                break;
+            const { pullTendency, preferences } = companion.profile;
+            const shelf = passing.find(candidate => Math.random() < pullTendency * (preferences[candidate.category] || 0));
+            if (!shelf) continue;
 
-            case 'purchasing':
-                this.waitTime += deltaTime;
-                if (this.waitTime >= 3 + Math.random() * 2) { // 3-5秒で購入
-                    this.completePurchase();
-                    this.waitTime = 0;
-                    this.planNextDestination();
-                }
-                break;
+            const products = [...shelf.inventory.values()].filter(stocked => stocked.stock > 0 && !wanted.has(stocked.product.sku));
+            if (products.length === 0) continue;
+
+            const product = products[Math.floor(Math.random() * products.length)].product;
+            const item = { ...this.createListItem(product), unplanned: true, located: true, requestedBy: companion.id };
+            console.log(`Customer ${this.id}: companion ${companion.id} wants ${product.name}`);
+            this.shoppingList.splice(this.currentShopItem, 0, item);
+            companion.runTo(item.position);
+            this.planShopping();
+            return;
         }
     }
 
+    /**
+     * AttentionModelに渡す商品（棚の区画の色・POPの種類）
+     */
+    toAttentionItem(stocked) {
+        const color = stocked.color;
+        return {
+            name: stocked.product.name,
+            category: stocked.product.category,
+            color: { r: (color >> 16) & 0xff, g: (color >> 8) & 0xff, b: color & 0xff },
+            popType: stocked.product.popType,
+            popPosition: 'shelf'
+        };
+    }
+
+    /**
+     * 目に留まった商品を買うか決め、買うなら今の目的地より先にその棚へ寄る
+     */
+    considerUnplannedPurchase(product) {
+        if (Math.random() >= this.getPurchaseProbability(product)) return;
+
+        console.log(`Customer ${this.id}: noticed ${product.name}, picking it up`);
+        this.shoppingList.splice(this.currentShopItem, 0, { ...this.createListItem(product), unplanned: true, located: true });
+        this.planShopping();
+    }
+
+    /**
+     * 予定になかった商品を買う確率（DecisionModel）
+     * 割引（通常価格との差）・好みのブランド・同行者の好きなカテゴリーほど買いやすく、
+     * 予算に余裕がないほど・来店時間の予算を使っているほど買いにくい
+     */
+    getPurchaseProbability(product) {
+        const profile = this.profile || {};
+        const timePressure = Math.min(1, Math.max(0, 1 - this.getTimeRemaining() / this.timeBudget));
+        const budget = profile.budget || 3000;
+        const spent = this.cart.reduce((total, item) => total + item.price, 0);
+        const planned = this.shoppingList.slice(this.currentShopItem).reduce((total, item) => total + item.price, 0);
+        const customer = {
+            budget,
+            remainingBudget: Math.max(1, budget - spent),
+            plannedSpending: planned,
+            impulseLevel: profile.impulseLevel,
+            timeConstraint: Math.max(profile.timeConstraint ?? 0, timePressure),
+            brandPreferences: profile.brandPreferences,
+            purchaseHistory: profile.purchaseHistory,
+            statusSensitivity: profile.behavioral?.statusSensitivity,
+            socialContext: this.companions.length > 0 ? { companions: this.companions.map(companion => companion.profile) } : {}
+        };
+        const item = {
+            id: product.sku,
+            name: product.name,
+            category: product.category,
+            price: product.price,
+            referencePrice: product.regularPrice,
+            brand: product.brand
+        };
+        return this.store.decisionModel.calculatePurchaseProbability(item, customer);
+    }
+
+    /**
+     * 行列での行動（レーンの確認、先頭で会計場所が空いたら会計を始める）
+     */
+    updateQueuing(deltaTime) {
+        this.queueTime += deltaTime;
+        this.waitTime += deltaTime;
+        if (this.waitTime >= 1) { // 1秒ごとにレーンの状態を確認
+            this.waitTime = 0;
+            this.updateLane();
+            if (this.state !== 'queuing') return;
+        }
+
+        // 忍耐の時間が過ぎるたびに、並び続けるかカゴを置いて帰るかを考え直す
+        if (this.queueTime >= this.nextQueueDecision) {
+            this.nextQueueDecision += this.patience;
+            if (this.shouldRenege()) {
+                if (this.lane) this.store.recordQueueExit(this.lane, 'reneged');
+                this.abandonBasket('reneged');
+                return;
+            }
+        }
+        if (!this.lane) return;
+
+        // 商品数とレジの種類に応じた会計時間
+        const service = this.store.startService(this.lane, this, this.queueTime);
+        if (!service) return;
+        this.station = service.station;
+        this.serviceTime = service.serviceTime;
+        this.stateMachine.transition('purchasing');
+    }
+
+    /**
+     * 会計中の行動（会計場所に着いてから時間を数える）
+     */
+    updatePurchasing(deltaTime) {
+        if (this.isWalking || this.isPlanning) return;
+        this.waitTime += deltaTime;
+        if (this.waitTime >= this.serviceTime) {
+            this.finishPurchase();
+        }
+    }
+
+    /**
+     * 代金を払って出口へ
+     */
+    finishPurchase(reason = null) {
+        this.completePurchase();
+        this.stateMachine.transition('leaving', reason);
+    }
+
     /**
      * アニメーション更新
      */
@@ -301,8 +1243,20 @@ class CustomerAgent {
      */
     onReachedDestination() {
         this.isWalking = false;
+        this.stuckTime = 0;
+        this.velocity.x = 0;
+        this.velocity.z = 0;
         this.path = [];
+        this.pathCells = [];
+        this.planner = null;
         this.currentPathIndex = 0;
+
+        // 乗り口に着いたら列に並ぶ（降りるまで移動中として扱う）
+        if (this.transfer && this.transfer.status === 'walking') {
+            this.transfer.status = 'waiting';
+            this.isWalking = true;
+            this.store.boardConnector(this.transfer.connector, this, this.transfer.board, this.transfer.exit);
+        }
     }
 
     /**
@@ -311,20 +1265,98 @@ class CustomerAgent {
     collectItem() {
         if (this.currentShopItem < this.shoppingList.length) {
             const item = this.shoppingList[this.currentShopItem];
+            if (item.requestedBy && !this.grantRequest(item)) return;
+
+            const stocked = this.store.takeProduct(item.shelfId, item.sku);
+            if (!stocked && item.unplanned) {
+                // 目に留まった商品が先に売り切れた場合は買わずに済ませる
+                console.log(`Customer ${this.id}: ${item.name} sold out before pickup`);
+                return;
+            }
+            if (!stocked) {
+                this.handleStockOut(item);
+                return;
+            }
+
             this.cart.push(item);
-            this.addItemToCart();
-            console.log(`Customer ${this.id} collected: ${item.name}`);
+            this.addItemToCart(stocked.color);
+            if (item.substituteFor && window.gameStats) {
+                window.gameStats.substitutions++;
+            }
+            console.log(`Customer ${this.id} collected: ${item.name} (${item.sku})`);
+        }
+    }
+
+    /**
+     * 同行者にせがまれた商品を棚の前で買うか決める（同行者は隊形に戻る）
+     */
+    grantRequest(item) {
+        const companion = this.companions.find(member => member.id === item.requestedBy);
+        if (companion) companion.stopRunning();
+
+        const product = this.store.catalog.getProduct(item.sku);
+        if (!product || Math.random() >= this.getPurchaseProbability(product)) {
+            console.log(`Customer ${this.id}: declined ${item.name} for companion ${item.requestedBy}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 品切れへの対応（代わりの商品を買う・あきらめる・買い物を切り上げる）
+     * 店へのロイヤルティが高い客ほど同じカテゴリーの商品で代用し、
+     * 品切れが重なるほど忍耐力の低い客から買い物を切り上げる
+     */
+    handleStockOut(item) {
+        this.stockOuts++;
+        const wanted = item.substituteFor || item; // 代用品も品切れなら元の商品で考える
+        const loyalty = this.profile?.storeLoyalty ?? 0.5;
+        // 忍耐力はセグメントごとに5〜15程度の値（addNoiseで1に丸めない）、15以上を最大とみなす
+        const patience = Math.min(1, (this.profile?.behavioral?.patience ?? 10) / 15);
+        const stats = window.gameStats;
+
+        const substitute = this.store.findSubstitute(this.store.catalog.getProduct(wanted.sku));
+        if (substitute && Math.random() < 0.3 + 0.6 * loyalty) {
+            // 次に取る商品として差し込む（同じ棚ならその場で選び直す）
+            this.shoppingList.splice(this.currentShopItem + 1, 0, {
+                sku: substitute.sku,
+                name: substitute.name,
+                category: substitute.category,
+                price: substitute.price,
+                shelfId: substitute.shelf,
+                position: this.store.getShelfAccessPoint(substitute.shelf),
+                substituteFor: wanted
+            });
+            console.log(`Customer ${this.id}: ${wanted.name} is out of stock, trying ${substitute.name}`);
+            return;
         }
+
+        const leaveProbability = Math.min(1, (1 - patience) * (1 - loyalty) * this.stockOuts);
+        if (Math.random() < leaveProbability) {
+            // 残りの買い物もあきらめる（カートの商品だけ買って帰る）
+            const abandoned = this.shoppingList.splice(this.currentShopItem + 1);
+            const lost = [wanted, ...abandoned.map(other => other.substituteFor || other)];
+            this.frustrated = true;
+            if (stats) {
+                stats.lostSales += lost.reduce((total, product) => total + product.price, 0);
+                stats.frustratedCustomers++;
+            }
+            console.log(`Customer ${this.id}: ${wanted.name} is out of stock, leaving frustrated`);
+            return;
+        }
+
+        if (stats) {
+            stats.lostSales += wanted.price;
+        }
+        console.log(`Customer ${this.id}: ${wanted.name} is out of stock, skipped`);
     }
 
     /**
-     * カートにアイテムを視覚的に追加
+     * カートにアイテムを視覚的に追加（棚の区画と同じ色）
      */
-    addItemToCart() {
+    addItemToCart(color) {
         const itemGeometry = new THREE.BoxGeometry(0.2, 0.2, 0.2);
-        const itemMaterial = new THREE.MeshPhongMaterial({
-            color: Math.random() * 0xffffff
-        });
+        const itemMaterial = new THREE.MeshPhongMaterial({ color });
         const itemMesh = new THREE.Mesh(itemGeometry, itemMaterial);
         
         const itemCount = this.cart.length;
@@ -335,6 +1367,7 @@ class CustomerAgent {
         );
         
         this.cartMesh.add(itemMesh);
+        this.cartItemMeshes.push(itemMesh);
     }
 
     /**
@@ -344,28 +1377,49 @@ class CustomerAgent {
         this.totalSpent = this.cart.reduce((total, item) => total + item.price, 0);
         console.log(`Customer ${this.id} purchased items for ¥${this.totalSpent}`);
         
-        // 統計情報を更新
+        // 統計情報を更新（予定になかった商品は別に数える）
+        this.store.recordPurchase(this.cart);
         if (window.gameStats) {
+            const unplanned = this.cart.filter(item => item.unplanned);
             window.gameStats.totalSales += this.totalSpent;
             window.gameStats.completedCustomers++;
+            window.gameStats.unplannedItems += unplanned.length;
+            window.gameStats.unplannedSales += unplanned.reduce((total, item) => total + item.price, 0);
         }
     }
 
     /**
-     * エージェントを削除
+     * エージェントを削除（行列・会計場所からは状態を出るときに抜ける）
      */
-    remove() {
+    remove(reason = 'removed') {
+        if (this.stateMachine.can('removed')) {
+            this.stateMachine.transition('removed', reason);
+        }
+    }
+
+    /**
+     * 店を出たエージェントの後片付け
+     */
+    dispose() {
+        if (this.isRiding()) {
+            this.store.leaveConnector(this);
+        }
+        this.transfer = null;
+        this.lostItem = null; // 案内係は持ち場に戻る
+        this.companions.forEach(companion => companion.dispose()); // 同行者も一緒に店を出る
+        
         if (this.group && this.scene) {
             this.scene.remove(this.group);
             
             // メモリクリーンアップ
             this.mesh.geometry.dispose();
             this.mesh.material.dispose();
-            
-            if (window.gameStats) {
-                window.gameStats.activeCustomers--;
-            }
         }
+        
+        // 応答待ちの経路は受け取らない
+        this.pathRequestId++;
+        this.isPlanning = false;
+        this.isWalking = false;
     }
 
     /**
@@ -375,9 +1429,26 @@ class CustomerAgent {
         return {
             id: this.id,
             state: this.state,
+            stateTime: this.stateMachine.elapsed,
+            timeBudget: this.timeBudget,
+            timeRemaining: this.getTimeRemaining(),
+            outOfTime: this.outOfTime,
+            segment: this.segment,
+            mobility: this.mobility,
+            groupType: this.profile?.groupType || null,
+            companions: this.companions.map(companion => companion.getDebugInfo()),
+            planning: this.isPlanning,
             position: this.position,
+            floor: this.floor,
+            transfer: this.transfer ? this.transfer.connector.id : null,
+            personalSpace: this.personalSpace,
             cartItems: this.cart.length,
+            unplannedItems: this.cart.filter(item => item.unplanned).length,
+            stockOuts: this.stockOuts,
+            frustrated: this.frustrated,
             totalSpent: this.totalSpent,
+            lane: this.lane ? this.lane.number : null,
+            laneType: this.lane ? this.lane.type : null,
             currentItem: this.currentShopItem < this.shoppingList.length ? 
                         this.shoppingList[this.currentShopItem].name : 'none'
         };
@@ -388,14 +1459,47 @@ class CustomerAgent {
  * エージェント管理クラス
  */
 class AgentManager {
-    constructor(scene, pathFinder) {
+    constructor(scene, pathFinder, store) {
         this.scene = scene;
         this.pathFinder = pathFinder;
+        this.store = store; // 棚の在庫と入口・レジエリア・出口
         this.agents = [];
         this.nextId = 1;
         this.spawnTimer = 0;
         this.spawnInterval = 3; // 3秒ごとにスポーン
         this.maxAgents = 10;
+        
+        // 客層の生成と衝突回避
+        this.customerSegments = new CustomerSegments();
+        this.socialForce = new SocialForceModel();
+        
+        // 客の状態遷移イベントのリスナー（addTransitionListener）
+        this.transitionListeners = new Set();
+        
+        // 客がよけるだけの障害物を返す関数（addSteeringObstacles、品出しの台車など）
+        this.steeringObstacleProviders = new Set();
+        
+        // 経路探索はワーカーでまとめて行う（複数階の店舗は階ごと、最初の階はpathService）
+        this.pathService = new PathFinderService(pathFinder);
+        this.pathServices = new Map();
+        store.floors.getFloorIds().forEach(floor => {
+            const floorPathFinder = store.floors.getPathFinder(floor);
+            this.pathServices.set(floor, floorPathFinder === pathFinder ? this.pathService : new PathFinderService(floorPathFinder));
+        });
+        
+        // 障害物の変化を経路が塞がれたエージェントへ伝える
+        this.removeGridListeners = store.floors.getFloorIds().map(floor =>
+            store.floors.getPathFinder(floor).addChangeListener(change => this.onGridChanged(change, floor))
+        );
+    }
+
+    /**
+     * グリッド変更時の処理（変わった階にいるエージェントだけ）
+     */
+    onGridChanged(change, floor) {
+        this.agents.forEach(agent => {
+            if (agent.floor === floor) agent.onGridChanged(change);
+        });
     }
 
     /**
@@ -404,10 +1508,18 @@ class AgentManager {
     update(deltaTime, simulationSpeed = 1) {
         const scaledDelta = deltaTime * simulationSpeed;
         
+        // 衝突回避（すれ違い・譲り合い）で各エージェントと同行者の速度を決める
+        const obstacles = Array.from(this.steeringObstacleProviders).flatMap(provider => provider());
+        this.socialForce.update(this.agents.flatMap(agent => [agent, ...agent.companions]), scaledDelta, obstacles);
+        
         // エージェントを更新
         for (let i = this.agents.length - 1; i >= 0; i--) {
             const agent = this.agents[i];
             agent.update(scaledDelta);
+            agent.group.visible = this.store.isFloorVisible(agent.floor);
+            agent.companions.forEach(companion => {
+                companion.group.visible = this.store.isFloorVisible(companion.floor);
+            });
             
             // 削除されたエージェントを配列から除去
             if (agent.state === 'removed') {
@@ -433,14 +1545,42 @@ class AgentManager {
      * エージェントをスポーン
      */
     spawnAgent() {
-        const agent = new CustomerAgent(this.scene, this.pathFinder, this.nextId++);
+        const segmentType = this.customerSegments.selectRandomSegment();
+        const profile = this.customerSegments.generateCustomer(segmentType);
+        const agent = new CustomerAgent(this.scene, this.pathFinder, this.nextId++, this.store, profile, this.pathService, this.pathServices);
         this.agents.push(agent);
+        agent.stateMachine.addTransitionListener(event => {
+            // 店を出た客の来店時間を客層ごとに記録（リセットなどで撤去した客は数えない）
+            if (event.to === 'removed' && event.from === 'leaving' && event.reason !== 'removed') {
+                this.store.recordVisit(agent.segment, event.time, agent.timeBudget, agent.outOfTime);
+            }
+            this.transitionListeners.forEach(listener => listener(event));
+        });
+        agent.start();
         
         if (window.gameStats) {
             window.gameStats.activeCustomers++;
         }
     }
 
+    /**
+     * すべての客の状態遷移イベントのリスナーを追加（戻り値の関数で解除）
+     * イベント: { owner（客）, from, to, reason, elapsed（前の状態にいた時間）, time（入店からの時間） }
+     */
+    addTransitionListener(listener) {
+        this.transitionListeners.add(listener);
+        return () => this.transitionListeners.delete(listener);
+    }
+
+    /**
+     * 客がソーシャルフォースでよける障害物を返す関数を追加（戻り値の関数で解除）
+     * 障害物: { position, bodyRadius, floor }（グリッドを変えないので経路のキャッシュは残る）
+     */
+    addSteeringObstacles(provider) {
+        this.steeringObstacleProviders.add(provider);
+        return () => this.steeringObstacleProviders.delete(provider);
+    }
+
     /**
      * エージェント数を設定
      */
@@ -461,6 +1601,15 @@ class AgentManager {
         }
     }
 
+    /**
+     * 後片付け
+     */
+    dispose() {
+        this.clearAllAgents();
+        this.removeGridListeners.forEach(removeListener => removeListener());
+        this.pathServices.forEach(service => service.dispose());
+    }
+
     /**
      * デバッグ情報を取得
      */
@@ -0,0 +1,148 @@
+/**
+ * インデックス付き二分ヒープ（最小ヒープ）
+ * 0〜capacity-1 の整数IDを要素とし、優先度の更新（decrease-key）に対応
+ */
+
+class BinaryHeap {
+    /**
+     * @param {number} capacity 要素IDの上限（グリッドのセル数など）
+     * @param {function(number, number): boolean} lessThan aがbより優先される場合にtrue
+     */
+    constructor(capacity, lessThan) {
+        this.lessThan = lessThan;
+        this.items = new Int32Array(capacity);
+        this.positions = new Int32Array(capacity).fill(-1);
+        this.size = 0;
+    }
+
+    /**
+     * 要素数が0かどうか
+     */
+    isEmpty() {
+        return this.size === 0;
+    }
+
+    /**
+     * 要素がヒープ内にあるか
+     */
+    has(id) {
+        return this.positions[id] !== -1;
+    }
+
+    /**
+     * 要素を追加（既に存在する場合は位置を更新）
+     */
+    push(id) {
+        if (this.has(id)) {
+            this.update(id);
+            return;
+        }
+        this.items[this.size] = id;
+        this.positions[id] = this.size;
+        this.size++;
+        this.siftUp(this.size - 1);
+    }
+
+    /**
+     * 最優先の要素を参照
+     */
+    peek() {
+        return this.size > 0 ? this.items[0] : -1;
+    }
+
+    /**
+     * 最優先の要素を取り出す
+     */
+    pop() {
+        if (this.size === 0) return -1;
+
+        const top = this.items[0];
+        this.removeAt(0);
+        return top;
+    }
+
+    /**
+     * 任意の要素を削除
+     */
+    remove(id) {
+        const index = this.positions[id];
+        if (index !== -1) {
+            this.removeAt(index);
+        }
+    }
+
+    /**
+     * 優先度が変化した要素の位置を修正
+     */
+    update(id) {
+        const index = this.positions[id];
+        if (index === -1) return;
+
+        this.siftUp(index);
+        this.siftDown(this.positions[id]);
+    }
+
+    /**
+     * 全要素を削除（格納中の要素数に比例するコスト）
+     */
+    clear() {
+        for (let i = 0; i < this.size; i++) {
+            this.positions[this.items[i]] = -1;
+        }
+        this.size = 0;
+    }
+
+    removeAt(index) {
+        const removed = this.items[index];
+        this.positions[removed] = -1;
+        this.size--;
+
+        if (index === this.size) return;
+
+        const last = this.items[this.size];
+        this.items[index] = last;
+        this.positions[last] = index;
+        this.siftUp(index);
+        this.siftDown(this.positions[last]);
+    }
+
+    siftUp(index) {
+        const id = this.items[index];
+
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            const parent = this.items[parentIndex];
+            if (!this.lessThan(id, parent)) break;
+
+            this.items[index] = parent;
+            this.positions[parent] = index;
+            index = parentIndex;
+        }
+
+        this.items[index] = id;
+        this.positions[id] = index;
+    }
+
+    siftDown(index) {
+        const id = this.items[index];
+        const half = this.size >> 1;
+
+        while (index < half) {
+            let childIndex = 2 * index + 1;
+            const rightIndex = childIndex + 1;
+            if (rightIndex < this.size && this.lessThan(this.items[rightIndex], this.items[childIndex])) {
+                childIndex = rightIndex;
+            }
+
+            const child = this.items[childIndex];
+            if (!this.lessThan(child, id)) break;
+
+            this.items[index] = child;
+            this.positions[child] = index;
+            index = childIndex;
+        }
+
+        this.items[index] = id;
+        this.positions[id] = index;
+    }
+}
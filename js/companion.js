@@ -0,0 +1,219 @@
+/**
+ * 同行者クラス
+ * 買い物グループ（夫婦・友人・子ども連れ）で先導する客（CustomerAgent）についていく客
+ * 先導者の歩いた跡をたどって隊形を保ち、カートと会計は先導者にまかせる
+ * 子どもは好きな売場へ先に駆けていくことがある（先導者が寄り道を決める）
+ */
+
+class CompanionAgent {
+    constructor(leader, profile, slot) {
+        this.leader = leader;
+        this.scene = leader.scene;
+        this.profile = profile; // CustomerSegments.createCompanionsの結果 { type, age, preferences, pullTendency }
+        this.type = profile.type;
+        this.id = `${leader.id}-${slot + 1}`;
+        this.groupId = leader.id; // 同じグループの客どうしは衝突回避で避け合わない
+        this.slot = slot; // 隊形での位置（0から、2人ずつ先導者の後ろに並ぶ）
+        this.parameters = {
+            spacing: 0.8, // 先導者の歩いた跡に沿った前の列との間隔（m）
+            sideOffset: 0.35, // 跡から左右にずれる幅（m）
+            catchUpDistance: 8, // これより離れたら人混みを抜けて隊形に戻る（m）
+            arrivalDistance: 0.3 // 隊形の位置に着いたとみなす距離（m）
+        };
+
+        this.floor = leader.floor;
+        this.position = { x: leader.position.x, y: 0, z: leader.position.z };
+        this.velocity = { x: 0, z: 0 };
+        this.target = null; // 今向かっている地点（隊形の位置か駆けていく売場）
+        this.runTarget = null; // 子どもが駆けていく売場の取る位置（先導者が着くまで）
+        this.isWalking = false;
+
+        // 衝突回避用の体の半径とパーソナルスペース（子どもは小さい）
+        this.bodyRadius = this.type === 'child' ? 0.2 : 0.3;
+        this.personalSpace = this.bodyRadius + 0.3;
+        this.speed = leader.speed * 1.3; // 遅れたら先導者より速く歩いて追いつく
+
+        this.createMesh();
+    }
+
+    /**
+     * 3Dメッシュを作成（先導者と同じ色の服、子どもは背が低い）
+     */
+    createMesh() {
+        const height = this.type === 'child' ? 0.8 : 1.6;
+        this.bodyHeight = (height + this.bodyRadius * 2) / 2;
+
+        const geometry = new THREE.CapsuleGeometry(this.bodyRadius, height, 4, 8);
+        const material = new THREE.MeshPhongMaterial({ color: this.leader.mesh.material.color });
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.set(0, this.bodyHeight, 0);
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+
+        this.group = new THREE.Group();
+        this.group.add(this.mesh);
+        this.group.position.set(this.position.x, this.leader.group.position.y, this.position.z);
+        this.scene.add(this.group);
+    }
+
+    /**
+     * 地点に立つ（入店時・はぐれて隊形に戻るとき）
+     */
+    placeAt(point) {
+        this.position.x = point.x;
+        this.position.z = point.z;
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        this.group.position.x = point.x;
+        this.group.position.z = point.z;
+    }
+
+    /**
+     * 先導者が寄り道する売場へ先に駆けていく
+     */
+    runTo(point) {
+        this.runTarget = { x: point.x, z: point.z };
+    }
+
+    /**
+     * 隊形に戻る
+     */
+    stopRunning() {
+        this.runTarget = null;
+    }
+
+    /**
+     * 隊形での位置（先導者の歩いた跡をslotの列の分だけさかのぼり、左右にずらす）
+     * 行列に並んでいる間と会計中は、後ろの客の場所を空けるよう先導者の横に立つ
+     */
+    getFormationPoint() {
+        const leader = this.leader;
+        const { spacing, sideOffset } = this.parameters;
+        const row = Math.floor(this.slot / 2) + 1;
+        const side = this.slot % 2 === 0 ? 1 : -1;
+        const atCheckout = leader.state === 'queuing' || leader.state === 'purchasing';
+
+        let point = { x: leader.position.x, z: leader.position.z };
+        let direction = { x: Math.sin(leader.group.rotation.y), z: Math.cos(leader.group.rotation.y) }; // 進む向き
+        let remaining = atCheckout ? 0 : row * spacing;
+        for (let i = leader.trail.length - 1; i >= 0 && remaining > 0; i--) {
+            const dx = leader.trail[i].x - point.x;
+            const dz = leader.trail[i].z - point.z;
+            const length = Math.sqrt(dx * dx + dz * dz);
+            if (length === 0) continue;
+
+            const step = Math.min(length, remaining);
+            direction = { x: -dx / length, z: -dz / length };
+            point = { x: point.x + dx / length * step, z: point.z + dz / length * step };
+            remaining -= step;
+        }
+
+        // 左右にずらした位置が棚にかかる場合は跡の上を歩く
+        const offset = atCheckout ? sideOffset * 2 * row : sideOffset;
+        const beside = { x: point.x + direction.z * side * offset, z: point.z - direction.x * side * offset };
+        return this.canEnter(beside.x, beside.z) ? beside : point;
+    }
+
+    canEnter(x, z) {
+        const pathFinder = this.leader.pathFinder;
+        const cell = pathFinder.worldToGrid(x, z);
+        return pathFinder.isWalkable(cell.x, cell.y);
+    }
+
+    /**
+     * 向かっている地点への速度（ソーシャルフォースモデルの目標速度、近づくほどゆっくり）
+     */
+    getDesiredVelocity() {
+        if (!this.target) return { x: 0, z: 0 };
+
+        const dx = this.target.x - this.position.x;
+        const dz = this.target.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < this.parameters.arrivalDistance) return { x: 0, z: 0 };
+
+        const speed = Math.min(this.speed, distance * 2);
+        return { x: dx / distance * speed, z: dz / distance * speed };
+    }
+
+    /**
+     * 更新処理（先導者のupdateから呼ぶ）
+     */
+    update(deltaTime) {
+        const leader = this.leader;
+
+        // エスカレーター・エレベーターには先導者と一緒に乗る（定員には数えない）
+        if (leader.isRiding()) {
+            this.target = null;
+            this.placeAt(leader.position);
+            this.group.position.y = leader.group.position.y;
+            return;
+        }
+        if (this.floor !== leader.floor) {
+            this.floor = leader.floor;
+            this.group.position.y = leader.store.floors.getElevation(this.floor);
+            this.placeAt(leader.position);
+        }
+
+        if (this.runTarget && leader.state !== 'shopping') {
+            this.stopRunning();
+        }
+        this.target = this.runTarget || this.getFormationPoint();
+
+        const dx = this.target.x - this.position.x;
+        const dz = this.target.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance > this.parameters.catchUpDistance) {
+            this.placeAt(this.target);
+            return;
+        }
+
+        // AgentManagerの衝突回避で決まった速度で移動（なければ目標へ直進）
+        const hasSteering = this.velocity.x !== 0 || this.velocity.z !== 0;
+        const desired = hasSteering ? this.velocity : this.getDesiredVelocity();
+        this.isWalking = desired.x !== 0 || desired.z !== 0;
+        if (!this.isWalking) return;
+
+        this.moveBy(desired.x * deltaTime, desired.z * deltaTime);
+        this.group.position.x = this.position.x;
+        this.group.position.z = this.position.z;
+        this.group.rotation.y = Math.atan2(desired.x, desired.z);
+        this.mesh.position.y = this.bodyHeight + Math.sin(Date.now() * 0.01) * 0.05;
+    }
+
+    /**
+     * 障害物に入り込まないよう移動（ぶつかる場合は軸ごとに滑らせる）
+     */
+    moveBy(moveX, moveZ) {
+        const { x, z } = this.position;
+        if (!this.canEnter(x, z) || this.canEnter(x + moveX, z + moveZ)) {
+            this.position.x += moveX;
+            this.position.z += moveZ;
+        } else if (this.canEnter(x + moveX, z)) {
+            this.position.x += moveX;
+        } else if (this.canEnter(x, z + moveZ)) {
+            this.position.z += moveZ;
+        }
+    }
+
+    /**
+     * 先導者と一緒に店を出たときの後片付け
+     */
+    dispose() {
+        this.scene.remove(this.group);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+
+    /**
+     * デバッグ情報を取得
+     */
+    getDebugInfo() {
+        return {
+            id: this.id,
+            type: this.type,
+            position: this.position,
+            floor: this.floor,
+            running: this.runTarget !== null
+        };
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * D* Lite による増分経路再計画
+ * 目標から逆向きに探索した結果を保持し、障害物の変化があったセルの周辺だけを更新する
+ */
+
+class DStarLitePlanner {
+    constructor(pathFinder, goalWorld, { minClearance = 0 } = {}) {
+        this.pathFinder = pathFinder;
+        this.goalWorld = { x: goalWorld.x, z: goalWorld.z };
+        this.minClearance = minClearance; // 通過セルに必要なクリアランス（m）
+
+        const cellCount = pathFinder.cellCount;
+        this.g = new Float64Array(cellCount).fill(Infinity);
+        this.rhs = new Float64Array(cellCount).fill(Infinity);
+        this.key1 = new Float64Array(cellCount);
+        this.key2 = new Float64Array(cellCount);
+        this.openSet = new BinaryHeap(cellCount, (a, b) =>
+            this.key1[a] < this.key1[b] || (this.key1[a] === this.key1[b] && this.key2[a] < this.key2[b])
+        );
+
+        this.km = 0;
+        this.lastStartIndex = -1;
+        this.pendingCells = new Set();
+
+        // 目標セルがクリアランスを満たさない場合は最寄りの通行可能セルを目標にする
+        const goal = pathFinder.worldToGrid(goalWorld.x, goalWorld.z);
+        this.goalIndex = pathFinder.isValidCoordinate(goal.x, goal.y)
+            ? pathFinder.findNearestWalkable(goal.x, goal.y, 5, minClearance)
+            : -1;
+
+        if (this.goalIndex !== -1) {
+            this.rhs[this.goalIndex] = 0;
+            this.calculateKey(this.goalIndex, this.goalIndex);
+            this.openSet.push(this.goalIndex);
+        }
+    }
+
+    /**
+     * 同じ目標に対する計画かどうか
+     */
+    hasGoal(goalWorld) {
+        const goal = this.pathFinder.worldToGrid(goalWorld.x, goalWorld.z);
+        return this.pathFinder.isValidCoordinate(goal.x, goal.y) &&
+            this.pathFinder.findNearestWalkable(goal.x, goal.y, 5, this.minClearance) === this.goalIndex;
+    }
+
+    /**
+     * 歩行可否が変化したセルを登録（次回のcomputePathで反映）
+     */
+    notifyChanged(cells) {
+        cells.forEach(index => this.pendingCells.add(index));
+    }
+
+    /**
+     * 現在位置から目標までの経路をセル番号の配列で返す
+     */
+    computePath(startWorld) {
+        const pathFinder = this.pathFinder;
+        const start = pathFinder.worldToGrid(startWorld.x, startWorld.z);
+        if (this.goalIndex === -1 || !pathFinder.isValidCoordinate(start.x, start.y)) {
+            return [];
+        }
+
+        pathFinder.updateClearance();
+        const startIndex = pathFinder.findNearestWalkable(start.x, start.y, 5, this.minClearance);
+        if (startIndex === -1) return [];
+
+        // 前回計画時からの移動分だけキーの下限を補正
+        if (this.lastStartIndex !== -1 && this.lastStartIndex !== startIndex) {
+            this.km += this.heuristic(this.lastStartIndex, startIndex);
+        }
+        this.lastStartIndex = startIndex;
+
+        this.applyPendingChanges(startIndex);
+        this.computeShortestPath(startIndex);
+
+        return this.extractPath(startIndex);
+    }
+
+    /**
+     * 変化したセルと隣接セルのrhsを更新
+     * クリアランスを使う場合は、変化セルからその距離以内にあるセルも対象にする
+     */
+    applyPendingChanges(startIndex) {
+        if (this.pendingCells.size === 0) return;
+
+        const pathFinder = this.pathFinder;
+        const reach = this.minClearance > 0 ? Math.ceil(this.minClearance / pathFinder.cellSize) + 1 : 1;
+        const affected = new Set();
+        this.pendingCells.forEach(index => {
+            const x = index % pathFinder.gridWidth;
+            const y = (index - x) / pathFinder.gridWidth;
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (let dx = -reach; dx <= reach; dx++) {
+                    if (pathFinder.isValidCoordinate(x + dx, y + dy)) {
+                        affected.add(pathFinder.toIndex(x + dx, y + dy));
+                    }
+                }
+            }
+        });
+        this.pendingCells.clear();
+
+        affected.forEach(index => this.updateVertex(index, startIndex));
+    }
+
+    computeShortestPath(startIndex) {
+        const maxIterations = this.pathFinder.cellCount * 8;
+        let iterations = 0;
+
+        while (!this.openSet.isEmpty() && iterations++ < maxIterations) {
+            const top = this.openSet.peek();
+
+            // 開始セルのキー（ヒープ内の値を書き換えないよう局所変数で計算）
+            const startCost = Math.min(this.g[startIndex], this.rhs[startIndex]);
+            const startKey1 = startCost + this.km;
+            const topBeforeStart = this.key1[top] < startKey1 ||
+                (this.key1[top] === startKey1 && this.key2[top] < startCost);
+            if (!topBeforeStart && this.rhs[startIndex] === this.g[startIndex]) {
+                break;
+            }
+
+            const oldKey1 = this.key1[top];
+            const oldKey2 = this.key2[top];
+            this.calculateKey(top, startIndex);
+
+            if (oldKey1 < this.key1[top] || (oldKey1 === this.key1[top] && oldKey2 < this.key2[top])) {
+                // キーが古くなっていたので入れ直す
+                this.openSet.update(top);
+            } else if (this.g[top] > this.rhs[top]) {
+                this.g[top] = this.rhs[top];
+                this.openSet.remove(top);
+                this.forEachNeighbor(top, neighbor => this.updateVertex(neighbor, startIndex));
+            } else {
+                this.g[top] = Infinity;
+                this.updateVertex(top, startIndex);
+                this.forEachNeighbor(top, neighbor => this.updateVertex(neighbor, startIndex));
+            }
+        }
+    }
+
+    updateVertex(index, startIndex) {
+        if (index !== this.goalIndex) {
+            let best = Infinity;
+            this.forEachNeighbor(index, (neighbor, dir) => {
+                const cost = this.pathFinder.getStepCost(index, neighbor, dir, this.minClearance) + this.g[neighbor];
+                if (cost < best) best = cost;
+            });
+            this.rhs[index] = best;
+        }
+
+        if (this.g[index] !== this.rhs[index]) {
+            this.calculateKey(index, startIndex);
+            this.openSet.push(index);
+        } else {
+            this.openSet.remove(index);
+        }
+    }
+
+    calculateKey(index, startIndex) {
+        const minCost = Math.min(this.g[index], this.rhs[index]);
+        this.key1[index] = minCost + this.heuristic(startIndex, index) + this.km;
+        this.key2[index] = minCost;
+    }
+
+    heuristic(a, b) {
+        const width = this.pathFinder.gridWidth;
+        const ax = a % width;
+        const bx = b % width;
+        return this.pathFinder.getHeuristic(ax, (a - ax) / width, bx, (b - bx) / width);
+    }
+
+    /**
+     * gの勾配を下って経路を取り出す
+     */
+    extractPath(startIndex) {
+        if (this.g[startIndex] === Infinity && this.rhs[startIndex] === Infinity) {
+            return [];
+        }
+
+        const cells = [startIndex];
+        let current = startIndex;
+        const maxSteps = this.pathFinder.cellCount;
+
+        while (current !== this.goalIndex && cells.length < maxSteps) {
+            let next = -1;
+            let best = Infinity;
+            this.forEachNeighbor(current, (neighbor, dir) => {
+                const cost = this.pathFinder.getStepCost(current, neighbor, dir, this.minClearance) + this.g[neighbor];
+                if (cost < best) {
+                    best = cost;
+                    next = neighbor;
+                }
+            });
+
+            if (next === -1) return [];
+            cells.push(next);
+            current = next;
+        }
+
+        return current === this.goalIndex ? cells : [];
+    }
+
+    forEachNeighbor(index, callback) {
+        const pathFinder = this.pathFinder;
+        const x = index % pathFinder.gridWidth;
+        const y = (index - x) / pathFinder.gridWidth;
+
+        for (let dir = 0; dir < 8; dir++) {
+            const nx = x + PATH_DIRECTIONS_X[dir];
+            const ny = y + PATH_DIRECTIONS_Y[dir];
+            if (pathFinder.isValidCoordinate(nx, ny)) {
+                callback(pathFinder.toIndex(nx, ny), dir);
+            }
+        }
+    }
+}
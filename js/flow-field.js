@@ -0,0 +1,116 @@
+/**
+ * フローフィールド（目的地までの距離場）
+ * レジ・出口・売場など多くのエージェントが向かう目的地について一度だけ計算し、
+ * 各エージェントは距離が小さくなる方向へ進むだけで経路をたどれる
+ */
+
+class FlowField {
+    constructor(pathFinder, goalIndex, minClearance = 0) {
+        this.pathFinder = pathFinder;
+        this.goalIndex = goalIndex;
+        this.minClearance = minClearance; // 通過セルに必要なクリアランス（m）
+        this.version = pathFinder.version;
+
+        const cellCount = pathFinder.cellCount;
+        this.distance = new Float64Array(cellCount).fill(Infinity);
+        this.next = new Int32Array(cellCount).fill(-1);
+
+        this.compute();
+    }
+
+    /**
+     * 目的地からのダイクストラ法で距離場と進行方向を計算
+     */
+    compute() {
+        const pathFinder = this.pathFinder;
+        const width = pathFinder.gridWidth;
+        const distance = this.distance;
+        const minClearance = this.minClearance;
+        const openSet = new BinaryHeap(pathFinder.cellCount, (a, b) => distance[a] < distance[b]);
+
+        // 目的地が棚などの上にある場合は最寄りの歩行可能セルを起点にする
+        pathFinder.updateClearance();
+        const goalX = this.goalIndex % width;
+        const seed = pathFinder.findNearestWalkable(goalX, (this.goalIndex - goalX) / width, 5, minClearance);
+        if (seed === -1) return;
+
+        distance[seed] = 0;
+        openSet.push(seed);
+
+        while (!openSet.isEmpty()) {
+            const current = openSet.pop();
+            const currentX = current % width;
+            const currentY = (current - currentX) / width;
+
+            for (let dir = 0; dir < 8; dir++) {
+                const x = currentX + PATH_DIRECTIONS_X[dir];
+                const y = currentY + PATH_DIRECTIONS_Y[dir];
+                if (!pathFinder.isValidCoordinate(x, y)) continue;
+
+                const neighbor = y * width + x;
+                const newDistance = distance[current] + pathFinder.getStepCost(current, neighbor, dir, minClearance);
+                if (newDistance < distance[neighbor]) {
+                    distance[neighbor] = newDistance;
+                    this.next[neighbor] = current;
+                    openSet.push(neighbor);
+                }
+            }
+        }
+    }
+
+    /**
+     * 計算後にグリッドが変更されていないか
+     */
+    isValid() {
+        return this.version === this.pathFinder.version;
+    }
+
+    /**
+     * ワールド座標から目的地までのコストを取得（到達不能ならInfinity）
+     */
+    distanceAt(worldPos) {
+        const cell = this.pathFinder.worldToGrid(worldPos.x, worldPos.z);
+        if (!this.pathFinder.isValidCoordinate(cell.x, cell.y)) return Infinity;
+        return this.distance[this.pathFinder.toIndex(cell.x, cell.y)];
+    }
+
+    /**
+     * ワールド座標での進行方向（正規化済み）を取得
+     */
+    getDirection(worldPos) {
+        const pathFinder = this.pathFinder;
+        const cell = pathFinder.worldToGrid(worldPos.x, worldPos.z);
+        if (!pathFinder.isValidCoordinate(cell.x, cell.y)) return null;
+
+        const next = this.next[pathFinder.toIndex(cell.x, cell.y)];
+        if (next === -1) return null;
+
+        const nextX = next % pathFinder.gridWidth;
+        const target = pathFinder.gridToWorld(nextX, (next - nextX) / pathFinder.gridWidth);
+        const dx = target.x + pathFinder.cellSize / 2 - worldPos.x;
+        const dz = target.z + pathFinder.cellSize / 2 - worldPos.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+
+        return length > 0 ? { x: dx / length, z: dz / length } : null;
+    }
+
+    /**
+     * 進行方向をたどって開始位置から目的地までのセル経路を取得
+     */
+    traceCells(startWorld) {
+        const pathFinder = this.pathFinder;
+        const start = pathFinder.worldToGrid(startWorld.x, startWorld.z);
+        if (!pathFinder.isValidCoordinate(start.x, start.y)) return [];
+
+        let current = pathFinder.findNearestWalkable(start.x, start.y, 5, this.minClearance);
+        if (current === -1 || this.distance[current] === Infinity) return [];
+
+        const cells = [current];
+        while (this.next[current] !== -1 && cells.length < pathFinder.cellCount) {
+            current = this.next[current];
+            cells.push(current);
+        }
+
+        return cells;
+    }
+}
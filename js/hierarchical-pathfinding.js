@@ -0,0 +1,506 @@
+/**
+ * 階層型経路探索（HPA*）
+ * グリッドを一定サイズのクラスタに分け、クラスタ境界の出入口を結ぶ抽象グラフ上で探索してから
+ * クラスタ内の経路（キャッシュ済み）をつなぎ合わせる。大型店舗のグリッドでも探索範囲を小さく保てる
+ *
+ * 抽象グラフは必要なクリアランスごとに作り、グリッド変更時は変更のあったクラスタの周辺だけ作り直す
+ */
+
+// 隣接クラスタへの直進方向（PATH_DIRECTIONS_X/Yのインデックス）
+const HPA_DIRECTION_RIGHT = 6;
+const HPA_DIRECTION_DOWN = 4;
+
+class HierarchicalPathFinder {
+    constructor(pathFinder, { clusterSize = 10 } = {}) {
+        this.pathFinder = pathFinder;
+        this.clusterSize = clusterSize;
+        this.clustersX = Math.ceil(pathFinder.gridWidth / clusterSize);
+        this.clustersY = Math.ceil(pathFinder.gridHeight / clusterSize);
+
+        this.parameters = {
+            maxEntranceWidth: 6 // これ以上の幅の出入口は中央ではなく両端に遷移点を置く
+        };
+
+        // クリアランスごとの抽象グラフ
+        this.layers = new Map();
+
+        // 抽象グラフ探索用（セル番号で引く）
+        const cellCount = pathFinder.cellCount;
+        this.gScore = new Float64Array(cellCount);
+        this.fScore = new Float64Array(cellCount);
+        this.parentCell = new Int32Array(cellCount);
+        this.parentCells = new Array(cellCount);
+        this.generation = new Uint32Array(cellCount);
+        this.closedGeneration = new Uint32Array(cellCount);
+        this.searchGeneration = 0;
+        this.openSet = new BinaryHeap(cellCount, (a, b) => this.fScore[a] < this.fScore[b]);
+
+        // クラスタ内探索用（クラスタ内のローカル番号で引く）
+        const localCount = clusterSize * clusterSize;
+        this.localDistance = new Float64Array(localCount);
+        this.localParent = new Int32Array(localCount);
+        this.localOpenSet = new BinaryHeap(localCount, (a, b) => this.localDistance[a] < this.localDistance[b]);
+
+        this.removeGridListener = pathFinder.addChangeListener(change => this.onGridChanged(change));
+    }
+
+    /**
+     * グリッド変更時に影響するクラスタを再構築待ちにする
+     * クリアランスは障害物から離れたセルにも影響するため、その範囲のクラスタも含める
+     */
+    onGridChanged(change) {
+        if (this.layers.size === 0) return;
+
+        const pathFinder = this.pathFinder;
+        const usesClearance = Array.from(this.layers.keys()).some(minClearance => minClearance > 0);
+        const reach = usesClearance ? Math.ceil(pathFinder.maxClearance / pathFinder.cellSize) : 0;
+        const dirty = new Set();
+
+        change.cells.forEach(index => {
+            const x = index % pathFinder.gridWidth;
+            const y = (index - x) / pathFinder.gridWidth;
+            const minCX = Math.max(0, Math.floor((x - reach) / this.clusterSize));
+            const maxCX = Math.min(this.clustersX - 1, Math.floor((x + reach) / this.clusterSize));
+            const minCY = Math.max(0, Math.floor((y - reach) / this.clusterSize));
+            const maxCY = Math.min(this.clustersY - 1, Math.floor((y + reach) / this.clusterSize));
+
+            for (let cy = minCY; cy <= maxCY; cy++) {
+                for (let cx = minCX; cx <= maxCX; cx++) {
+                    dirty.add(cy * this.clustersX + cx);
+                }
+            }
+        });
+
+        this.layers.forEach(layer => {
+            dirty.forEach(cluster => layer.dirtyClusters.add(cluster));
+        });
+    }
+
+    /**
+     * A*（PathFinder.findGridPath）と同じ形式でセル番号の経路を返す
+     * 抽象グラフ上の最短経路なので、グリッド上の最短経路よりわずかに長くなることがある
+     */
+    findGridPath(startWorld, endWorld, { minClearance = 0 } = {}) {
+        const pathFinder = this.pathFinder;
+        const start = pathFinder.worldToGrid(startWorld.x, startWorld.z);
+        const end = pathFinder.worldToGrid(endWorld.x, endWorld.z);
+
+        if (!pathFinder.isValidCoordinate(start.x, start.y) || !pathFinder.isWalkable(end.x, end.y)) {
+            return [];
+        }
+
+        const startIndex = pathFinder.findNearestWalkable(start.x, start.y, 5, minClearance);
+        const endIndex = pathFinder.findNearestWalkable(end.x, end.y, 5, minClearance);
+        if (startIndex === -1 || endIndex === -1) return [];
+        if (startIndex === endIndex) return [startIndex];
+
+        const layer = this.getLayer(minClearance);
+        return this.searchAbstract(layer, startIndex, endIndex);
+    }
+
+    /**
+     * ワールド座標のパスを返す（PathFinder.findPathの階層版）
+     */
+    findPath(startWorld, endWorld, options = {}) {
+        return this.pathFinder.cellsToPath(this.findGridPath(startWorld, endWorld, options), options);
+    }
+
+    /**
+     * クリアランスごとの抽象グラフを取得（再構築待ちのクラスタがあれば作り直す）
+     */
+    getLayer(minClearance) {
+        this.pathFinder.updateClearance();
+
+        let layer = this.layers.get(minClearance);
+        if (!layer) {
+            layer = {
+                minClearance,
+                borders: new Map(),      // 境界 → 遷移点の配列 { a, b, cost }
+                interEdges: new Map(),   // セル → 隣のクラスタへの辺
+                clusterNodes: new Map(), // クラスタ → 境界上のノード（セル番号）
+                intraEdges: new Map(),   // クラスタ → (セル → クラスタ内の辺)
+                dirtyClusters: new Set()
+            };
+            for (let cluster = 0; cluster < this.clustersX * this.clustersY; cluster++) {
+                this.scanBorder(layer, cluster, 'right');
+                this.scanBorder(layer, cluster, 'down');
+            }
+            this.rebuildInterEdges(layer);
+            this.layers.set(minClearance, layer);
+        } else if (layer.dirtyClusters.size > 0) {
+            this.rebuildClusters(layer);
+        }
+
+        return layer;
+    }
+
+    /**
+     * 再構築待ちのクラスタに接する境界を走査し直し、周辺クラスタのキャッシュを破棄
+     */
+    rebuildClusters(layer) {
+        const affected = new Set();
+
+        layer.dirtyClusters.forEach(cluster => {
+            const cx = cluster % this.clustersX;
+            const cy = (cluster - cx) / this.clustersX;
+
+            // 各クラスタは右と下の境界を持つので、左と上の隣接クラスタの境界も走査する
+            this.scanBorder(layer, cluster, 'right');
+            this.scanBorder(layer, cluster, 'down');
+            if (cx > 0) this.scanBorder(layer, cluster - 1, 'right');
+            if (cy > 0) this.scanBorder(layer, cluster - this.clustersX, 'down');
+
+            affected.add(cluster);
+            if (cx > 0) affected.add(cluster - 1);
+            if (cx < this.clustersX - 1) affected.add(cluster + 1);
+            if (cy > 0) affected.add(cluster - this.clustersX);
+            if (cy < this.clustersY - 1) affected.add(cluster + this.clustersX);
+        });
+        layer.dirtyClusters.clear();
+
+        affected.forEach(cluster => {
+            layer.clusterNodes.delete(cluster);
+            layer.intraEdges.delete(cluster);
+        });
+        this.rebuildInterEdges(layer);
+    }
+
+    /**
+     * クラスタの右または下の境界で、両側とも通行できる区間を出入口として遷移点を置く
+     */
+    scanBorder(layer, cluster, side) {
+        const pathFinder = this.pathFinder;
+        const key = `${cluster}:${side}`;
+        const cx = cluster % this.clustersX;
+        const cy = (cluster - cx) / this.clustersX;
+        const x0 = cx * this.clusterSize;
+        const y0 = cy * this.clusterSize;
+        const transitions = [];
+
+        const horizontal = side === 'right';
+        const lineX = horizontal ? x0 + this.clusterSize - 1 : x0;
+        const lineY = horizontal ? y0 : y0 + this.clusterSize - 1;
+        const length = horizontal
+            ? Math.min(this.clusterSize, pathFinder.gridHeight - y0)
+            : Math.min(this.clusterSize, pathFinder.gridWidth - x0);
+        const outside = horizontal ? lineX + 1 >= pathFinder.gridWidth : lineY + 1 >= pathFinder.gridHeight;
+
+        if (!outside) {
+            const cellAt = offset => horizontal
+                ? { x: lineX, y: lineY + offset, nx: lineX + 1, ny: lineY + offset }
+                : { x: lineX + offset, y: lineY, nx: lineX + offset, ny: lineY + 1 };
+            const isOpen = offset => {
+                const cell = cellAt(offset);
+                return pathFinder.isPassable(cell.x, cell.y, layer.minClearance) &&
+                    pathFinder.isPassable(cell.nx, cell.ny, layer.minClearance);
+            };
+            const addTransition = offset => {
+                const cell = cellAt(offset);
+                const a = pathFinder.toIndex(cell.x, cell.y);
+                const b = pathFinder.toIndex(cell.nx, cell.ny);
+                const direction = horizontal ? HPA_DIRECTION_RIGHT : HPA_DIRECTION_DOWN;
+                transitions.push({ a, b, cost: pathFinder.getStepCost(a, b, direction, layer.minClearance) });
+            };
+
+            let runStart = -1;
+            for (let offset = 0; offset <= length; offset++) {
+                const open = offset < length && isOpen(offset);
+                if (open && runStart === -1) {
+                    runStart = offset;
+                } else if (!open && runStart !== -1) {
+                    const runEnd = offset - 1;
+                    if (runEnd - runStart + 1 >= this.parameters.maxEntranceWidth) {
+                        addTransition(runStart);
+                        addTransition(runEnd);
+                    } else {
+                        addTransition(Math.floor((runStart + runEnd) / 2));
+                    }
+                    runStart = -1;
+                }
+            }
+        }
+
+        layer.borders.set(key, transitions);
+    }
+
+    /**
+     * 遷移点からクラスタ間の辺を作り直す
+     */
+    rebuildInterEdges(layer) {
+        layer.interEdges.clear();
+
+        const addEdge = (from, to, cost) => {
+            if (!layer.interEdges.has(from)) {
+                layer.interEdges.set(from, []);
+            }
+            layer.interEdges.get(from).push({ cell: to, cost, cells: [from, to] });
+        };
+
+        layer.borders.forEach(transitions => {
+            transitions.forEach(transition => {
+                addEdge(transition.a, transition.b, transition.cost);
+                addEdge(transition.b, transition.a, transition.cost);
+            });
+        });
+    }
+
+    /**
+     * クラスタ境界上のノード（遷移点のセル）を取得
+     */
+    getClusterNodes(layer, cluster) {
+        let nodes = layer.clusterNodes.get(cluster);
+        if (nodes) return nodes;
+
+        const cx = cluster % this.clustersX;
+        const cy = (cluster - cx) / this.clustersX;
+        const cells = new Set();
+
+        (layer.borders.get(`${cluster}:right`) || []).forEach(t => cells.add(t.a));
+        (layer.borders.get(`${cluster}:down`) || []).forEach(t => cells.add(t.a));
+        if (cx > 0) {
+            (layer.borders.get(`${cluster - 1}:right`) || []).forEach(t => cells.add(t.b));
+        }
+        if (cy > 0) {
+            (layer.borders.get(`${cluster - this.clustersX}:down`) || []).forEach(t => cells.add(t.b));
+        }
+
+        nodes = Array.from(cells);
+        layer.clusterNodes.set(cluster, nodes);
+        return nodes;
+    }
+
+    /**
+     * ノードからクラスタ内の他のノードへの辺（経路をキャッシュ）
+     */
+    getIntraEdges(layer, cluster, cell) {
+        let edges = layer.intraEdges.get(cluster);
+        if (!edges) {
+            edges = new Map();
+            const nodes = this.getClusterNodes(layer, cluster);
+            nodes.forEach(node => {
+                edges.set(node, this.searchCluster(cluster, node, nodes, layer.minClearance));
+            });
+            layer.intraEdges.set(cluster, edges);
+        }
+        return edges.get(cell) || [];
+    }
+
+    /**
+     * クラスタ内だけでダイクストラ探索し、目標セルへの辺 { cell, cost, cells } を返す
+     */
+    searchCluster(cluster, source, targets, minClearance) {
+        const pathFinder = this.pathFinder;
+        const size = this.clusterSize;
+        const cx = cluster % this.clustersX;
+        const cy = (cluster - cx) / this.clustersX;
+        const x0 = cx * size;
+        const y0 = cy * size;
+        const x1 = Math.min(x0 + size, pathFinder.gridWidth);
+        const y1 = Math.min(y0 + size, pathFinder.gridHeight);
+        const toLocal = index => {
+            const x = index % pathFinder.gridWidth;
+            return ((index - x) / pathFinder.gridWidth - y0) * size + (x - x0);
+        };
+        const toGlobal = local => pathFinder.toIndex(x0 + local % size, y0 + Math.floor(local / size));
+
+        const distance = this.localDistance;
+        const parent = this.localParent;
+        distance.fill(Infinity);
+        parent.fill(-1);
+        this.localOpenSet.clear();
+
+        const sourceLocal = toLocal(source);
+        distance[sourceLocal] = 0;
+        this.localOpenSet.push(sourceLocal);
+
+        while (!this.localOpenSet.isEmpty()) {
+            const current = this.localOpenSet.pop();
+            const currentIndex = toGlobal(current);
+            const currentX = x0 + current % size;
+            const currentY = y0 + Math.floor(current / size);
+
+            for (let dir = 0; dir < 8; dir++) {
+                const x = currentX + PATH_DIRECTIONS_X[dir];
+                const y = currentY + PATH_DIRECTIONS_Y[dir];
+                if (x < x0 || x >= x1 || y < y0 || y >= y1) continue;
+
+                const neighbor = (y - y0) * size + (x - x0);
+                const stepCost = pathFinder.getStepCost(currentIndex, pathFinder.toIndex(x, y), dir, minClearance);
+                if (distance[current] + stepCost < distance[neighbor]) {
+                    distance[neighbor] = distance[current] + stepCost;
+                    parent[neighbor] = current;
+                    this.localOpenSet.push(neighbor);
+                }
+            }
+        }
+
+        const edges = [];
+        targets.forEach(target => {
+            const targetLocal = toLocal(target);
+            if (target === source || distance[targetLocal] === Infinity) return;
+
+            const cells = [];
+            for (let local = targetLocal; local !== -1; local = parent[local]) {
+                cells.push(toGlobal(local));
+            }
+            edges.push({ cell: target, cost: distance[targetLocal], cells: cells.reverse() });
+        });
+
+        return edges;
+    }
+
+    /**
+     * 抽象グラフ上のA*探索
+     * 開始・目標セルは所属クラスタのノードへ一時的に接続する
+     */
+    searchAbstract(layer, startIndex, endIndex) {
+        const pathFinder = this.pathFinder;
+        const width = pathFinder.gridWidth;
+        const startCluster = this.getClusterOf(startIndex);
+        const endCluster = this.getClusterOf(endIndex);
+
+        const endNodes = this.getClusterNodes(layer, endCluster);
+        const startEdges = this.searchCluster(startCluster, startIndex,
+            this.getClusterNodes(layer, startCluster).concat(startCluster === endCluster ? [endIndex] : []),
+            layer.minClearance);
+
+        // 目標側はクラスタ内のノードから目標への辺（移動コストは向きによらない）
+        const toEnd = new Map();
+        this.searchCluster(endCluster, endIndex, endNodes, layer.minClearance).forEach(edge => {
+            toEnd.set(edge.cell, { cell: endIndex, cost: edge.cost, cells: edge.cells.slice().reverse() });
+        });
+
+        // 開始セル自体が遷移ノードなら隣のクラスタへの辺もたどれる
+        const neighbors = cell => {
+            if (cell === startIndex) return startEdges.concat(layer.interEdges.get(startIndex) || []);
+
+            const edges = this.getIntraEdges(layer, this.getClusterOf(cell), cell)
+                .concat(layer.interEdges.get(cell) || []);
+            if (toEnd.has(cell)) {
+                edges.push(toEnd.get(cell));
+            }
+            return edges;
+        };
+
+        const endX = endIndex % width;
+        const endY = (endIndex - endX) / width;
+        const heuristic = cell => {
+            const x = cell % width;
+            return pathFinder.getHeuristic(x, (cell - x) / width, endX, endY);
+        };
+
+        const generation = this.beginSearch();
+        this.generation[startIndex] = generation;
+        this.gScore[startIndex] = 0;
+        this.fScore[startIndex] = heuristic(startIndex);
+        this.parentCell[startIndex] = -1;
+        this.openSet.push(startIndex);
+
+        while (!this.openSet.isEmpty()) {
+            const current = this.openSet.pop();
+            if (current === endIndex) {
+                return this.reconstructCells(startIndex, endIndex);
+            }
+            this.closedGeneration[current] = generation;
+
+            neighbors(current).forEach(edge => {
+                const next = edge.cell;
+                if (this.closedGeneration[next] === generation) return;
+
+                const score = this.gScore[current] + edge.cost;
+                if (this.generation[next] !== generation || score < this.gScore[next]) {
+                    this.generation[next] = generation;
+                    this.gScore[next] = score;
+                    this.fScore[next] = score + heuristic(next);
+                    this.parentCell[next] = current;
+                    this.parentCells[next] = edge.cells;
+                    this.openSet.push(next);
+                }
+            });
+        }
+
+        return [];
+    }
+
+    /**
+     * 抽象経路の各辺のセル列をつなぎ合わせる
+     */
+    reconstructCells(startIndex, endIndex) {
+        const segments = [];
+        for (let cell = endIndex; cell !== startIndex; cell = this.parentCell[cell]) {
+            segments.push(this.parentCells[cell]);
+        }
+
+        const cells = [startIndex];
+        for (let i = segments.length - 1; i >= 0; i--) {
+            // 各区間の先頭は直前の区間の末尾と同じセル
+            for (let j = 1; j < segments[i].length; j++) {
+                cells.push(segments[i][j]);
+            }
+        }
+        return cells;
+    }
+
+    beginSearch() {
+        this.openSet.clear();
+        this.searchGeneration++;
+
+        if (this.searchGeneration === 0xFFFFFFFF) {
+            this.generation.fill(0);
+            this.closedGeneration.fill(0);
+            this.searchGeneration = 1;
+        }
+
+        return this.searchGeneration;
+    }
+
+    /**
+     * セルが属するクラスタ番号
+     */
+    getClusterOf(index) {
+        const x = index % this.pathFinder.gridWidth;
+        const y = (index - x) / this.pathFinder.gridWidth;
+        return Math.floor(y / this.clusterSize) * this.clustersX + Math.floor(x / this.clusterSize);
+    }
+
+    /**
+     * 階層型探索と格子全体のA*で到達できるかの判定が一致するかを調べる（検証用）
+     * minClearanceを満たすセルの組をランダムにsamples組選び、食い違った組を返す
+     */
+    findReachabilityMismatches({ samples = 200, minClearance = 0.6 } = {}) {
+        const pathFinder = this.pathFinder;
+        const width = pathFinder.gridWidth;
+        pathFinder.updateClearance();
+
+        const cells = [];
+        for (let index = 0; index < pathFinder.cellCount; index++) {
+            const x = index % width;
+            if (pathFinder.isPassable(x, (index - x) / width, minClearance)) cells.push(index);
+        }
+        if (cells.length < 2) return [];
+
+        const layer = this.getLayer(minClearance);
+        const toPoint = index => ({ x: index % width, y: Math.floor(index / width) });
+        const mismatches = [];
+        for (let i = 0; i < samples; i++) {
+            const start = cells[Math.floor(Math.random() * cells.length)];
+            const end = cells[Math.floor(Math.random() * cells.length)];
+            if (start === end) continue;
+
+            const hierarchical = this.searchAbstract(layer, start, end).length > 0;
+            const grid = pathFinder.search(start, end, minClearance);
+            if (hierarchical !== grid) {
+                mismatches.push({ start: toPoint(start), end: toPoint(end), hierarchical, grid });
+            }
+        }
+        return mismatches;
+    }
+
+    /**
+     * 後片付け
+     */
+    dispose() {
+        this.removeGridListener();
+        this.layers.clear();
+    }
+}
@@ -0,0 +1,482 @@
+/**
+ * 店舗レイアウトエディタ
+ * 棚・レジをクリックで選択し、床の上でドラッグして移動（グリッドに吸着）・回転・追加・削除する
+ * 変更のたびに（ドラッグは置いたときに）経路探索の障害物を設定し直し、入口からレジエリアへの経路をふさぐ配置を赤く表示する
+ */
+
+class LayoutEditor {
+    constructor(app) {
+        this.app = app;
+        this.enabled = false;
+        this.selected = null;
+        this.dragging = null;
+        this.selectionBox = null;
+        this.blockers = [];
+        this.errors = [];
+        this.pausedByEditor = false;
+
+        this.parameters = {
+            snap: 0.5, // 移動の吸着間隔（m）
+            selectionColor: 0xffff00,
+            blockerEmissive: 0xaa0000
+        };
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+        this.onPointerDown = event => this.handlePointerDown(event);
+        this.onPointerMove = event => this.handlePointerMove(event);
+        this.onPointerUp = () => this.handlePointerUp();
+
+        this.setupPanel();
+    }
+
+    /**
+     * 編集パネルのボタンを設定
+     */
+    setupPanel() {
+        this.panel = document.getElementById('layout-editor-panel');
+        this.status = document.getElementById('layout-editor-status');
+
+        document.getElementById('layout-rotate-btn')?.addEventListener('click', () => this.rotateSelected());
+        document.getElementById('layout-delete-btn')?.addEventListener('click', () => this.deleteSelected());
+        document.getElementById('layout-add-shelf-btn')?.addEventListener('click', () => this.addShelf());
+        document.getElementById('layout-add-checkout-btn')?.addEventListener('click', () => this.addCheckout());
+        document.getElementById('layout-save-btn')?.addEventListener('click', () => this.save());
+        document.getElementById('layout-exit-btn')?.addEventListener('click', () => this.disable());
+    }
+
+    /**
+     * 編集モードの切り替え
+     */
+    toggle() {
+        if (this.enabled) {
+            this.disable();
+        } else {
+            this.enable();
+        }
+    }
+
+    /**
+     * 編集モードを開始（編集中はシミュレーションを一時停止）
+     */
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+
+        this.pausedByEditor = !this.app.isPaused;
+        if (this.pausedByEditor) {
+            this.app.togglePause();
+        }
+
+        const canvas = this.app.renderer.domElement;
+        canvas.addEventListener('pointerdown', this.onPointerDown);
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+
+        if (this.panel) this.panel.style.display = 'block';
+        this.refresh();
+    }
+
+    /**
+     * 編集モードを終了
+     */
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+
+        const canvas = this.app.renderer.domElement;
+        canvas.removeEventListener('pointerdown', this.onPointerDown);
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+
+        this.handlePointerUp();
+        this.select(null);
+        this.blockers.forEach(fixture => this.setHighlight(fixture, false));
+        this.blockers = [];
+
+        if (this.panel) this.panel.style.display = 'none';
+        if (this.pausedByEditor && this.app.isPaused) {
+            this.app.togglePause();
+        }
+    }
+
+    /**
+     * 編集モード中のキー操作（処理した場合はtrue）
+     */
+    handleKey(event) {
+        if (!this.enabled) return false;
+
+        switch (event.code) {
+            case 'KeyR':
+                this.rotateSelected();
+                return true;
+            case 'Delete':
+            case 'Backspace':
+                event.preventDefault();
+                this.deleteSelected();
+                return true;
+            case 'Escape':
+                if (this.selected) {
+                    this.select(null);
+                } else {
+                    this.disable();
+                }
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * 編集対象（表示している階の棚とレジ）
+     */
+    getFixtures() {
+        const store = this.app.store;
+        return [...store.shelves, ...store.checkouts].filter(fixture => store.isFloorVisible(fixture.floor));
+    }
+
+    /**
+     * ドラッグする床面を階の高さに合わせる
+     */
+    setFloorPlane(floor) {
+        this.floorPlane.constant = -this.app.store.floors.getElevation(floor);
+    }
+
+    /**
+     * 棚・レジを追加する階（1つの階を表示している場合はその階）
+     */
+    getEditingFloor() {
+        return this.app.store.visibleFloor ?? this.app.layout.getGroundFloor();
+    }
+
+    /**
+     * マウス位置からレイを設定
+     */
+    updatePointer(event) {
+        const rect = this.app.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.app.camera);
+    }
+
+    /**
+     * レイが最初に当たる棚・レジを取得
+     */
+    pickFixture() {
+        const fixtures = this.getFixtures();
+        const hits = this.raycaster.intersectObjects(fixtures.map(fixture => fixture.group), true);
+        if (hits.length === 0) return null;
+
+        let object = hits[0].object;
+        while (object) {
+            const fixture = fixtures.find(candidate => candidate.group === object);
+            if (fixture) return fixture;
+            object = object.parent;
+        }
+        return null;
+    }
+
+    /**
+     * レイと床面の交点
+     */
+    getFloorPoint() {
+        const point = new THREE.Vector3();
+        return this.raycaster.ray.intersectPlane(this.floorPlane, point) ? point : null;
+    }
+
+    handlePointerDown(event) {
+        if (event.button !== 0) return;
+
+        this.updatePointer(event);
+        const fixture = this.pickFixture();
+        this.select(fixture);
+        if (!fixture) return;
+
+        this.setFloorPlane(fixture.floor);
+        const point = this.getFloorPoint();
+        if (!point) return;
+
+        // 掴んだ位置と棚の中心のずれを保ったまま動かす
+        this.dragging = {
+            offsetX: fixture.definition.x - point.x,
+            offsetZ: fixture.definition.z - point.z
+        };
+        this.app.controls.enabled = false;
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragging || !this.selected) return;
+
+        this.updatePointer(event);
+        const point = this.getFloorPoint();
+        if (!point) return;
+
+        const dimensions = this.app.layout.dimensions;
+        const definition = this.selected.definition;
+        const x = this.snap(point.x + this.dragging.offsetX, dimensions.width / 2);
+        const z = this.snap(point.z + this.dragging.offsetZ, dimensions.depth / 2);
+        if (x === definition.x && z === definition.z) return;
+
+        definition.x = x;
+        definition.z = z;
+        this.dragging.moved = true;
+        this.moveSelected();
+    }
+
+    handlePointerUp() {
+        if (!this.dragging) return;
+        const moved = this.dragging.moved;
+        this.dragging = null;
+        this.app.controls.enabled = true;
+
+        // 経路探索グリッドの作り直しと経路をふさぐ配置の検出は、置いたときに1回だけ行う
+        if (moved) {
+            this.applyChange();
+        }
+    }
+
+    /**
+     * 吸着間隔に丸めて店舗の範囲に収める
+     */
+    snap(value, limit) {
+        const snapped = Math.round(value / this.parameters.snap) * this.parameters.snap;
+        return Math.max(-limit, Math.min(limit, snapped));
+    }
+
+    /**
+     * 選択（選択中の棚・レジを枠で表示）
+     */
+    select(fixture) {
+        this.selected = fixture;
+
+        if (this.selectionBox) {
+            this.app.scene.remove(this.selectionBox);
+            this.selectionBox.geometry.dispose();
+            this.selectionBox.material.dispose();
+            this.selectionBox = null;
+        }
+        if (fixture) {
+            this.selectionBox = new THREE.BoxHelper(fixture.group, this.parameters.selectionColor);
+            this.app.scene.add(this.selectionBox);
+        }
+    }
+
+    /**
+     * 選択中の棚・レジを90度回転
+     */
+    rotateSelected() {
+        if (!this.selected) return;
+
+        const definition = this.selected.definition;
+        definition.rotation = (definition.rotation + 90) % 360;
+        this.applyChange();
+    }
+
+    /**
+     * 選択中の棚・レジを削除
+     */
+    deleteSelected() {
+        if (!this.selected) return;
+
+        const fixture = this.selected;
+        this.select(null);
+        this.blockers = this.blockers.filter(blocker => blocker !== fixture);
+        this.app.store.removeFixture(fixture);
+        this.applyChange();
+    }
+
+    /**
+     * 画面中央の床に棚を追加
+     */
+    addShelf() {
+        const position = this.getViewCenter();
+        const ids = new Set(this.app.layout.shelves.map(shelf => shelf.id));
+        let number = this.app.layout.shelves.length + 1;
+        while (ids.has(`shelf-${number}`)) number++;
+
+        const fixture = this.app.store.addShelf({
+            ...this.getFloorField(),
+            id: `shelf-${number}`,
+            label: `棚${this.app.layout.shelves.length + 1}`,
+            category: 'general',
+            x: position.x,
+            z: position.z,
+            width: 3,
+            depth: 1,
+            rotation: 0,
+            color: '#9E9E9E'
+        });
+        this.select(fixture);
+        this.applyChange();
+    }
+
+    /**
+     * 画面中央の床にレジを追加
+     */
+    addCheckout() {
+        const position = this.getViewCenter();
+        const numbers = this.app.layout.checkouts.map(checkout => checkout.number);
+        const fixture = this.app.store.addCheckout(this.app.layout.createCheckoutDefinition({
+            ...this.getFloorField(),
+            number: Math.max(0, ...numbers) + 1,
+            x: position.x,
+            z: position.z
+        }));
+        this.select(fixture);
+        this.applyChange();
+    }
+
+    /**
+     * 追加する棚・レジの階の指定（最初の階なら省略してレイアウトファイルを変えない）
+     */
+    getFloorField() {
+        const floor = this.getEditingFloor();
+        return floor === this.app.layout.getGroundFloor() ? {} : { floor };
+    }
+
+    /**
+     * 画面中央に映っている床の位置（吸着済み）
+     */
+    getViewCenter() {
+        const dimensions = this.app.layout.dimensions;
+        this.setFloorPlane(this.getEditingFloor());
+        this.pointer.set(0, 0);
+        this.raycaster.setFromCamera(this.pointer, this.app.camera);
+        const point = this.getFloorPoint() || this.app.controls.target;
+
+        return {
+            x: this.snap(point.x, dimensions.width / 2),
+            z: this.snap(point.z, dimensions.depth / 2)
+        };
+    }
+
+    /**
+     * ドラッグ中の移動を3Dシーンにだけ反映し、重なり・はみ出しを検証
+     */
+    moveSelected() {
+        this.app.store.updateFixture(this.selected);
+        this.selectionBox.update();
+        this.errors = this.app.layout.validatePlacement();
+        this.updateStatus();
+    }
+
+    /**
+     * 変更を3Dシーンと経路探索グリッドに反映して検証し直す
+     */
+    applyChange() {
+        if (this.selected) {
+            this.app.store.updateFixture(this.selected);
+            this.selectionBox.update();
+        }
+        this.app.store.setupPathfinding();
+        this.refresh();
+    }
+
+    /**
+     * レイアウトを検証し、経路をふさぐ棚・レジを強調表示
+     */
+    refresh() {
+        const layout = this.app.layout;
+        this.errors = layout.validatePlacement();
+
+        this.blockers.forEach(fixture => this.setHighlight(fixture, false));
+        this.blockers = this.findRouteBlockers();
+        this.blockers.forEach(fixture => this.setHighlight(fixture, true));
+
+        if (this.blockers.length > 0) {
+            const names = this.blockers.map(fixture => fixture.label || `レジ${fixture.number}`).join('、');
+            this.errors.unshift(`入口からレジエリアへの経路をふさいでいます: ${names}`);
+        } else if (this.errors.length === 0) {
+            this.errors = layout.validateReachability();
+        }
+
+        this.updateStatus();
+    }
+
+    /**
+     * 入口からレジエリアへの経路をふさいでいる棚・レジ（入口とレジエリアのある最初の階）
+     * 経路が閉じている場合、1つずつ取り除いて経路が開くものを原因とする
+     */
+    findRouteBlockers() {
+        const layout = this.app.layout;
+        const points = layout.getStorePoints();
+        const isRouteOpen = pathFinder => pathFinder.getPathCost(points.entrance, points.checkout) < Infinity;
+
+        if (isRouteOpen(layout.createPathFinder())) return [];
+
+        const blockers = this.getFixtures()
+            .filter(fixture => fixture.floor === points.entrance.floor)
+            .filter(fixture => isRouteOpen(layout.createPathFinder(fixture.definition)));
+
+        // 複数の配置の組み合わせでふさいでいる場合は、いま動かしているものを示す
+        if (blockers.length === 0 && this.selected) {
+            return [this.selected];
+        }
+        return blockers;
+    }
+
+    /**
+     * 棚・レジを赤く光らせる
+     */
+    setHighlight(fixture, highlighted) {
+        fixture.group.traverse(child => {
+            if (child.material && child.material.emissive) {
+                child.material.emissive.setHex(highlighted ? this.parameters.blockerEmissive : 0x000000);
+            }
+        });
+    }
+
+    /**
+     * 検証結果をパネルに表示
+     */
+    updateStatus() {
+        if (!this.status) return;
+
+        this.status.innerHTML = '';
+        if (this.errors.length === 0) {
+            this.status.textContent = 'レイアウトに問題はありません';
+            this.status.className = 'valid';
+            return;
+        }
+
+        this.status.className = 'invalid';
+        const list = document.createElement('ul');
+        this.errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        this.status.appendChild(list);
+    }
+
+    /**
+     * レイアウトファイルとしてダウンロード（問題がある場合は保存しない）
+     */
+    save() {
+        this.refresh();
+        if (this.errors.length > 0) {
+            window.alert('レイアウトに問題があるため保存できません。パネルの内容を確認してください。');
+            return false;
+        }
+
+        const json = JSON.stringify(this.app.layout.toJSON(), null, 4);
+        const blob = new Blob([json], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = this.app.layoutUrl.split('/').pop() || 'store-layout.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+        return true;
+    }
+
+    /**
+     * 後片付け
+     */
+    dispose() {
+        this.disable();
+    }
+}
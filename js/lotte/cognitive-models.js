@@ -206,7 +206,7 @@ class DecisionModel {
             baseThreshold: 1.0,
             
             // 効用計算パラメータ
-            priceWeight: -0.5,
+            priceWeight: 0.5, // 価格効用は割引で正・割高で負になるので正の重み
             brandWeight: 0.3,
             habitWeight: 0.4,
             socialWeight: 0.2,
@@ -413,22 +413,25 @@ class DecisionModel {
  * やめたくなるペナルティ - キュー迂回モデル
  */
 class QueueModel {
-    constructor() {
+    constructor(options = {}) {
         this.parameters = {
             patienceThreshold: 10.0, // τ_s
             waitingSensitivity: 0.1,
             crowdingEffect: 0.05,
-            alternativeAttractiveness: 0.3
+            alternativeAttractiveness: 0.3,
+            timePressureThreshold: 10, // 残り時間（分）がこれより短い客は時間に追われて離脱しやすい
+            ...options
         };
     }
 
     /**
      * キュー迂回確率を計算
      * p(balk) = 1 - e^(-q_wait / τ_s)
+     * waitingTime: 予想待ち時間（分）がわかっている場合に渡す（省略時は行列の長さから推定）
      */
-    calculateBalkingProbability(queueLength, customer) {
+    calculateBalkingProbability(queueLength, customer, waitingTime = null) {
         const personalPatience = customer.patience || this.parameters.patienceThreshold;
-        const waitingTime = this.estimateWaitingTime(queueLength);
+        waitingTime = waitingTime ?? this.estimateWaitingTime(queueLength);
         const crowdingStress = this.calculateCrowdingStress(queueLength, customer);
         
         const adjustedWaitTime = waitingTime + crowdingStress;
@@ -487,17 +490,19 @@ class QueueModel {
 
     /**
      * 総合的な離脱確率
+     * customer.timeRemaining: 来店時間の残り（分、省略時は時間に追われない）
+     * currentSituation: { queueLength, waitingTime（分、省略可） }
      */
     calculateOverallExitProbability(customer, currentSituation) {
         const queueBalkingProb = this.calculateBalkingProbability(
-            currentSituation.queueLength, customer
+            currentSituation.queueLength, customer, currentSituation.waitingTime
         );
         
         const alternativeAttractiveness = this.evaluateAlternatives(
             customer, currentSituation
         );
         
-        const timeConstraintPressure = customer.timeRemaining < 10 ? 0.3 : 0;
+        const timeConstraintPressure = customer.timeRemaining < this.parameters.timePressureThreshold ? 0.3 : 0;
         
         const overallExitProb = Math.min(1.0, 
             queueBalkingProb + 
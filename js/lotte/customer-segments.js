@@ -3,6 +3,18 @@
  * シニア・子あり世代・シングル・若者の心理特性と行動パターン
  */
 
+/**
+ * 同行者の構成（一緒に来る大人の種類と子どもを連れているか）
+ * 子どもの人数と好みは客層のchildPreferences（なければ1人分を作る）
+ */
+const GROUP_COMPOSITIONS = {
+    solo: { adults: [], withChildren: false },
+    couple: { adults: ['partner'], withChildren: false },
+    friends: { adults: ['friend'], withChildren: false },
+    children: { adults: [], withChildren: true },
+    family: { adults: ['partner'], withChildren: true }
+};
+
 class CustomerSegments {
     constructor() {
         this.segments = {
@@ -57,7 +69,126 @@ class CustomerSegments {
             throw new Error(`Unknown segment type: ${segmentType}`);
         }
         
-        return segment.generateCustomer(customParams);
+        const customer = segment.generateCustomer(customParams);
+        
+        // 移動手段（customParamsで指定されていなければ構成比から選ぶ）
+        if (!customer.mobility) {
+            customer.mobility = this.selectMobility(segment.mobilityMix);
+        }
+        
+        // 同行者（customParamsでcompanionsもgroupTypeも指定されていなければ構成比から選ぶ）
+        if (!customer.companions) {
+            customer.groupType = customer.groupType || this.selectGroup(segment.groupMix);
+            customer.companions = this.createCompanions(customer.groupType, customer);
+        }
+        
+        // 来店時間の予算（秒、customParamsで指定されていなければ客層の範囲から選ぶ）
+        if (customer.timeBudget === undefined) {
+            const { min, max } = segment.visitTimeBudget;
+            customer.timeBudget = this.randomInRange(min, max);
+        }
+        
+        return customer;
+    }
+
+    /**
+     * 構成比に従って移動手段を選択
+     */
+    selectMobility(mobilityMix) {
+        const random = Math.random();
+        let cumulative = 0;
+        
+        for (const [mobility, weight] of Object.entries(mobilityMix)) {
+            cumulative += weight;
+            if (random <= cumulative) {
+                return mobility;
+            }
+        }
+        
+        return 'basket'; // フォールバック
+    }
+
+    /**
+     * 構成比に従って同行者の構成を選択
+     */
+    selectGroup(groupMix) {
+        const random = Math.random();
+        let cumulative = 0;
+        
+        for (const [groupType, weight] of Object.entries(groupMix)) {
+            cumulative += weight;
+            if (random <= cumulative) {
+                return groupType;
+            }
+        }
+        
+        return 'solo'; // フォールバック
+    }
+
+    /**
+     * 客層の同行者の構成比を更新（合計が1になるよう正規化）
+     */
+    updateGroupMix(segmentType, groupMix) {
+        const segment = this.segments[segmentType];
+        if (!segment) {
+            throw new Error(`Unknown segment type: ${segmentType}`);
+        }
+        
+        const unknown = Object.keys(groupMix).filter(groupType => !GROUP_COMPOSITIONS[groupType]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown group type: ${unknown.join(', ')}`);
+        }
+        const total = Object.values(groupMix).reduce((sum, w) => sum + w, 0);
+        if (!(total > 0) || Object.values(groupMix).some(w => !(w >= 0))) {
+            throw new Error('Group mix weights must be non-negative and sum to a positive number');
+        }
+        
+        segment.groupMix = Object.fromEntries(
+            Object.entries(groupMix).map(([groupType, w]) => [groupType, w / total])
+        );
+    }
+
+    /**
+     * 同行者を作成
+     * preferences: カテゴリーごとの好み（DecisionModelの社会的効用で買い物に影響する）
+     * pullTendency: 好きな売場の前を通ったときに寄り道をせがむ傾向（子どもだけ）
+     */
+    createCompanions(groupType, customer) {
+        const composition = GROUP_COMPOSITIONS[groupType];
+        if (!composition) {
+            throw new Error(`Unknown group type: ${groupType}`);
+        }
+        
+        const companions = composition.adults.map(type => ({
+            type,
+            age: Math.round(customer.age + this.randomInRange(-5, 5)),
+            preferences: {
+                snacks: this.randomInRange(0.2, type === 'friend' ? 0.7 : 0.5),
+                drinks: this.randomInRange(0.3, type === 'friend' ? 0.7 : 0.6)
+            },
+            pullTendency: 0
+        }));
+        
+        if (composition.withChildren) {
+            const children = customer.childPreferences || this.segments.family.generateChildPreferences(1);
+            children.forEach(child => {
+                companions.push({
+                    type: 'child',
+                    age: Math.round(child.age),
+                    preferences: {
+                        snacks: child.sweetness,
+                        drinks: child.sweetness * 0.5
+                    },
+                    pullTendency: child.novelty * 0.5
+                });
+            });
+        }
+        
+        return companions;
+    }
+
+    randomInRange(min, max) {
+        return min + Math.random() * (max - min);
     }
 
     /**
@@ -70,6 +201,9 @@ class CustomerSegments {
                 Object.entries(this.segments).map(([key, segment]) => [
                     key, segment.getCharacteristics()
                 ])
+            ),
+            groupMix: Object.fromEntries(
+                Object.entries(this.segments).map(([key, segment]) => [key, { ...segment.groupMix }])
             )
         };
     }
@@ -107,8 +241,26 @@ class SeniorSegment {
             distractibility: 0.3,       // 注意散漫度（低）
             patience: 15.0,             // 忍耐力（高）
             crowdingTolerance: 0.6,     // 混雑耐性（やや低）
+            personalSpaceNeed: 0.8,     // パーソナルスペース要求（高）
             statusSensitivity: 0.4      // ステータス感度（低）
         };
+        
+        // 移動手段の構成比（カート・カゴ・車いす）
+        this.mobilityMix = {
+            cart: 0.45,
+            basket: 0.4,
+            wheelchair: 0.15
+        };
+        
+        // 同行者の構成比（一人・夫婦・友人・子ども連れ・夫婦と子ども）
+        this.groupMix = {
+            solo: 0.6,
+            couple: 0.35,
+            friends: 0.05
+        };
+        
+        // 来店時間の予算（秒、ゆっくり見て回る）
+        this.visitTimeBudget = { min: 150, max: 420 };
     }
 
     generateCustomer(customParams = {}) {
@@ -134,8 +286,9 @@ class SeniorSegment {
                 attentionCapacity: this.addNoise(this.behavioralPatterns.attentionCapacity, 0.1),
                 goalFocus: this.addNoise(this.behavioralPatterns.goalFocus, 0.1),
                 distractibility: this.addNoise(this.behavioralPatterns.distractibility, 0.1),
-                patience: this.addNoise(this.behavioralPatterns.patience, 3.0),
+                patience: this.addNoise(this.behavioralPatterns.patience, 3.0, Infinity),
                 crowdingTolerance: this.addNoise(this.behavioralPatterns.crowdingTolerance, 0.15),
+                personalSpaceNeed: this.addNoise(this.behavioralPatterns.personalSpaceNeed, 0.1),
                 statusSensitivity: this.addNoise(this.behavioralPatterns.statusSensitivity, 0.1)
             },
             
@@ -153,6 +306,7 @@ class SeniorSegment {
             // ブランド・習慣
             brandPreferences: this.generateBrandPreferences(),
             purchaseHistory: this.generatePurchaseHistory(),
+            storeLoyalty: this.randomInRange(0.7, 0.9), // 店へのロイヤルティ（品切れでも代わりの商品を選ぶ度合い）
             
             ...customParams
         };
@@ -238,9 +392,9 @@ class SeniorSegment {
         return min + Math.random() * (max - min);
     }
 
-    addNoise(value, noiseLevel) {
+    addNoise(value, noiseLevel, max = 1) {
         const noise = (Math.random() - 0.5) * 2 * noiseLevel;
-        return Math.max(0, Math.min(1, value + noise));
+        return Math.max(0, Math.min(max, value + noise));
     }
 }
 
@@ -274,8 +428,27 @@ class FamilySegment {
             distractibility: 0.7,
             patience: 8.0,
             crowdingTolerance: 0.5,
+            personalSpaceNeed: 0.6,
             statusSensitivity: 0.5
         };
+        
+        // 移動手段の構成比（カート・カゴ・車いす）
+        this.mobilityMix = {
+            cart: 0.8,
+            basket: 0.18,
+            wheelchair: 0.02
+        };
+        
+        // 同行者の構成比（一人・夫婦・友人・子ども連れ・夫婦と子ども）
+        this.groupMix = {
+            solo: 0.4,
+            couple: 0.05,
+            children: 0.4,
+            family: 0.15
+        };
+        
+        // 来店時間の予算（秒、家事の合間で時間の制約が強い）
+        this.visitTimeBudget = { min: 90, max: 240 };
     }
 
     generateCustomer(customParams = {}) {
@@ -301,8 +474,9 @@ class FamilySegment {
                 attentionCapacity: this.addNoise(this.behavioralPatterns.attentionCapacity, 0.15),
                 goalFocus: this.addNoise(this.behavioralPatterns.goalFocus, 0.1),
                 distractibility: this.addNoise(this.behavioralPatterns.distractibility, 0.15),
-                patience: this.addNoise(this.behavioralPatterns.patience, 2.0),
+                patience: this.addNoise(this.behavioralPatterns.patience, 2.0, Infinity),
                 crowdingTolerance: this.addNoise(this.behavioralPatterns.crowdingTolerance, 0.15),
+                personalSpaceNeed: this.addNoise(this.behavioralPatterns.personalSpaceNeed, 0.1),
                 statusSensitivity: this.addNoise(this.behavioralPatterns.statusSensitivity, 0.15)
             },
             
@@ -316,6 +490,7 @@ class FamilySegment {
             
             brandPreferences: this.generateBrandPreferences(),
             purchaseHistory: this.generatePurchaseHistory(),
+            storeLoyalty: this.randomInRange(0.5, 0.75),
             
             // 家族特有
             childPreferences: this.generateChildPreferences(childrenCount),
@@ -422,9 +597,9 @@ class FamilySegment {
         return min + Math.random() * (max - min);
     }
 
-    addNoise(value, noiseLevel) {
+    addNoise(value, noiseLevel, max = 1) {
         const noise = (Math.random() - 0.5) * 2 * noiseLevel;
-        return Math.max(0, Math.min(1, value + noise));
+        return Math.max(0, Math.min(max, value + noise));
     }
 }
 
@@ -457,8 +632,26 @@ class SingleSegment {
             distractibility: 0.6,
             patience: 10.0,
             crowdingTolerance: 0.7,
+            personalSpaceNeed: 0.6,
             statusSensitivity: 0.7
         };
+        
+        // 移動手段の構成比（カート・カゴ・車いす）
+        this.mobilityMix = {
+            cart: 0.3,
+            basket: 0.68,
+            wheelchair: 0.02
+        };
+        
+        // 同行者の構成比（一人・夫婦・友人・子ども連れ・夫婦と子ども）
+        this.groupMix = {
+            solo: 0.8,
+            couple: 0.15,
+            friends: 0.05
+        };
+        
+        // 来店時間の予算（秒、仕事帰りで急いでいる）
+        this.visitTimeBudget = { min: 60, max: 150 };
     }
 
     generateCustomer(customParams = {}) {
@@ -482,8 +675,9 @@ class SingleSegment {
                 attentionCapacity: this.addNoise(this.behavioralPatterns.attentionCapacity, 0.1),
                 goalFocus: this.addNoise(this.behavioralPatterns.goalFocus, 0.15),
                 distractibility: this.addNoise(this.behavioralPatterns.distractibility, 0.15),
-                patience: this.addNoise(this.behavioralPatterns.patience, 3.0),
+                patience: this.addNoise(this.behavioralPatterns.patience, 3.0, Infinity),
                 crowdingTolerance: this.addNoise(this.behavioralPatterns.crowdingTolerance, 0.15),
+                personalSpaceNeed: this.addNoise(this.behavioralPatterns.personalSpaceNeed, 0.1),
                 statusSensitivity: this.addNoise(this.behavioralPatterns.statusSensitivity, 0.2)
             },
             
@@ -496,6 +690,7 @@ class SingleSegment {
             
             brandPreferences: this.generateBrandPreferences(),
             purchaseHistory: this.generatePurchaseHistory(),
+            storeLoyalty: this.randomInRange(0.3, 0.6),
             
             // シングル特有
             trendAwareness: this.randomInRange(0.7, 0.95),
@@ -587,9 +782,9 @@ class SingleSegment {
         return min + Math.random() * (max - min);
     }
 
-    addNoise(value, noiseLevel) {
+    addNoise(value, noiseLevel, max = 1) {
         const noise = (Math.random() - 0.5) * 2 * noiseLevel;
-        return Math.max(0, Math.min(1, value + noise));
+        return Math.max(0, Math.min(max, value + noise));
     }
 }
 
@@ -622,8 +817,26 @@ class YouthSegment {
             distractibility: 0.8,
             patience: 5.0,
             crowdingTolerance: 0.8,
+            personalSpaceNeed: 0.4,
             statusSensitivity: 0.8
         };
+        
+        // 移動手段の構成比（カート・カゴ・車いす）
+        this.mobilityMix = {
+            cart: 0.15,
+            basket: 0.84,
+            wheelchair: 0.01
+        };
+        
+        // 同行者の構成比（一人・夫婦・友人・子ども連れ・夫婦と子ども）
+        this.groupMix = {
+            solo: 0.55,
+            couple: 0.1,
+            friends: 0.35
+        };
+        
+        // 来店時間の予算（秒、短い買い物が多い）
+        this.visitTimeBudget = { min: 80, max: 200 };
     }
 
     generateCustomer(customParams = {}) {
@@ -647,8 +860,9 @@ class YouthSegment {
                 attentionCapacity: this.addNoise(this.behavioralPatterns.attentionCapacity, 0.15),
                 goalFocus: this.addNoise(this.behavioralPatterns.goalFocus, 0.2),
                 distractibility: this.addNoise(this.behavioralPatterns.distractibility, 0.15),
-                patience: this.addNoise(this.behavioralPatterns.patience, 2.0),
+                patience: this.addNoise(this.behavioralPatterns.patience, 2.0, Infinity),
                 crowdingTolerance: this.addNoise(this.behavioralPatterns.crowdingTolerance, 0.15),
+                personalSpaceNeed: this.addNoise(this.behavioralPatterns.personalSpaceNeed, 0.1),
                 statusSensitivity: this.addNoise(this.behavioralPatterns.statusSensitivity, 0.15)
             },
             
@@ -661,6 +875,7 @@ class YouthSegment {
             
             brandPreferences: this.generateBrandPreferences(),
             purchaseHistory: this.generatePurchaseHistory(),
+            storeLoyalty: this.randomInRange(0.15, 0.4),
             
             // 若者特有
             socialMediaActivity: this.randomInRange(0.8, 0.95),
@@ -753,9 +968,9 @@ class YouthSegment {
         return min + Math.random() * (max - min);
     }
 
-    addNoise(value, noiseLevel) {
+    addNoise(value, noiseLevel, max = 1) {
         const noise = (Math.random() - 0.5) * 2 * noiseLevel;
-        return Math.max(0, Math.min(1, value + noise));
+        return Math.max(0, Math.min(max, value + noise));
     }
 }
 
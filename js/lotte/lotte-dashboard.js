@@ -21,6 +21,7 @@ class LotteDashboardApp {
         this.storeLayout = null;
         this.customerAgents = [];
         this.popDisplays = [];
+        this.textLabels = new TextLabelRenderer(); // ロゴ・POP・棚の文字
         
         // シミュレーション状態
         this.isRunning = false;
@@ -219,10 +220,13 @@ class LotteDashboardApp {
         sign.position.set(position.x, 3.5, position.z - 0.5);
         this.scene.add(sign);
 
-        // LOTTEロゴ（簡易版）
-        const logoGeometry = new THREE.PlaneGeometry(2, 0.5);
-        const logoMaterial = new THREE.MeshLambertMaterial({ color: 0xFFFFFF });
-        const logo = new THREE.Mesh(logoGeometry, logoMaterial);
+        // LOTTEロゴ
+        const logo = this.textLabels.createPlane('LOTTE', {
+            height: 0.7,
+            maxWidth: 2.6,
+            color: '#FFFFFF',
+            fontWeight: '900'
+        });
         logo.position.set(position.x, 3.5, position.z - 0.4);
         this.scene.add(logo);
     }
@@ -247,6 +251,14 @@ class LotteDashboardApp {
             shelf.castShadow = true;
             shelf.receiveShadow = true;
             this.scene.add(shelf);
+
+            const label = this.textLabels.createDoubleSidedPlane(pos.label, {
+                height: 0.35,
+                maxWidth: 2.8,
+                background: '#455A64'
+            });
+            label.position.set(pos.x, 2.1, pos.z);
+            this.scene.add(label);
         });
     }
 
@@ -305,19 +317,22 @@ class LotteDashboardApp {
                 type: 'discount',
                 position: { x: -8, y: 2.5, z: 7 },
                 size: { width: 1, height: 0.8 },
-                product: 'ghana_chocolate'
+                product: 'ghana_chocolate',
+                text: '20%OFF'
             },
             {
                 type: 'limited',
                 position: { x: -6, y: 2.5, z: 7 },
                 size: { width: 0.8, height: 0.6 },
-                product: 'seasonal_chocolate'
+                product: 'seasonal_chocolate',
+                text: '期間限定'
             },
             {
                 type: 'character',
                 position: { x: -10, y: 1.5, z: 7 },
                 size: { width: 1.2, height: 1 },
-                product: 'koala_march'
+                product: 'koala_march',
+                text: 'コアラの\nマーチ'
             }
         ];
 
@@ -361,6 +376,17 @@ class LotteDashboardApp {
         const frame = new THREE.Mesh(frameGeometry, frameMaterial);
         frame.position.z = 0.01;
         popGroup.add(frame);
+
+        // POPの文言
+        if (config.text) {
+            const text = this.textLabels.createPlane(config.text, {
+                height: config.size.height * 0.5,
+                maxWidth: config.size.width * 0.9,
+                color: '#FFFFFF'
+            });
+            text.position.z = 0.02;
+            popGroup.add(text);
+        }
         
         popGroup.position.set(config.position.x, config.position.y, config.position.z);
         popGroup.userData = { popType: config.type, product: config.product };
@@ -1176,6 +1202,7 @@ class LotteDashboardApp {
         if (this.renderer) {
             this.renderer.dispose();
         }
+        this.textLabels.dispose();
         
         console.log('ダッシュボード終了');
     }
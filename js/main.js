@@ -13,6 +13,16 @@ class SupermarketSimulation {
         this.pathFinder = null;
         this.store = null;
         this.agentManager = null;
+        this.staffManager = null;
+        this.layoutEditor = null;
+        
+        // 店舗レイアウト（?layout=ファイル名 で別の店舗を読み込める）と商品カタログ
+        this.layout = null;
+        this.catalog = null;
+        const params = new URLSearchParams(window.location.search);
+        this.layoutUrl = params.get('layout') || 'layouts/default-store.json';
+        // ?generate でレイアウトを自動生成（seed・aislesなどのパラメータはStoreGenerator.parseOptionsを参照）
+        this.generatorOptions = params.has('generate') ? StoreGenerator.parseOptions(params) : null;
         
         this.isRunning = false;
         this.isPaused = false;
@@ -22,28 +32,47 @@ class SupermarketSimulation {
         this.stats = {
             activeCustomers: 0,
             queueLength: 0,
+            averageWaitTime: 0, // レジに並んでから会計が始まるまでの平均（秒）
             totalSales: 0,
-            completedCustomers: 0
+            completedCustomers: 0,
+            unplannedItems: 0, // 棚の前で目に留まって買った予定外の商品の点数
+            unplannedSales: 0, // 予定外の商品の売上（totalSalesに含む）
+            lostSales: 0, // 品切れで買えなかった商品の金額
+            substitutions: 0, // 品切れで代わりの商品を買った件数
+            frustratedCustomers: 0, // 品切れで買い物を切り上げた客数
+            outOfTimeCustomers: 0, // 来店時間の予算を使い切って買い物を切り上げた客数
+            abandonedBaskets: 0, // レジの行列を見て・待ちきれずにカゴを置いて帰った客数
+            abandonedSales: 0, // 置いていったカゴの商品の金額
+            laneChanges: 0, // 行列の短いレーンへ移った回数
+            openCheckouts: 0, // レジ係のいるレジの数
+            restockedItems: 0, // 品出し係が補充した商品数
+            assistedCustomers: 0 // 案内係が売場を教えた客数
         };
         
         // グローバルアクセス用
         window.gameStats = this.stats;
         
-        this.init();
+        this.ready = this.init();
     }
 
     /**
-     * 初期化
+     * 初期化（店舗レイアウトの読み込みを待つ）
      */
-    init() {
+    async init() {
         this.showLoading(true);
         this.setupScene();
         this.setupCamera();
         this.setupRenderer();
         this.setupControls();
+        this.layout = this.generatorOptions
+            ? StoreGenerator.generate(this.generatorOptions)
+            : await StoreLayout.load(this.layoutUrl);
+        this.catalog = await ProductCatalog.load(this.getCatalogUrl(), this.layout);
         this.setupPathFinding();
         this.setupStore();
         this.setupAgents();
+        this.setupStaff();
+        this.setupLayoutEditor();
         this.setupEventListeners();
         this.setupUI();
         
@@ -54,6 +83,13 @@ class SupermarketSimulation {
         }, 2000);
     }
 
+    /**
+     * 商品カタログのURL（レイアウトファイルからの相対パス）
+     */
+    getCatalogUrl() {
+        return this.layoutUrl.replace(/[^/]*$/, '') + this.layout.catalog;
+    }
+
     /**
      * 3Dシーンの設定
      */
@@ -113,21 +149,42 @@ class SupermarketSimulation {
      * パスファインディングの設定
      */
     setupPathFinding() {
-        this.pathFinder = new PathFinder(40, 40, 1);
+        // 店舗の広さに入口前の通路などの外周を加えてグリッドの大きさを決める
+        const { gridWidth, gridHeight, cellSize } = this.layout.getGridSize();
+        this.pathFinder = new PathFinder(gridWidth, gridHeight, cellSize);
+        
+        // 大型店舗ではクラスタ単位の階層型探索を使う
+        if (gridWidth * gridHeight > 100 * 100) {
+            this.pathFinder.useHierarchy(10);
+        }
     }
 
     /**
      * 店舗の設定
      */
     setupStore() {
-        this.store = new SupermarketStore(this.scene, this.pathFinder);
+        this.store = new SupermarketStore(this.scene, this.pathFinder, this.layout, this.catalog);
     }
 
     /**
      * エージェントの設定
      */
     setupAgents() {
-        this.agentManager = new AgentManager(this.scene, this.pathFinder);
+        this.agentManager = new AgentManager(this.scene, this.pathFinder, this.store);
+    }
+
+    /**
+     * スタッフの設定（シフトと人数はレイアウトのstaffing）
+     */
+    setupStaff() {
+        this.staffManager = new StaffManager(this.scene, this.pathFinder, this.store, this.agentManager);
+    }
+
+    /**
+     * レイアウトエディタの設定
+     */
+    setupLayoutEditor() {
+        this.layoutEditor = new LayoutEditor(this);
     }
 
     /**
@@ -147,6 +204,14 @@ class SupermarketSimulation {
         pauseBtn?.addEventListener('click', () => this.togglePause());
         resetBtn?.addEventListener('click', () => this.reset());
         
+        // レイアウト編集
+        const layoutEditBtn = document.getElementById('layout-edit-btn');
+        layoutEditBtn?.addEventListener('click', () => this.layoutEditor.toggle());
+        
+        // 表示する階
+        const floorSelect = document.getElementById('floor-select');
+        floorSelect?.addEventListener('change', (e) => this.setVisibleFloor(e.target.value || null));
+        
         // スライダー制御
         const speedSlider = document.getElementById('simulation-speed');
         const agentCountSlider = document.getElementById('agent-count');
@@ -178,6 +243,7 @@ class SupermarketSimulation {
         // 初期値設定
         document.getElementById('speed-value').textContent = `${this.simulationSpeed}x`;
         document.getElementById('agent-count-value').textContent = '10';
+        this.setupFloorSelect();
         
         // 3秒後に情報パネルを表示
         setTimeout(() => {
@@ -186,6 +252,50 @@ class SupermarketSimulation {
         }, 3000);
     }
 
+    /**
+     * 表示する階の選択肢（1階だけの店舗では表示しない）
+     */
+    setupFloorSelect() {
+        const floorSelect = document.getElementById('floor-select');
+        const group = document.getElementById('floor-select-group');
+        if (!floorSelect) return;
+
+        floorSelect.innerHTML = '';
+        [{ id: '', label: '全フロア' }, ...this.layout.floors].forEach(floor => {
+            const option = document.createElement('option');
+            option.value = floor.id;
+            option.textContent = floor.label;
+            floorSelect.appendChild(option);
+        });
+        if (group) {
+            group.style.display = this.layout.floors.length > 1 ? '' : 'none';
+        }
+    }
+
+    /**
+     * 1つの階だけを表示し、カメラをその階の高さに合わせる（nullなら全フロア）
+     */
+    setVisibleFloor(floorId) {
+        this.store.setVisibleFloor(floorId);
+
+        const elevation = floorId ? this.store.floors.getElevation(floorId) : 0;
+        const shift = elevation - this.controls.target.y;
+        this.controls.target.y += shift;
+        this.camera.position.y += shift;
+
+        const floorSelect = document.getElementById('floor-select');
+        if (floorSelect) floorSelect.value = floorId || '';
+    }
+
+    /**
+     * 表示する階を 全フロア → 1階 → 2階 … の順に切り替える
+     */
+    cycleVisibleFloor() {
+        const floorIds = [null, ...this.store.floors.getFloorIds()];
+        const index = floorIds.indexOf(this.store.visibleFloor);
+        this.setVisibleFloor(floorIds[(index + 1) % floorIds.length]);
+    }
+
     /**
      * シミュレーション開始
      */
@@ -210,10 +320,28 @@ class SupermarketSimulation {
      */
     reset() {
         this.agentManager.clearAllAgents();
+        this.staffManager.clearAllStaff();
         this.stats.activeCustomers = 0;
         this.stats.queueLength = 0;
+        this.stats.averageWaitTime = 0;
         this.stats.totalSales = 0;
         this.stats.completedCustomers = 0;
+        this.stats.unplannedItems = 0;
+        this.stats.unplannedSales = 0;
+        this.stats.lostSales = 0;
+        this.stats.substitutions = 0;
+        this.stats.frustratedCustomers = 0;
+        this.stats.outOfTimeCustomers = 0;
+        this.stats.abandonedBaskets = 0;
+        this.stats.abandonedSales = 0;
+        this.stats.laneChanges = 0;
+        this.stats.openCheckouts = 0;
+        this.stats.restockedItems = 0;
+        this.stats.assistedCustomers = 0;
+        this.store.resetInventory();
+        this.store.resetCheckouts();
+        this.store.resetPurchases();
+        this.store.resetVisits();
         this.updateStatsDisplay();
         console.log('シミュレーションをリセット');
     }
@@ -243,6 +371,9 @@ class SupermarketSimulation {
     update(deltaTime) {
         // エージェント更新
         this.agentManager.update(deltaTime, this.simulationSpeed);
+        this.staffManager.update(deltaTime, this.simulationSpeed);
+        this.store.update(deltaTime, this.simulationSpeed);
+        this.stats.averageWaitTime = this.store.getAverageWaitTime();
         
         // コントロール更新
         this.controls.update();
@@ -257,7 +388,22 @@ class SupermarketSimulation {
     updateStatsDisplay() {
         document.getElementById('active-customers').textContent = this.stats.activeCustomers;
         document.getElementById('queue-length').textContent = this.stats.queueLength;
+        document.getElementById('average-wait').textContent = Math.round(this.stats.averageWaitTime);
         document.getElementById('total-sales').textContent = this.stats.totalSales.toLocaleString();
+        document.getElementById('unplanned-items').textContent = this.stats.unplannedItems;
+        document.getElementById('unplanned-sales').textContent = this.stats.unplannedSales.toLocaleString();
+        document.getElementById('lost-sales').textContent = this.stats.lostSales.toLocaleString();
+        document.getElementById('substitutions').textContent = this.stats.substitutions;
+        document.getElementById('frustrated-customers').textContent = this.stats.frustratedCustomers;
+        document.getElementById('out-of-time-customers').textContent = this.stats.outOfTimeCustomers;
+        document.getElementById('abandoned-baskets').textContent = this.stats.abandonedBaskets;
+        document.getElementById('abandoned-sales').textContent = this.stats.abandonedSales.toLocaleString();
+        document.getElementById('lane-changes').textContent = this.stats.laneChanges;
+
+        const staff = this.staffManager.getCounts();
+        document.getElementById('staff-on-duty').textContent =
+            `レジ${staff.cashier}・品出し${staff.restocker}・案内${staff.assistant}`;
+        document.getElementById('open-checkouts').textContent = this.stats.openCheckouts;
     }
 
     /**
@@ -283,6 +429,9 @@ class SupermarketSimulation {
      * キーボード処理
      */
     onKeyDown(event) {
+        // 編集モード中はエディタのキー操作を優先
+        if (this.layoutEditor?.handleKey(event)) return;
+        
         switch (event.code) {
             case 'Space':
                 event.preventDefault();
@@ -299,9 +448,34 @@ class SupermarketSimulation {
                 const infoPanel = document.getElementById('info-panel');
                 infoPanel.style.display = infoPanel.style.display === 'none' ? 'block' : 'none';
                 break;
+            case 'KeyO':
+                this.placeRandomObstacle();
+                break;
+            case 'KeyC':
+                this.store.clearTemporaryObstacles();
+                break;
+            case 'KeyL':
+                this.layoutEditor.toggle();
+                break;
+            case 'KeyF':
+                if (this.store.floors.isMultiFloor()) this.cycleVisibleFloor();
+                break;
         }
     }
 
+    /**
+     * ランダムな歩行可能位置に一時的な障害物を配置（1つの階を表示している場合はその階）
+     */
+    placeRandomObstacle() {
+        const types = ['cart', 'spill', 'closedAisle'];
+        const type = types[Math.floor(Math.random() * types.length)];
+        const floor = this.store.visibleFloor ?? this.layout.getGroundFloor();
+        const position = this.store.floors.getPathFinder(floor).getRandomWalkablePosition();
+        const id = this.store.addTemporaryObstacle(type, { ...position, floor });
+        console.log(`障害物を配置: ${id}`);
+        return id;
+    }
+
     /**
      * ローディング画面の制御
      */
@@ -341,6 +515,10 @@ class SupermarketSimulation {
                 triangles: this.renderer.info.render.triangles
             },
             agents: this.agentManager.getDebugInfo(),
+            staff: this.staffManager.getDebugInfo(),
+            lanes: this.store.getLaneStats(),
+            checkoutTypes: this.store.getCheckoutTypeStats(),
+            connectors: this.store.getConnectorStats(),
             stats: this.stats,
             performance: {
                 fps: Math.round(1000 / (performance.now() - this.lastTime)),
@@ -355,12 +533,20 @@ class SupermarketSimulation {
     dispose() {
         this.isRunning = false;
         
+        if (this.layoutEditor) {
+            this.layoutEditor.dispose();
+        }
+        
         if (this.store) {
             this.store.dispose();
         }
         
+        if (this.staffManager) {
+            this.staffManager.dispose();
+        }
+        
         if (this.agentManager) {
-            this.agentManager.clearAllAgents();
+            this.agentManager.dispose();
         }
         
         if (this.renderer) {
@@ -392,35 +578,64 @@ document.addEventListener('DOMContentLoaded', () => {
     try {
         // アプリケーション開始
         window.supermarketApp = new SupermarketSimulation();
+        window.supermarketApp.ready.catch(showInitError);
         
         // デバッグ用グローバル関数
         window.getDebugInfo = () => window.supermarketApp.getDebugInfo();
+        window.getLaneStats = () => window.supermarketApp.store.getLaneStats();
+        window.getCheckoutTypeStats = () => window.supermarketApp.store.getCheckoutTypeStats();
+        window.getPurchaseMix = () => window.supermarketApp.store.getPurchaseMix();
+        window.getDwellTimeStats = () => window.supermarketApp.store.getDwellTimeStats();
+        window.setGroupMix = (segment, mix) => window.supermarketApp.agentManager.customerSegments.updateGroupMix(segment, mix);
         window.resetSimulation = () => window.supermarketApp.reset();
         window.togglePause = () => window.supermarketApp.togglePause();
+        window.getConnectorStats = () => window.supermarketApp.store.getConnectorStats();
+        window.addCustomerTransitionListener = (listener) => window.supermarketApp.agentManager.addTransitionListener(listener);
+        window.setVisibleFloor = (floor) => window.supermarketApp.setVisibleFloor(floor);
+        window.placeObstacle = (type, x, z, floor) => window.supermarketApp.store.addTemporaryObstacle(type, { x, z, floor });
+        window.removeObstacle = (id) => window.supermarketApp.store.removeTemporaryObstacle(id);
+        window.checkHierarchicalPaths = (options, floor) => window.supermarketApp.store.floors.getPathFinder(floor)?.hierarchy?.findReachabilityMismatches(options) ?? [];
         
     } catch (error) {
-        console.error('アプリケーション初期化エラー:', error);
-        
-        // エラー表示
-        const loading = document.getElementById('loading');
-        const loadingContent = loading.querySelector('.loading-content');
-        loadingContent.innerHTML = `
-            <h2 style="color: #ff6b6b;">エラーが発生しました</h2>
-            <p>アプリケーションを初期化できませんでした。</p>
-            <p>ブラウザをリロードして再試行してください。</p>
-            <button onclick="location.reload()" style="
-                background: #ff6b6b;
-                border: none;
-                color: white;
-                padding: 10px 20px;
-                border-radius: 5px;
-                cursor: pointer;
-                margin-top: 20px;
-            ">リロード</button>
-        `;
+        showInitError(error);
     }
 });
 
+/**
+ * 初期化エラーの表示（レイアウト・レイアウト生成・商品カタログのエラーは問題の一覧も表示）
+ */
+function showInitError(error) {
+    console.error('アプリケーション初期化エラー:', error);
+    
+    const loading = document.getElementById('loading');
+    const loadingContent = loading.querySelector('.loading-content');
+    loadingContent.innerHTML = `
+        <h2 style="color: #ff6b6b;">エラーが発生しました</h2>
+        <p>アプリケーションを初期化できませんでした。</p>
+        <ul class="layout-errors" style="text-align: left;"></ul>
+        <p>ブラウザをリロードして再試行してください。</p>
+        <button onclick="location.reload()" style="
+            background: #ff6b6b;
+            border: none;
+            color: white;
+            padding: 10px 20px;
+            border-radius: 5px;
+            cursor: pointer;
+            margin-top: 20px;
+        ">リロード</button>
+    `;
+    
+    if (error instanceof StoreLayoutError || error instanceof StoreGeneratorError || error instanceof ProductCatalogError) {
+        const list = loadingContent.querySelector('.layout-errors');
+        error.errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+    }
+    loading.style.display = 'flex';
+}
+
 /**
  * ページアンロード時のクリーンアップ
  */
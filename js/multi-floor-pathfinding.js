@@ -0,0 +1,165 @@
+/**
+ * 複数階の経路探索
+ * 階ごとのPathFinder（同じ大きさのグリッド）をエスカレーター・エレベーターでつなぎ、
+ * 接続の乗り口・降り口をノードにしたグラフのA*で階をまたぐ経路を求める
+ * 接続の所要時間と待ち時間は歩行速度で距離に換算し、グリッドの経路長と足し合わせる
+ */
+
+class MultiFloorPathFinder {
+    constructor(layout, groundPathFinder, options = {}) {
+        this.layout = layout;
+        this.parameters = {
+            walkingSpeed: 1.2, // 時間を距離に換算する歩行速度（m/秒）
+            ...options
+        };
+
+        // 最初の階はアプリケーションのPathFinderをそのまま使い、上の階は同じ設定で作る
+        this.pathFinders = new Map();
+        layout.floors.forEach((floor, index) => {
+            this.pathFinders.set(floor.id, index === 0 ? groundPathFinder : this.createFloorPathFinder(groundPathFinder));
+        });
+
+        // 階ごとの地点間の経路長のキャッシュ（グリッドが変わったら破棄）
+        this.costCaches = new Map();
+    }
+
+    /**
+     * 最初の階と同じ大きさ・探索方法のPathFinder
+     */
+    createFloorPathFinder(template) {
+        const pathFinder = new PathFinder(template.gridWidth, template.gridHeight, template.cellSize);
+        if (template.hierarchy) {
+            pathFinder.useHierarchy(template.hierarchy.clusterSize);
+        }
+        return pathFinder;
+    }
+
+    /**
+     * 階のPathFinder（floorを省略すると最初の階、ない階はnull）
+     */
+    getPathFinder(floor = null) {
+        return this.pathFinders.get(floor ?? this.layout.getGroundFloor()) || null;
+    }
+
+    /**
+     * 下の階から順の階のID
+     */
+    getFloorIds() {
+        return this.layout.floors.map(floor => floor.id);
+    }
+
+    isMultiFloor() {
+        return this.layout.floors.length > 1;
+    }
+
+    /**
+     * 階の床の高さ（m）
+     */
+    getElevation(floor) {
+        const definition = this.layout.getFloor(floor);
+        return definition ? definition.elevation : 0;
+    }
+
+    /**
+     * 階をまたぐ経路（start・goalは { x, z, floor }、floorを省略すると最初の階）
+     * getWaitTime(connector, board): 乗り口での待ち時間の見込み（秒）
+     * canUse(connector): 使える接続か（車いすはエレベーターだけなど）
+     * 戻り値は { cost, legs: [{ connector, board, exit }] }（同じ階ならlegsは空、行けなければnull）
+     */
+    findRoute(start, goal, { minClearance = 0, getWaitTime = null, canUse = null } = {}) {
+        const startPoint = { x: start.x, z: start.z, floor: start.floor ?? this.layout.getGroundFloor() };
+        const goalPoint = { x: goal.x, z: goal.z, floor: goal.floor ?? this.layout.getGroundFloor() };
+        const goalPathFinder = this.getPathFinder(goalPoint.floor);
+        if (!goalPathFinder || !this.getPathFinder(startPoint.floor)) return null;
+
+        const directions = this.layout.connectors
+            .filter(connector => !canUse || canUse(connector))
+            .flatMap(connector => this.layout.getConnectorDirections(connector).map(direction => ({ connector, ...direction })));
+
+        // ノード: 'start'・接続の向きの番号（降り口に着いた状態）・'goal'
+        // コスト倍率が1未満の通路もあるので、直線距離に最小の倍率を掛けて許容的なヒューリスティックにする
+        const pointOf = key => key === 'start' ? startPoint : key === 'goal' ? goalPoint : directions[key].exit;
+        const heuristic = point => point.floor === goalPoint.floor
+            ? Math.hypot(goalPoint.x - point.x, goalPoint.z - point.z) * goalPathFinder.minTraversalCost
+            : 0;
+
+        const costs = new Map([['start', 0]]);
+        const previous = new Map();
+        const open = new Set(['start']);
+        const closed = new Set();
+
+        while (open.size > 0) {
+            let current = null;
+            let currentScore = Infinity;
+            open.forEach(key => {
+                const score = costs.get(key) + heuristic(pointOf(key));
+                if (score < currentScore) {
+                    current = key;
+                    currentScore = score;
+                }
+            });
+
+            if (current === 'goal') {
+                return { cost: costs.get('goal'), legs: this.buildLegs(previous, directions) };
+            }
+            open.delete(current);
+            closed.add(current);
+
+            const point = pointOf(current);
+            const cost = costs.get(current);
+            const relax = (key, total) => {
+                if (closed.has(key) || total >= (costs.get(key) ?? Infinity)) return;
+                costs.set(key, total);
+                previous.set(key, current);
+                open.add(key);
+            };
+
+            if (point.floor === goalPoint.floor) {
+                relax('goal', cost + this.getWalkCost(point, goalPoint, minClearance));
+            }
+            directions.forEach((direction, index) => {
+                if (direction.board.floor !== point.floor) return;
+                const walk = this.getWalkCost(point, direction.board, minClearance);
+                if (walk === Infinity) return;
+
+                const wait = getWaitTime ? getWaitTime(direction.connector, direction.board) : 0;
+                relax(index, cost + walk + (direction.connector.travelTime + wait) * this.parameters.walkingSpeed);
+            });
+        }
+        return null;
+    }
+
+    /**
+     * ゴールからたどって乗る接続を順に並べる
+     */
+    buildLegs(previous, directions) {
+        const legs = [];
+        let key = previous.get('goal');
+        while (key !== 'start') {
+            const { connector, board, exit } = directions[key];
+            legs.unshift({ connector, board, exit });
+            key = previous.get(key);
+        }
+        return legs;
+    }
+
+    /**
+     * 同じ階の2点間の経路長（到達できなければInfinity）
+     */
+    getWalkCost(from, to, minClearance = 0) {
+        const pathFinder = this.getPathFinder(from.floor);
+        let cache = this.costCaches.get(from.floor);
+        if (!cache || cache.version !== pathFinder.version) {
+            cache = { version: pathFinder.version, costs: new Map() };
+            this.costCaches.set(from.floor, cache);
+        }
+
+        const start = pathFinder.worldToGrid(from.x, from.z);
+        const end = pathFinder.worldToGrid(to.x, to.z);
+        const key = `${start.x},${start.y}:${end.x},${end.y}:${minClearance}`;
+        if (!cache.costs.has(key)) {
+            cache.costs.set(key, pathFinder.getPathCost(from, to, { minClearance }));
+        }
+        return cache.costs.get(key);
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * ワーカーを使った非同期経路探索サービス
+ * 同じフレーム内の経路要求をまとめて1回のメッセージでワーカーへ送り、描画スレッドを止めない
+ * ワーカーが使えない環境（file:// で開いた場合など）ではメインスレッドで探索する
+ */
+
+class PathFinderService {
+    constructor(pathFinder, workerUrl = 'js/pathfinding-worker.js') {
+        this.pathFinder = pathFinder;
+        this.worker = null;
+        this.nextRequestId = 1;
+        this.queue = [];
+        this.pending = new Map();
+        this.flushScheduled = false;
+
+        this.stats = {
+            requests: 0,
+            batches: 0
+        };
+
+        this.startWorker(workerUrl);
+
+        // グリッドの変更をワーカーのミラーへ反映
+        this.removeGridListener = this.pathFinder.addChangeListener(change => this.syncCells(change.cells));
+    }
+
+    /**
+     * ワーカーを起動してグリッド全体を送る
+     */
+    startWorker(workerUrl) {
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            this.worker = new Worker(workerUrl);
+        } catch (error) {
+            console.warn('経路探索ワーカーを起動できないため同期探索を使用します', error);
+            this.worker = null;
+            return;
+        }
+
+        this.worker.onmessage = event => this.onWorkerMessage(event.data);
+        this.worker.onerror = event => {
+            console.warn('経路探索ワーカーでエラーが発生したため同期探索に切り替えます', event.message);
+            this.stopWorker();
+        };
+
+        const grid = this.pathFinder.exportGrid();
+        this.worker.postMessage({ type: 'init', grid }, [grid.walkable.buffer, grid.traversalCost.buffer]);
+    }
+
+    /**
+     * ワーカーを停止し、応答待ちの要求はメインスレッドで処理する
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        const waiting = Array.from(this.pending.values());
+        this.pending.clear();
+        waiting.forEach(entry => entry.resolve(this.findCellsSync(entry.request)));
+    }
+
+    /**
+     * ワーカーが使えるか
+     */
+    isAsync() {
+        return this.worker !== null;
+    }
+
+    /**
+     * 変更セルの歩行可否とコスト倍率をワーカーへ送る
+     */
+    syncCells(cells) {
+        if (!this.worker || cells.length === 0) return;
+
+        const unique = Int32Array.from(new Set(cells));
+        const walkable = new Uint8Array(unique.length);
+        const traversalCost = new Float32Array(unique.length);
+        unique.forEach((index, i) => {
+            walkable[i] = this.pathFinder.walkable[index];
+            traversalCost[i] = this.pathFinder.traversalCost[index];
+        });
+
+        const update = {
+            cells: unique,
+            walkable,
+            traversalCost,
+            minTraversalCost: this.pathFinder.minTraversalCost,
+            version: this.pathFinder.version
+        };
+        this.worker.postMessage({ type: 'update', update }, [unique.buffer, walkable.buffer, traversalCost.buffer]);
+    }
+
+    /**
+     * 経路をセル番号の配列で非同期に取得
+     * 結果は { cells, version }（versionは探索に使ったグリッドの版）
+     */
+    findCellsAsync(startWorld, endWorld, options = {}) {
+        return new Promise(resolve => {
+            const request = {
+                id: this.nextRequestId++,
+                start: { x: startWorld.x, z: startWorld.z },
+                end: { x: endWorld.x, z: endWorld.z },
+                options: {
+                    shared: options.shared || false,
+                    minClearance: options.minClearance || 0
+                }
+            };
+
+            this.queue.push({ request, resolve });
+            this.stats.requests++;
+            this.scheduleFlush();
+        });
+    }
+
+    /**
+     * 経路をワールド座標のパスで非同期に取得（PathFinder.findPathの非同期版）
+     */
+    findPathAsync(startWorld, endWorld, options = {}) {
+        return this.findCellsAsync(startWorld, endWorld, options)
+            .then(result => this.pathFinder.cellsToPath(result.cells, options));
+    }
+
+    /**
+     * 現在の処理が終わった時点でまとめて送信
+     */
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+
+        this.flushScheduled = true;
+        Promise.resolve().then(() => this.flush());
+    }
+
+    /**
+     * キューにたまった要求を1つのバッチとして処理
+     */
+    flush() {
+        this.flushScheduled = false;
+        if (this.queue.length === 0) return;
+
+        const batch = this.queue;
+        this.queue = [];
+        this.stats.batches++;
+
+        if (!this.worker) {
+            batch.forEach(entry => entry.resolve(this.findCellsSync(entry.request)));
+            return;
+        }
+
+        batch.forEach(entry => this.pending.set(entry.request.id, entry));
+        this.worker.postMessage({
+            type: 'findPaths',
+            requests: batch.map(entry => entry.request)
+        });
+    }
+
+    /**
+     * ワーカーからの応答を処理
+     */
+    onWorkerMessage(message) {
+        if (message.type !== 'paths') return;
+
+        message.results.forEach(result => {
+            const entry = this.pending.get(result.id);
+            if (!entry) return;
+
+            this.pending.delete(result.id);
+            entry.resolve({ cells: Array.from(result.cells), version: message.version });
+        });
+    }
+
+    /**
+     * メインスレッドでの探索（ワーカーが使えない場合）
+     */
+    findCellsSync(request) {
+        return {
+            cells: this.pathFinder.findCells(request.start, request.end, request.options),
+            version: this.pathFinder.version
+        };
+    }
+
+    /**
+     * 後片付け
+     */
+    dispose() {
+        this.removeGridListener();
+        this.stopWorker();
+        this.queue.forEach(entry => entry.resolve(this.findCellsSync(entry.request)));
+        this.queue = [];
+    }
+}
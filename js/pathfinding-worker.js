@@ -0,0 +1,37 @@
+/**
+ * 経路探索ワーカー
+ * PathFinderServiceから送られたグリッドのミラーを持ち、まとめて届いた経路要求を処理する
+ */
+
+importScripts('binary-heap.js', 'pathfinding.js', 'flow-field.js', 'hierarchical-pathfinding.js');
+
+let pathFinder = null;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'init':
+            pathFinder = new PathFinder(message.grid.gridWidth, message.grid.gridHeight, message.grid.cellSize);
+            pathFinder.loadGrid(message.grid);
+            break;
+
+        case 'update':
+            pathFinder.applyCellUpdate(message.update);
+            break;
+
+        case 'findPaths': {
+            const results = message.requests.map(request => ({
+                id: request.id,
+                cells: Int32Array.from(pathFinder.findCells(request.start, request.end, request.options))
+            }));
+
+            self.postMessage({
+                type: 'paths',
+                version: pathFinder.version,
+                results
+            }, results.map(result => result.cells.buffer));
+            break;
+        }
+    }
+};
@@ -1,37 +1,92 @@
 /**
  * A*経路探索アルゴリズムの実装
  * グリッドベースの経路探索を提供
+ *
+ * ノード情報はセル番号（y * gridWidth + x）で引く型付き配列に保持し、
+ * 探索ごとの初期化は世代カウンタで省略する
  */
 
+// 8方向の移動量と移動コスト（直進10・斜め14）
+const PATH_DIRECTIONS_X = [-1, -1, -1, 0, 0, 1, 1, 1];
+const PATH_DIRECTIONS_Y = [-1, 0, 1, -1, 1, -1, 0, 1];
+const PATH_DIRECTION_COSTS = [14, 10, 14, 10, 10, 14, 10, 14];
+
+// 移動手段ごとの体の幅と必要なクリアランス（セル中心から障害物までの距離, m）
+// usesEscalator: 階の移動にエスカレーターを使えるか（車いすはエレベーターだけ）
+const MOBILITY_PROFILES = {
+    basket: { width: 0.5, minClearance: 0, usesEscalator: true },
+    cart: { width: 0.6, minClearance: 0.6, usesEscalator: true },
+    wheelchair: { width: 0.7, minClearance: 0.9, usesEscalator: false }
+};
+
 class PathFinder {
     constructor(gridWidth, gridHeight, cellSize = 1) {
         this.gridWidth = gridWidth;
         this.gridHeight = gridHeight;
         this.cellSize = cellSize;
-        this.grid = this.createGrid();
+        this.cellCount = gridWidth * gridHeight;
+
+        // グリッド（1: 歩行可能, 0: 障害物）
+        // walkableは固定障害物と動的障害物を合成した結果
+        this.walkable = new Uint8Array(this.cellCount).fill(1);
+        this.staticWalkable = new Uint8Array(this.cellCount).fill(1);
+        this.dynamicBlockCount = new Uint16Array(this.cellCount);
         this.obstacles = new Set();
+        this.dynamicObstacles = new Map();
+
+        // 移動コストの倍率（1: 標準, <1: 好まれる通路, >1: 混雑・濡れた床など）
+        this.costLayers = new Map();
+        this.traversalCost = new Float32Array(this.cellCount).fill(1);
+        this.minTraversalCost = 1;
+
+        // クリアランスマップ（セル中心から最寄りの障害物までの距離, m）
+        // 障害物の変更後、次に必要になったときに変更セルの周囲だけ再計算する
+        this.clearance = new Float32Array(this.cellCount);
+        this.maxClearance = 3;
+        this.clearanceDirty = new Set();
+        this.clearanceStale = true;
+
+        // グリッド変更の通知
+        this.version = 0;
+        this.changeListeners = [];
+        this.batchDepth = 0;
+        this.pendingChanges = new Set();
+        this.pendingCostChanges = new Set();
+
+        // 共有目的地ごとのフローフィールド（グリッド変更で破棄）
+        this.flowFields = new Map();
+        this.maxFlowFields = 32;
+
+        // 大きなグリッドでは階層型探索（HPA*）を使う
+        this.hierarchy = null;
+
+        // 探索用ノードストア
+        this.gCost = new Float64Array(this.cellCount);
+        this.hCost = new Float64Array(this.cellCount);
+        this.parent = new Int32Array(this.cellCount);
+        this.visitedGeneration = new Uint32Array(this.cellCount);
+        this.closedGeneration = new Uint32Array(this.cellCount);
+        this.searchGeneration = 0;
+
+        this.openSet = new BinaryHeap(this.cellCount, (a, b) => {
+            const fa = this.gCost[a] + this.hCost[a];
+            const fb = this.gCost[b] + this.hCost[b];
+            return fa < fb || (fa === fb && this.hCost[a] < this.hCost[b]);
+        });
     }
 
     /**
-     * グリッドを初期化
+     * グリッド座標からセル番号を取得
      */
-    createGrid() {
-        const grid = [];
-        for (let x = 0; x < this.gridWidth; x++) {
-            grid[x] = [];
-            for (let y = 0; y < this.gridHeight; y++) {
-                grid[x][y] = {
-                    x: x,
-                    y: y,
-                    walkable: true,
-                    gCost: 0,
-                    hCost: 0,
-                    fCost: 0,
-                    parent: null
-                };
-            }
-        }
-        return grid;
+    toIndex(x, y) {
+        return y * this.gridWidth + x;
+    }
+
+    /**
+     * セルが歩行可能かチェック
+     */
+    isWalkable(x, y) {
+        return this.isValidCoordinate(x, y) && this.walkable[this.toIndex(x, y)] === 1;
     }
 
     /**
@@ -39,13 +94,14 @@ class PathFinder {
      */
     setObstacle(x, y, walkable = false) {
         if (this.isValidCoordinate(x, y)) {
-            this.grid[x][y].walkable = walkable;
-            const key = `${x},${y}`;
+            const index = this.toIndex(x, y);
+            this.staticWalkable[index] = walkable ? 1 : 0;
             if (!walkable) {
-                this.obstacles.add(key);
+                this.obstacles.add(index);
             } else {
-                this.obstacles.delete(key);
+                this.obstacles.delete(index);
             }
+            this.refreshCell(index);
         }
     }
 
@@ -53,11 +109,417 @@ class PathFinder {
      * 矩形エリアに障害物を設定
      */
     setRectangleObstacle(startX, startY, width, height, walkable = false) {
-        for (let x = startX; x < startX + width; x++) {
-            for (let y = startY; y < startY + height; y++) {
-                this.setObstacle(x, y, walkable);
+        this.batchChanges(() => {
+            for (let x = startX; x < startX + width; x++) {
+                for (let y = startY; y < startY + height; y++) {
+                    this.setObstacle(x, y, walkable);
+                }
+            }
+        });
+    }
+
+    /**
+     * 固定障害物をすべて取り除く（レイアウトを設定し直すとき用、動的障害物は残す）
+     */
+    clearObstacles() {
+        this.batchChanges(() => {
+            Array.from(this.obstacles).forEach(index => {
+                const x = index % this.gridWidth;
+                this.setObstacle(x, (index - x) / this.gridWidth, true);
+            });
+        });
+    }
+
+    /**
+     * 動的障害物（補充カート・清掃コーン・通路封鎖など）を追加
+     * rectはワールド座標の中心と幅・奥行き { x, z, width, depth }
+     */
+    addDynamicObstacle(id, rect) {
+        this.batchChanges(() => {
+            this.removeDynamicObstacle(id);
+
+            const cells = this.getCellsInRect(rect);
+            cells.forEach(index => {
+                this.dynamicBlockCount[index]++;
+                this.refreshCell(index);
+            });
+            this.dynamicObstacles.set(id, { rect: { ...rect }, cells });
+        });
+    }
+
+    /**
+     * 動的障害物を移動（削除と追加を1回の変更として通知）
+     */
+    moveDynamicObstacle(id, rect) {
+        this.addDynamicObstacle(id, rect);
+    }
+
+    /**
+     * 動的障害物を削除
+     */
+    removeDynamicObstacle(id) {
+        const obstacle = this.dynamicObstacles.get(id);
+        if (!obstacle) return false;
+
+        this.batchChanges(() => {
+            obstacle.cells.forEach(index => {
+                this.dynamicBlockCount[index]--;
+                this.refreshCell(index);
+            });
+            this.dynamicObstacles.delete(id);
+        });
+        return true;
+    }
+
+    /**
+     * ワールド座標の矩形に含まれるセル番号を取得
+     */
+    getCellsInRect(rect) {
+        const min = this.worldToGrid(rect.x - rect.width / 2, rect.z - rect.depth / 2);
+        const max = this.worldToGrid(rect.x + rect.width / 2 - 1e-6, rect.z + rect.depth / 2 - 1e-6);
+        const cells = [];
+
+        for (let y = Math.max(0, min.y); y <= Math.min(this.gridHeight - 1, max.y); y++) {
+            for (let x = Math.max(0, min.x); x <= Math.min(this.gridWidth - 1, max.x); x++) {
+                cells.push(this.toIndex(x, y));
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * 棚や壁などの設置面に当たるセル番号を取得
+     * セル中心が矩形に入るセルを選ぶ（壁のように薄くセル中心を含まない向きは中心線上のセル）
+     */
+    getFootprintCells(rect) {
+        const axisRange = (center, size, count) => {
+            const min = center / this.cellSize - size / this.cellSize / 2 + count / 2;
+            const max = min + size / this.cellSize;
+            let first = Math.ceil(min - 0.5);
+            let last = Math.ceil(max - 0.5) - 1;
+            if (first > last) {
+                first = last = Math.floor((min + max) / 2);
+            }
+            return { first: Math.max(0, first), last: Math.min(count - 1, last) };
+        };
+        const rangeX = axisRange(rect.x, rect.width, this.gridWidth);
+        const rangeY = axisRange(rect.z, rect.depth, this.gridHeight);
+        const cells = [];
+
+        for (let y = rangeY.first; y <= rangeY.last; y++) {
+            for (let x = rangeX.first; x <= rangeX.last; x++) {
+                cells.push(this.toIndex(x, y));
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * 設置面（ワールド座標の中心と幅・奥行き）を固定障害物に設定
+     */
+    setFootprintObstacle(rect, walkable = false) {
+        this.batchChanges(() => {
+            this.getFootprintCells(rect).forEach(index => {
+                const x = index % this.gridWidth;
+                this.setObstacle(x, (index - x) / this.gridWidth, walkable);
+            });
+        });
+    }
+
+    /**
+     * 固定・動的障害物からセルの歩行可否を再計算
+     */
+    refreshCell(index) {
+        const walkable = this.staticWalkable[index] === 1 && this.dynamicBlockCount[index] === 0 ? 1 : 0;
+        if (this.walkable[index] === walkable) return;
+
+        this.walkable[index] = walkable;
+        this.pendingChanges.add(index);
+        this.clearanceDirty.add(index);
+        if (this.batchDepth === 0) {
+            this.flushChanges();
+        }
+    }
+
+    /**
+     * 複数セルの変更をまとめて1回だけ通知
+     */
+    batchChanges(callback) {
+        this.batchDepth++;
+        try {
+            callback();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0) {
+                this.flushChanges();
+            }
+        }
+    }
+
+    /**
+     * 保留中の変更をリスナーへ通知
+     */
+    flushChanges() {
+        if (this.pendingChanges.size === 0 && this.pendingCostChanges.size === 0) return;
+
+        const blocked = [];
+        const freed = [];
+        this.pendingChanges.forEach(index => {
+            (this.walkable[index] === 1 ? freed : blocked).push(index);
+        });
+        const costChanged = Array.from(this.pendingCostChanges);
+        this.pendingChanges.clear();
+        this.pendingCostChanges.clear();
+        this.version++;
+        this.flowFields.clear();
+
+        const change = {
+            blocked,
+            freed,
+            costChanged,
+            cells: blocked.concat(freed, costChanged),
+            version: this.version
+        };
+        this.changeListeners.slice().forEach(listener => listener(change));
+    }
+
+    /**
+     * ワーカーへ送るためにグリッドの状態を複製
+     */
+    exportGrid() {
+        return {
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
+            cellSize: this.cellSize,
+            walkable: this.walkable.slice(),
+            traversalCost: this.traversalCost.slice(),
+            minTraversalCost: this.minTraversalCost,
+            version: this.version,
+            clusterSize: this.hierarchy ? this.hierarchy.clusterSize : 0
+        };
+    }
+
+    /**
+     * exportGridで複製したグリッドを読み込む（ワーカー側のミラー用）
+     */
+    loadGrid(grid) {
+        this.walkable.set(grid.walkable);
+        this.staticWalkable.set(grid.walkable);
+        this.traversalCost.set(grid.traversalCost);
+        this.minTraversalCost = grid.minTraversalCost;
+        this.version = grid.version;
+        this.clearanceStale = true;
+        this.flowFields.clear();
+
+        if (grid.clusterSize > 0) {
+            this.useHierarchy(grid.clusterSize);
+        }
+    }
+
+    /**
+     * 変更セルの歩行可否とコスト倍率を反映（ワーカー側のミラー用）
+     * update: { cells: Int32Array, walkable: Uint8Array, traversalCost: Float32Array, minTraversalCost, version }
+     */
+    applyCellUpdate(update) {
+        for (let i = 0; i < update.cells.length; i++) {
+            const index = update.cells[i];
+            if (this.walkable[index] !== update.walkable[i]) {
+                this.walkable[index] = update.walkable[i];
+                this.staticWalkable[index] = update.walkable[i];
+                this.pendingChanges.add(index);
+                this.clearanceDirty.add(index);
+            }
+            if (this.traversalCost[index] !== update.traversalCost[i]) {
+                this.traversalCost[index] = update.traversalCost[i];
+                this.pendingCostChanges.add(index);
+            }
+        }
+        this.minTraversalCost = update.minTraversalCost;
+
+        // リスナー（階層型探索など）へ通知してから版を合わせる
+        this.flushChanges();
+        this.version = update.version;
+    }
+
+    /**
+     * コストレイヤーを設定
+     * zonesはワールド座標の矩形とコスト倍率 { x, z, width, depth, cost } の配列
+     * 同じレイヤー内で重なるゾーンは倍率を掛け合わせる
+     */
+    setCostLayer(name, zones) {
+        const layer = new Float32Array(this.cellCount).fill(1);
+        zones.forEach(zone => {
+            if (!(zone.cost > 0)) {
+                throw new Error(`Invalid traversal cost in layer "${name}": ${zone.cost}`);
+            }
+            this.getCellsInRect(zone).forEach(index => {
+                layer[index] *= zone.cost;
+            });
+        });
+
+        this.costLayers.set(name, layer);
+        this.updateTraversalCost();
+    }
+
+    /**
+     * コストレイヤーを削除
+     */
+    removeCostLayer(name) {
+        if (this.costLayers.delete(name)) {
+            this.updateTraversalCost();
+        }
+    }
+
+    /**
+     * 全レイヤーを掛け合わせて移動コスト倍率を再計算
+     */
+    updateTraversalCost() {
+        const layers = Array.from(this.costLayers.values());
+        let minCost = Infinity;
+
+        this.batchChanges(() => {
+            for (let i = 0; i < this.cellCount; i++) {
+                let cost = 1;
+                for (let l = 0; l < layers.length; l++) {
+                    cost *= layers[l][i];
+                }
+                if (cost < minCost) minCost = cost;
+
+                if (this.traversalCost[i] !== cost) {
+                    this.traversalCost[i] = cost;
+                    this.pendingCostChanges.add(i);
+                }
+            }
+        });
+
+        // ヒューリスティックが過大評価しないよう最小倍率を保持
+        this.minTraversalCost = Math.min(1, minCost);
+    }
+
+    /**
+     * グリッド座標の移動コスト倍率を取得
+     */
+    getTraversalCost(x, y) {
+        return this.isValidCoordinate(x, y) ? this.traversalCost[this.toIndex(x, y)] : Infinity;
+    }
+
+    /**
+     * グリッド変更リスナーを登録（戻り値の関数で解除）
+     */
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            const index = this.changeListeners.indexOf(listener);
+            if (index !== -1) {
+                this.changeListeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * 指定クリアランスで通行できるセルかチェック
+     */
+    isPassable(x, y, minClearance = 0) {
+        if (!this.isWalkable(x, y)) return false;
+        return minClearance <= 0 || this.getClearance(x, y) >= minClearance;
+    }
+
+    /**
+     * セル中心から最寄りの障害物（グリッド外を含む）までの距離を取得
+     */
+    getClearance(x, y) {
+        if (!this.isValidCoordinate(x, y)) return 0;
+        this.updateClearance();
+        return this.clearance[this.toIndex(x, y)];
+    }
+
+    /**
+     * 障害物の変更に合わせてクリアランスマップを更新
+     * 変更セルから maxClearance 以内のセルだけを再計算する
+     */
+    updateClearance() {
+        if (!this.clearanceStale && this.clearanceDirty.size === 0) return;
+
+        const reach = Math.ceil(this.maxClearance / this.cellSize);
+        const windowSize = (2 * reach + 1) * (2 * reach + 1);
+
+        if (this.clearanceStale || this.clearanceDirty.size * windowSize >= this.cellCount) {
+            for (let i = 0; i < this.cellCount; i++) {
+                this.clearance[i] = this.computeCellClearance(i);
+            }
+        } else {
+            const affected = new Set();
+            this.clearanceDirty.forEach(index => {
+                const x = index % this.gridWidth;
+                const y = (index - x) / this.gridWidth;
+                for (let dy = -reach; dy <= reach; dy++) {
+                    for (let dx = -reach; dx <= reach; dx++) {
+                        if (this.isValidCoordinate(x + dx, y + dy)) {
+                            affected.add(this.toIndex(x + dx, y + dy));
+                        }
+                    }
+                }
+            });
+            affected.forEach(index => {
+                this.clearance[index] = this.computeCellClearance(index);
+            });
+        }
+
+        this.clearanceDirty.clear();
+        this.clearanceStale = false;
+    }
+
+    /**
+     * 1セルのクリアランスを周囲の障害物セルとの距離から計算（上限 maxClearance）
+     */
+    computeCellClearance(index) {
+        if (this.walkable[index] === 0) return 0;
+
+        const x = index % this.gridWidth;
+        const y = (index - x) / this.gridWidth;
+        const reach = Math.ceil(this.maxClearance / this.cellSize);
+        let best = this.maxClearance;
+
+        for (let dy = -reach; dy <= reach; dy++) {
+            for (let dx = -reach; dx <= reach; dx++) {
+                if (this.isWalkable(x + dx, y + dy)) continue;
+
+                // セル中心から障害物セルの最も近い辺・角までの距離
+                const ox = Math.max(Math.abs(dx) - 0.5, 0);
+                const oy = Math.max(Math.abs(dy) - 0.5, 0);
+                const distance = Math.sqrt(ox * ox + oy * oy) * this.cellSize;
+                if (distance < best) best = distance;
             }
         }
+
+        return best;
+    }
+
+    /**
+     * 指定セルに最も近い歩行可能セルを取得（見つからなければ-1）
+     * minClearanceを指定した場合はそのクリアランスを満たすセルに限る
+     */
+    findNearestWalkable(x, y, maxRadius = 5, minClearance = 0) {
+        if (this.isPassable(x, y, minClearance)) return this.toIndex(x, y);
+
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            let best = -1;
+            let bestDistance = Infinity;
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                    if (!this.isPassable(x + dx, y + dy, minClearance)) continue;
+
+                    const distance = dx * dx + dy * dy;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = this.toIndex(x + dx, y + dy);
+                    }
+                }
+            }
+            if (best !== -1) return best;
+        }
+        return -1;
     }
 
     /**
@@ -89,119 +551,250 @@ class PathFinder {
 
     /**
      * A*アルゴリズムによる経路探索
+     * options.minClearance: 通過セルに必要なクリアランス（m）
+     * options.radius: 近道の判定に使う半径（m）, options.curved: Catmull-Rom曲線で補間するか
      */
-    findPath(startWorld, endWorld) {
+    findPath(startWorld, endWorld, options = {}) {
+        return this.cellsToPath(this.findGridPath(startWorld, endWorld, options), options);
+    }
+
+    /**
+     * 経路をセル番号の配列で返す
+     * shared: 多くの客が向かう目的地はフローフィールドを、それ以外はA*を使う
+     */
+    findCells(startWorld, endWorld, { shared = false, minClearance = 0 } = {}) {
+        return shared
+            ? this.findFlowPath(startWorld, endWorld, { minClearance })
+            : this.findGridPath(startWorld, endWorld, { minClearance });
+    }
+
+    /**
+     * 階層型探索（HPA*）を有効にする
+     * 以後のfindPath/findGridPathはクラスタ単位の抽象グラフ上で探索する
+     */
+    useHierarchy(clusterSize = 10) {
+        if (this.hierarchy) {
+            this.hierarchy.dispose();
+        }
+        this.hierarchy = new HierarchicalPathFinder(this, { clusterSize });
+        return this.hierarchy;
+    }
+
+    /**
+     * 2点間の最短経路の長さ（m、コスト倍率込み。到達不能ならInfinity）
+     * 棚の中心など障害物上の点は最寄りの通行可能セルに寄せる
+     */
+    getPathCost(startWorld, endWorld, { minClearance = 0 } = {}) {
         const start = this.worldToGrid(startWorld.x, startWorld.z);
         const end = this.worldToGrid(endWorld.x, endWorld.z);
+        if (!this.isValidCoordinate(start.x, start.y) || !this.isValidCoordinate(end.x, end.y)) {
+            return Infinity;
+        }
 
-        if (!this.isValidCoordinate(start.x, start.y) || 
-            !this.isValidCoordinate(end.x, end.y)) {
-            return [];
+        const startIndex = this.findNearestWalkable(start.x, start.y, 5, minClearance);
+        const endIndex = this.findNearestWalkable(end.x, end.y, 5, minClearance);
+        if (startIndex === -1 || endIndex === -1) return Infinity;
+        if (startIndex === endIndex) return 0;
+
+        if (!this.search(startIndex, endIndex, minClearance)) return Infinity;
+        return this.gCost[endIndex] / 10 * this.cellSize;
+    }
+
+    /**
+     * 複数の立ち寄り先を回る順序を計画（RoutePlannerを使用）
+     * 戻り値はpointsのインデックスを訪問順に並べた配列
+     */
+    planVisitOrder(points, startWorld, endWorld, options = {}) {
+        if (!this.routePlanner) {
+            this.routePlanner = new RoutePlanner(this);
         }
+        return this.routePlanner.planVisitOrder(points, startWorld, endWorld, options);
+    }
 
-        if (!this.grid[start.x][start.y].walkable || 
-            !this.grid[end.x][end.y].walkable) {
+    /**
+     * 目的地のフローフィールドを取得（キャッシュがなければ計算）
+     * 必要なクリアランスが異なれば別のフィールドとしてキャッシュする
+     */
+    getFlowField(goalWorld, minClearance = 0) {
+        const goal = this.worldToGrid(goalWorld.x, goalWorld.z);
+        if (!this.isValidCoordinate(goal.x, goal.y)) return null;
+
+        const goalIndex = this.toIndex(goal.x, goal.y);
+        const key = `${goalIndex}:${minClearance}`;
+        let field = this.flowFields.get(key);
+
+        if (field && field.isValid()) {
+            // 最近使ったものを末尾へ
+            this.flowFields.delete(key);
+        } else {
+            field = new FlowField(this, goalIndex, minClearance);
+            if (this.flowFields.size >= this.maxFlowFields) {
+                this.flowFields.delete(this.flowFields.keys().next().value);
+            }
+        }
+
+        this.flowFields.set(key, field);
+        return field;
+    }
+
+    /**
+     * フローフィールドをたどった経路をセル番号の配列で返す
+     */
+    findFlowPath(startWorld, goalWorld, { minClearance = 0 } = {}) {
+        const field = this.getFlowField(goalWorld, minClearance);
+        return field ? field.traceCells(startWorld) : [];
+    }
+
+    /**
+     * A*探索を行い、経路をセル番号の配列で返す
+     * 開始位置が障害物上にある場合は最寄りの歩行可能セルから探索する
+     * minClearanceを指定した場合、開始・目標セルはクリアランスを満たす最寄りのセルに寄せる
+     */
+    findGridPath(startWorld, endWorld, { minClearance = 0 } = {}) {
+        if (this.hierarchy) {
+            return this.hierarchy.findGridPath(startWorld, endWorld, { minClearance });
+        }
+
+        const start = this.worldToGrid(startWorld.x, startWorld.z);
+        const end = this.worldToGrid(endWorld.x, endWorld.z);
+
+        if (!this.isValidCoordinate(start.x, start.y) || !this.isWalkable(end.x, end.y)) {
             return [];
         }
 
-        // グリッドをリセット
-        this.resetGrid();
+        const startIndex = this.findNearestWalkable(start.x, start.y, 5, minClearance);
+        const endIndex = this.findNearestWalkable(end.x, end.y, 5, minClearance);
 
-        const openSet = [];
-        const closedSet = new Set();
-        
-        const startNode = this.grid[start.x][start.y];
-        const endNode = this.grid[end.x][end.y];
-        
-        openSet.push(startNode);
-
-        while (openSet.length > 0) {
-            // 最小fCostのノードを選択
-            let currentNode = openSet[0];
-            for (let i = 1; i < openSet.length; i++) {
-                if (openSet[i].fCost < currentNode.fCost ||
-                    (openSet[i].fCost === currentNode.fCost && openSet[i].hCost < currentNode.hCost)) {
-                    currentNode = openSet[i];
-                }
-            }
+        if (startIndex === -1 || endIndex === -1 || !this.search(startIndex, endIndex, minClearance)) {
+            return []; // パスが見つからない
+        }
+
+        return this.reconstructCells(startIndex, endIndex);
+    }
+
+    /**
+     * 開始セルから目標セルまでA*探索を実行
+     * 成功時はparent配列に経路が残る
+     */
+    search(startIndex, endIndex, minClearance = 0) {
+        this.updateClearance();
+        const generation = this.beginSearch();
+        const width = this.gridWidth;
+        const startX = startIndex % width;
+        const endX = endIndex % width;
+        const endY = (endIndex - endX) / width;
 
-            openSet.splice(openSet.indexOf(currentNode), 1);
-            closedSet.add(`${currentNode.x},${currentNode.y}`);
+        this.visitedGeneration[startIndex] = generation;
+        this.gCost[startIndex] = 0;
+        this.hCost[startIndex] = this.getHeuristic(startX, (startIndex - startX) / width, endX, endY);
+        this.parent[startIndex] = -1;
+        this.openSet.push(startIndex);
+
+        while (!this.openSet.isEmpty()) {
+            const current = this.openSet.pop();
+            this.closedGeneration[current] = generation;
 
             // 目標に到達
-            if (currentNode === endNode) {
-                return this.reconstructPath(startNode, endNode);
+            if (current === endIndex) {
+                return true;
             }
 
+            const currentX = current % width;
+            const currentY = (current - currentX) / width;
+
             // 隣接ノードを探索
-            const neighbors = this.getNeighbors(currentNode);
-            for (const neighbor of neighbors) {
-                if (!neighbor.walkable || closedSet.has(`${neighbor.x},${neighbor.y}`)) {
-                    continue;
-                }
+            for (let dir = 0; dir < 8; dir++) {
+                const x = currentX + PATH_DIRECTIONS_X[dir];
+                const y = currentY + PATH_DIRECTIONS_Y[dir];
+                if (!this.isValidCoordinate(x, y)) continue;
+
+                const neighbor = y * width + x;
+                if (this.closedGeneration[neighbor] === generation) continue;
+
+                const stepCost = this.getStepCost(current, neighbor, dir, minClearance);
+                if (stepCost === Infinity) continue;
 
-                const newGCost = currentNode.gCost + this.getDistance(currentNode, neighbor);
-                
-                if (newGCost < neighbor.gCost || !openSet.includes(neighbor)) {
-                    neighbor.gCost = newGCost;
-                    neighbor.hCost = this.getDistance(neighbor, endNode);
-                    neighbor.fCost = neighbor.gCost + neighbor.hCost;
-                    neighbor.parent = currentNode;
+                const newGCost = this.gCost[current] + stepCost;
+                const visited = this.visitedGeneration[neighbor] === generation;
 
-                    if (!openSet.includes(neighbor)) {
-                        openSet.push(neighbor);
+                if (!visited || newGCost < this.gCost[neighbor]) {
+                    if (!visited) {
+                        this.visitedGeneration[neighbor] = generation;
+                        this.hCost[neighbor] = this.getHeuristic(x, y, endX, endY);
                     }
+                    this.gCost[neighbor] = newGCost;
+                    this.parent[neighbor] = current;
+                    this.openSet.push(neighbor);
                 }
             }
         }
 
-        return []; // パスが見つからない
+        return false;
     }
 
     /**
-     * グリッドをリセット
+     * 探索の世代を進める（ノード配列の全リセットの代わり）
      */
-    resetGrid() {
-        for (let x = 0; x < this.gridWidth; x++) {
-            for (let y = 0; y < this.gridHeight; y++) {
-                const node = this.grid[x][y];
-                node.gCost = 0;
-                node.hCost = 0;
-                node.fCost = 0;
-                node.parent = null;
-            }
+    beginSearch() {
+        this.openSet.clear();
+        this.searchGeneration++;
+
+        // カウンタが一周したら一度だけ配列を初期化
+        if (this.searchGeneration === 0xFFFFFFFF) {
+            this.visitedGeneration.fill(0);
+            this.closedGeneration.fill(0);
+            this.searchGeneration = 1;
         }
+
+        return this.searchGeneration;
     }
 
     /**
-     * 隣接ノードを取得
+     * 隣接セルへの移動コスト（通行不可ならInfinity）
+     * dirはPATH_DIRECTIONS_X/Yのインデックス
+     * 斜め移動は隣り合う2つの直進セルがどちらも歩行可能な場合のみ（棚の角をすり抜けない）
+     * minClearanceを指定した場合は、斜めの角の2セルもそのクリアランスを満たすこと
+     * （HPA*のクラスタ境界は直進の遷移点だけでつなぐため、斜めにしか通れない境界を作らない）
+     * minClearanceを使う場合は呼び出し側で先にupdateClearance()を実行しておく
      */
-    getNeighbors(node) {
-        const neighbors = [];
-        const directions = [
-            [-1, -1], [-1, 0], [-1, 1],
-            [0, -1],           [0, 1],
-            [1, -1],  [1, 0],  [1, 1]
-        ];
-
-        for (const [dx, dy] of directions) {
-            const x = node.x + dx;
-            const y = node.y + dy;
-
-            if (this.isValidCoordinate(x, y)) {
-                neighbors.push(this.grid[x][y]);
+    getStepCost(fromIndex, toIndex, dir, minClearance = 0) {
+        if (this.walkable[fromIndex] === 0 || this.walkable[toIndex] === 0) {
+            return Infinity;
+        }
+        if (minClearance > 0 &&
+            (this.clearance[fromIndex] < minClearance || this.clearance[toIndex] < minClearance)) {
+            return Infinity;
+        }
+        if (PATH_DIRECTION_COSTS[dir] === 14) {
+            const dx = PATH_DIRECTIONS_X[dir];
+            const dy = PATH_DIRECTIONS_Y[dir];
+            const cornerX = fromIndex + dx;
+            const cornerY = fromIndex + dy * this.gridWidth;
+            if (this.walkable[cornerX] === 0 || this.walkable[cornerY] === 0) {
+                return Infinity;
+            }
+            if (minClearance > 0 &&
+                (this.clearance[cornerX] < minClearance || this.clearance[cornerY] < minClearance)) {
+                return Infinity;
             }
         }
+        // 両セルのコスト倍率の平均を掛ける
+        return PATH_DIRECTION_COSTS[dir] * (this.traversalCost[fromIndex] + this.traversalCost[toIndex]) * 0.5;
+    }
 
-        return neighbors;
+    /**
+     * 探索用ヒューリスティック（コスト倍率の最小値で割り引いたオクタイル距離）
+     */
+    getHeuristic(ax, ay, bx, by) {
+        return this.getDistance(ax, ay, bx, by) * this.minTraversalCost;
     }
 
     /**
-     * 2ノード間の距離を計算
+     * 2セル間の距離を計算（オクタイル距離）
      */
-    getDistance(nodeA, nodeB) {
-        const dx = Math.abs(nodeA.x - nodeB.x);
-        const dy = Math.abs(nodeA.y - nodeB.y);
+    getDistance(ax, ay, bx, by) {
+        const dx = Math.abs(ax - bx);
+        const dy = Math.abs(ay - by);
         
         if (dx > dy) {
             return 14 * dy + 10 * (dx - dy);
@@ -211,39 +804,53 @@ class PathFinder {
     }
 
     /**
-     * パスを再構築
+     * 探索結果からセル番号の経路を再構築
      */
-    reconstructPath(startNode, endNode) {
-        const path = [];
-        let currentNode = endNode;
+    reconstructCells(startIndex, endIndex) {
+        const cells = [];
+        let current = endIndex;
 
-        while (currentNode !== startNode) {
-            const worldPos = this.gridToWorld(currentNode.x, currentNode.y);
-            path.unshift({
-                x: worldPos.x,
-                y: 0,
-                z: worldPos.z
-            });
-            currentNode = currentNode.parent;
+        while (current !== -1) {
+            cells.push(current);
+            if (current === startIndex) break;
+            current = this.parent[current];
         }
 
-        // スタート地点も追加
-        const startWorld = this.gridToWorld(startNode.x, startNode.y);
-        path.unshift({
-            x: startWorld.x,
-            y: 0,
-            z: startWorld.z
+        return cells.reverse();
+    }
+
+    /**
+     * セル番号の経路をワールド座標のパス（セル中心）に変換してスムージング
+     */
+    cellsToPath(cells, options = {}) {
+        const half = this.cellSize / 2;
+        const path = cells.map(index => {
+            const x = index % this.gridWidth;
+            const worldPos = this.gridToWorld(x, (index - x) / this.gridWidth);
+            return {
+                x: worldPos.x + half,
+                y: 0,
+                z: worldPos.z + half
+            };
         });
 
-        return this.smoothPath(path);
+        return this.smoothPath(path, options);
     }
 
     /**
      * パスをスムージング
+     * 直線で結べても、元の経路よりコストが高くなる近道（混雑エリアの横断など）は採用しない
+     * radiusを指定すると、その半径の体（カート込み）が棚の角に触れない近道だけを採用する
      */
-    smoothPath(path) {
+    smoothPath(path, { radius = 0, curved = false } = {}) {
         if (path.length <= 2) return path;
 
+        // 元の経路に沿った累積コスト
+        const cumulativeCost = [0];
+        for (let i = 1; i < path.length; i++) {
+            cumulativeCost[i] = cumulativeCost[i - 1] + this.getSegmentCost(path[i - 1], path[i]);
+        }
+
         const smoothedPath = [path[0]];
         let current = 0;
 
@@ -252,7 +859,9 @@ class PathFinder {
             
             // 直線で行けるかチェック
             for (let i = current + 2; i < path.length; i++) {
-                if (this.hasLineOfSight(path[current], path[i])) {
+                const pathCost = cumulativeCost[i] - cumulativeCost[current];
+                if (this.hasLineOfSight(path[current], path[i], radius) &&
+                    this.getSegmentCost(path[current], path[i]) <= pathCost + 1e-6) {
                     farthest = i;
                 } else {
                     break;
@@ -263,49 +872,232 @@ class PathFinder {
             current = farthest;
         }
 
-        return smoothedPath;
+        return curved ? this.curvePath(smoothedPath, radius) : smoothedPath;
     }
 
     /**
-     * 2点間に障害物がないかチェック
+     * 折れ線のパスをCatmull-Rom曲線で補間
+     * 曲線が障害物に近づきすぎる区間は元の直線のまま残す
      */
-    hasLineOfSight(from, to) {
-        const gridFrom = this.worldToGrid(from.x, from.z);
-        const gridTo = this.worldToGrid(to.x, to.z);
-
-        const dx = Math.abs(gridTo.x - gridFrom.x);
-        const dy = Math.abs(gridTo.y - gridFrom.y);
-        const x = gridFrom.x;
-        const y = gridFrom.y;
-        const n = 1 + dx + dy;
-        const x_inc = (gridTo.x > gridFrom.x) ? 1 : -1;
-        const y_inc = (gridTo.y > gridFrom.y) ? 1 : -1;
-        let error = dx - dy;
-        
-        dx *= 2;
-        dy *= 2;
+    curvePath(path, radius = 0) {
+        if (path.length <= 2) return path;
 
-        let currentX = x;
-        let currentY = y;
+        const curvedPath = [path[0]];
 
-        for (let i = 0; i < n; i++) {
-            if (!this.isValidCoordinate(currentX, currentY) ||
-                !this.grid[currentX][currentY].walkable) {
-                return false;
+        for (let i = 0; i < path.length - 1; i++) {
+            const p0 = path[Math.max(0, i - 1)];
+            const p1 = path[i];
+            const p2 = path[i + 1];
+            const p3 = path[Math.min(path.length - 1, i + 2)];
+
+            const length = Math.sqrt((p2.x - p1.x) ** 2 + (p2.z - p1.z) ** 2);
+            const samples = Math.max(1, Math.ceil(length / this.cellSize));
+            const segment = [];
+            let previous = p1;
+            let clear = true;
+
+            for (let s = 1; s <= samples; s++) {
+                const point = s === samples ? p2 : this.catmullRom(p0, p1, p2, p3, s / samples);
+                if (!this.hasLineOfSight(previous, point, radius)) {
+                    clear = false;
+                    break;
+                }
+                segment.push(point);
+                previous = point;
             }
 
-            if (error > 0) {
-                currentX += x_inc;
-                error -= dy;
+            if (clear) {
+                curvedPath.push(...segment);
             } else {
-                currentY += y_inc;
-                error += dx;
+                curvedPath.push(p2);
+            }
+        }
+
+        return curvedPath;
+    }
+
+    /**
+     * Catmull-Rom曲線上の点（p1からp2の区間、tは0〜1）
+     */
+    catmullRom(p0, p1, p2, p3, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const interpolate = (a, b, c, d) =>
+            0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+
+        return {
+            x: interpolate(p0.x, p1.x, p2.x, p3.x),
+            y: 0,
+            z: interpolate(p0.z, p1.z, p2.z, p3.z)
+        };
+    }
+
+    /**
+     * 2点間を直進した場合のコスト（距離×通過セルのコスト倍率）
+     */
+    getSegmentCost(from, to) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        if (length === 0) return 0;
+
+        // セルの半分の間隔でサンプリング
+        const samples = Math.max(1, Math.ceil(length / (this.cellSize * 0.5)));
+        let totalCost = 0;
+
+        for (let i = 0; i < samples; i++) {
+            const t = (i + 0.5) / samples;
+            const cell = this.worldToGrid(from.x + dx * t, from.z + dz * t);
+            totalCost += this.getTraversalCost(cell.x, cell.y);
+        }
+
+        return length * (totalCost / samples);
+    }
+
+    /**
+     * 2点間に障害物がないかチェック
+     * 線分が通過するすべてのセル（角をかすめる場合は両隣も）を調べ、
+     * radiusを指定した場合は線分からその距離以内に障害物セルがないことも確認する
+     */
+    hasLineOfSight(from, to, radius = 0) {
+        const cells = this.getSupercoverCells(from, to);
+        const reach = Math.ceil(radius / this.cellSize);
+        const checked = reach > 0 ? new Set() : null;
+
+        for (let i = 0; i < cells.length; i += 2) {
+            const x = cells[i];
+            const y = cells[i + 1];
+            if (!this.isWalkable(x, y)) {
+                return false;
+            }
+            if (reach === 0) continue;
+
+            // 周囲の障害物セル（グリッド外を含む）と線分の距離
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (let dx = -reach; dx <= reach; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    const key = `${nx},${ny}`;
+                    if (checked.has(key)) continue;
+                    checked.add(key);
+
+                    if (this.isWalkable(nx, ny)) continue;
+
+                    const min = this.gridToWorld(nx, ny);
+                    const distance = this.getSegmentBoxDistance(from, to,
+                        min.x, min.z, min.x + this.cellSize, min.z + this.cellSize);
+                    if (distance < radius) {
+                        return false;
+                    }
+                }
             }
         }
 
         return true;
     }
 
+    /**
+     * 線分が通過するセルを列挙（スーパーカバー）
+     * 戻り値は [x0, y0, x1, y1, ...] の平坦な配列
+     */
+    getSupercoverCells(from, to) {
+        const x0 = from.x / this.cellSize + this.gridWidth / 2;
+        const y0 = from.z / this.cellSize + this.gridHeight / 2;
+        const x1 = to.x / this.cellSize + this.gridWidth / 2;
+        const y1 = to.z / this.cellSize + this.gridHeight / 2;
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+
+        let x = Math.floor(x0);
+        let y = Math.floor(y0);
+        const endX = Math.floor(x1);
+        const endY = Math.floor(y1);
+        const stepX = Math.sign(dx);
+        const stepY = Math.sign(dy);
+
+        // 次のセル境界に達するパラメータtと、1セル進むごとのtの増分
+        const tDeltaX = dx !== 0 ? Math.abs(1 / dx) : Infinity;
+        const tDeltaY = dy !== 0 ? Math.abs(1 / dy) : Infinity;
+        let tMaxX = dx > 0 ? (x + 1 - x0) / dx : dx < 0 ? (x0 - x) / -dx : Infinity;
+        let tMaxY = dy > 0 ? (y + 1 - y0) / dy : dy < 0 ? (y0 - y) / -dy : Infinity;
+
+        const cells = [x, y];
+        const maxSteps = Math.abs(endX - x) + Math.abs(endY - y);
+
+        for (let step = 0; step < maxSteps && (x !== endX || y !== endY); step++) {
+            if (Math.abs(tMaxX - tMaxY) < 1e-9) {
+                // セルの角を通過する場合は角を挟む両方のセルも含める
+                cells.push(x + stepX, y, x, y + stepY);
+                x += stepX;
+                y += stepY;
+                tMaxX += tDeltaX;
+                tMaxY += tDeltaY;
+                step++;
+            } else if (tMaxX < tMaxY) {
+                x += stepX;
+                tMaxX += tDeltaX;
+            } else {
+                y += stepY;
+                tMaxY += tDeltaY;
+            }
+            cells.push(x, y);
+        }
+
+        return cells;
+    }
+
+    /**
+     * 線分と軸平行な矩形の最短距離（交差していれば0）
+     */
+    getSegmentBoxDistance(from, to, minX, minZ, maxX, maxZ) {
+        // 線分を矩形でクリップして交差判定（Liang-Barsky）
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        let tEnter = 0;
+        let tExit = 1;
+        const clip = (p, q) => {
+            if (p === 0) return q >= 0;
+            const t = q / p;
+            if (p < 0) {
+                if (t > tExit) return false;
+                if (t > tEnter) tEnter = t;
+            } else {
+                if (t < tEnter) return false;
+                if (t < tExit) tExit = t;
+            }
+            return true;
+        };
+        if (clip(-dx, from.x - minX) && clip(dx, maxX - from.x) &&
+            clip(-dz, from.z - minZ) && clip(dz, maxZ - from.z)) {
+            return 0;
+        }
+
+        // 交差しなければ、端点と矩形・矩形の角と線分の距離の最小値
+        const pointToBox = (p) => {
+            const ox = Math.max(minX - p.x, 0, p.x - maxX);
+            const oz = Math.max(minZ - p.z, 0, p.z - maxZ);
+            return Math.sqrt(ox * ox + oz * oz);
+        };
+        const lengthSq = dx * dx + dz * dz;
+        const pointToSegment = (px, pz) => {
+            const t = lengthSq > 0
+                ? Math.max(0, Math.min(1, ((px - from.x) * dx + (pz - from.z) * dz) / lengthSq))
+                : 0;
+            const ox = from.x + dx * t - px;
+            const oz = from.z + dz * t - pz;
+            return Math.sqrt(ox * ox + oz * oz);
+        };
+
+        return Math.min(
+            pointToBox(from),
+            pointToBox(to),
+            pointToSegment(minX, minZ),
+            pointToSegment(maxX, minZ),
+            pointToSegment(minX, maxZ),
+            pointToSegment(maxX, maxZ)
+        );
+    }
+
     /**
      * ランダムな歩行可能位置を取得
      */
@@ -317,7 +1109,7 @@ class PathFinder {
             const x = Math.floor(Math.random() * this.gridWidth);
             const y = Math.floor(Math.random() * this.gridHeight);
             
-            if (this.grid[x][y].walkable) {
+            if (this.walkable[this.toIndex(x, y)] === 1) {
                 return this.gridToWorld(x, y);
             }
             attempts++;
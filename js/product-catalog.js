@@ -0,0 +1,147 @@
+/**
+ * 商品カタログ
+ * SKUごとの商品名・カテゴリー・価格・陳列する棚（レイアウトの棚ID）・初期在庫を管理する
+ * 通常価格・POPの種類・ブランドは、棚の前を通る客の注意と衝動買いの判断に使う
+ */
+
+// POPの種類（AttentionModelのPOP効果の種類）
+const PRODUCT_POP_TYPES = ['discount', 'limited', 'seasonal', 'character', 'premium'];
+
+/**
+ * カタログの検証エラー（見つかった問題をすべてerrorsに持つ）
+ */
+class ProductCatalogError extends Error {
+    constructor(errors, name = 'catalog') {
+        super(`Invalid product catalog "${name}":\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ProductCatalogError';
+        this.errors = errors;
+    }
+}
+
+class ProductCatalog {
+    constructor(data = {}) {
+        this.name = data.name || 'catalog';
+        this.products = (data.products || []).map(product => ({ ...product }));
+        this.productsBySku = new Map(this.products.map(product => [product.sku, product]));
+    }
+
+    /**
+     * URLからカタログを読み込み、レイアウトの棚と突き合わせて検証
+     */
+    static async load(url, layout) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new ProductCatalogError([`could not fetch ${url}: ${error.message} (serve the page over HTTP)`], url);
+        }
+        if (!response.ok) {
+            throw new ProductCatalogError([`could not fetch ${url} (HTTP ${response.status})`], url);
+        }
+        return ProductCatalog.fromJSON(await response.json(), layout);
+    }
+
+    /**
+     * JSONオブジェクトからカタログを作成して検証
+     */
+    static fromJSON(data, layout) {
+        const catalog = new ProductCatalog(data);
+        const errors = catalog.validate(layout);
+        if (errors.length > 0) {
+            throw new ProductCatalogError(errors, catalog.name);
+        }
+        return catalog;
+    }
+
+    /**
+     * 形式を検査（問題の一覧を返す）
+     * レイアウトにない棚に割り当てられた商品は、編集で棚を撤去した場合もあるので警告だけにする
+     */
+    validate(layout) {
+        const errors = [];
+        const skus = new Set();
+
+        if (this.products.length === 0) {
+            errors.push('the catalog has no products');
+        }
+
+        this.products.forEach((product, index) => {
+            const name = typeof product.sku === 'string' ? `product ${product.sku}` : `product #${index + 1}`;
+
+            if (typeof product.sku !== 'string' || product.sku === '') {
+                errors.push(`${name} needs a sku`);
+            } else if (skus.has(product.sku)) {
+                errors.push(`${name} is listed more than once`);
+            }
+            skus.add(product.sku);
+
+            if (typeof product.name !== 'string' || typeof product.category !== 'string') {
+                errors.push(`${name} needs a name and a category`);
+            }
+            if (typeof product.price !== 'number' || !(product.price > 0)) {
+                errors.push(`${name} needs a positive price`);
+            }
+            if (!Number.isInteger(product.stock) || product.stock < 0) {
+                errors.push(`${name} stock must be a non-negative integer (got ${product.stock})`);
+            }
+            if (product.pop !== undefined && (typeof product.pop !== 'string' || product.pop === '')) {
+                errors.push(`${name} pop must be a non-empty string (got ${product.pop})`);
+            }
+            if (product.popType !== undefined) {
+                if (!PRODUCT_POP_TYPES.includes(product.popType)) {
+                    errors.push(`${name} popType must be one of ${PRODUCT_POP_TYPES.join(', ')} (got ${product.popType})`);
+                } else if (product.pop === undefined) {
+                    errors.push(`${name} has a popType but no pop`);
+                }
+            }
+            if (product.regularPrice !== undefined &&
+                (typeof product.regularPrice !== 'number' || !(product.regularPrice > product.price))) {
+                errors.push(`${name} regularPrice must be higher than the price (got ${product.regularPrice})`);
+            }
+            if (product.brand !== undefined && (typeof product.brand !== 'string' || product.brand === '')) {
+                errors.push(`${name} brand must be a non-empty string (got ${product.brand})`);
+            }
+            if (typeof product.shelf !== 'string') {
+                errors.push(`${name} needs a shelf id`);
+            } else if (layout && !layout.getShelf(product.shelf)) {
+                console.warn(`${name} is assigned to shelf "${product.shelf}", which is not in the layout; it will not be on sale`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * SKUから商品を取得
+     */
+    getProduct(sku) {
+        return this.productsBySku.get(sku) || null;
+    }
+
+    /**
+     * 棚に陳列する商品
+     */
+    getProductsForShelf(shelfId) {
+        return this.products.filter(product => product.shelf === shelfId);
+    }
+
+    /**
+     * 同じカテゴリーの商品
+     */
+    getProductsInCategory(category) {
+        return this.products.filter(product => product.category === category);
+    }
+
+    /**
+     * 買い物リスト用にcount個の商品を重複なく選ぶ
+     * filterで対象を絞れる（例: 店内に陳列されている商品だけ）
+     */
+    sampleProducts(count, filter = () => true) {
+        const candidates = this.products.filter(filter);
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+        return candidates.slice(0, count);
+    }
+}
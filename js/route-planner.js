@@ -0,0 +1,222 @@
+/**
+ * 買い物リストの巡回順序の計画（巡回セールスマン問題）
+ * 入口から各売場を回ってレジへ向かう歩行距離が最短になる順序を求める
+ * 売場間の距離はA*による実際の経路長を使う
+ */
+
+class RoutePlanner {
+    constructor(pathFinder) {
+        this.pathFinder = pathFinder;
+
+        this.parameters = {
+            exactLimit: 10 // この件数以下はHeld-Karp法で厳密解、超える場合は最近傍法＋2-opt
+        };
+
+        // 売場間の経路長のキャッシュ（グリッドが変わったら破棄）
+        this.costCache = new Map();
+        this.cacheVersion = pathFinder.version;
+    }
+
+    /**
+     * 立ち寄り先を回る順序を計画
+     * rationality: 1なら最短の順序、0ならリストに書かれた順序（その間は両者を混ぜる）
+     * 戻り値はpointsのインデックスを訪問順に並べた配列
+     */
+    planVisitOrder(points, startWorld, endWorld, { rationality = 1, minClearance = 0 } = {}) {
+        const listOrder = points.map((point, index) => index);
+        if (points.length <= 1) return listOrder;
+
+        const matrix = this.buildDistanceMatrix([startWorld, ...points, endWorld], minClearance);
+
+        // 入口から到達できない売場は計画から外して最後に回す
+        const reachable = listOrder.filter(index => matrix[0][index + 1] !== Infinity);
+        const unreachable = listOrder.filter(index => matrix[0][index + 1] === Infinity);
+
+        const optimal = reachable.length <= this.parameters.exactLimit
+            ? this.solveExact(reachable, matrix)
+            : this.improveTwoOpt(this.solveNearestNeighbor(reachable, matrix), matrix);
+
+        return this.blendOrder(optimal, reachable, rationality).concat(unreachable);
+    }
+
+    /**
+     * 地点間の経路長の行列を作成（0番が開始地点、最後が終了地点）
+     */
+    buildDistanceMatrix(nodes, minClearance = 0) {
+        if (this.cacheVersion !== this.pathFinder.version) {
+            this.costCache.clear();
+            this.cacheVersion = this.pathFinder.version;
+        }
+
+        const keys = nodes.map(node => {
+            const cell = this.pathFinder.worldToGrid(node.x, node.z);
+            return `${cell.x},${cell.y}`;
+        });
+        const matrix = nodes.map(() => new Array(nodes.length).fill(0));
+
+        for (let i = 0; i < nodes.length; i++) {
+            for (let j = i + 1; j < nodes.length; j++) {
+                // 経路長は向きによらないので片側だけ探索
+                const key = `${keys[i]}:${keys[j]}:${minClearance}`;
+                let cost = this.costCache.get(key);
+                if (cost === undefined) {
+                    cost = this.pathFinder.getPathCost(nodes[i], nodes[j], { minClearance });
+                    this.costCache.set(key, cost);
+                    this.costCache.set(`${keys[j]}:${keys[i]}:${minClearance}`, cost);
+                }
+                matrix[i][j] = cost;
+                matrix[j][i] = cost;
+            }
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Held-Karp法（動的計画法）による厳密解
+     * visitsはpointsのインデックス、行列上ではindex + 1番の地点
+     */
+    solveExact(visits, matrix) {
+        const count = visits.length;
+        if (count <= 1) return visits.slice();
+
+        const end = matrix.length - 1;
+        const full = (1 << count) - 1;
+        const cost = new Float64Array((full + 1) * count).fill(Infinity);
+        const previous = new Int8Array((full + 1) * count).fill(-1);
+
+        for (let j = 0; j < count; j++) {
+            cost[(1 << j) * count + j] = matrix[0][visits[j] + 1];
+        }
+
+        for (let mask = 1; mask <= full; mask++) {
+            for (let j = 0; j < count; j++) {
+                const current = cost[mask * count + j];
+                if (!(mask & (1 << j)) || current === Infinity) continue;
+
+                for (let k = 0; k < count; k++) {
+                    if (mask & (1 << k)) continue;
+
+                    const nextMask = mask | (1 << k);
+                    const nextCost = current + matrix[visits[j] + 1][visits[k] + 1];
+                    if (nextCost < cost[nextMask * count + k]) {
+                        cost[nextMask * count + k] = nextCost;
+                        previous[nextMask * count + k] = j;
+                    }
+                }
+            }
+        }
+
+        // 最後にレジへ向かう距離を加えて最良の終点を選ぶ
+        let last = 0;
+        let best = Infinity;
+        for (let j = 0; j < count; j++) {
+            const total = cost[full * count + j] + matrix[visits[j] + 1][end];
+            if (total < best) {
+                best = total;
+                last = j;
+            }
+        }
+
+        const order = [];
+        let mask = full;
+        while (last !== -1) {
+            order.push(visits[last]);
+            const before = previous[mask * count + last];
+            mask &= ~(1 << last);
+            last = before;
+        }
+
+        return order.reverse();
+    }
+
+    /**
+     * 最近傍法（今いる場所から一番近い売場へ向かう）
+     */
+    solveNearestNeighbor(visits, matrix) {
+        const remaining = visits.slice();
+        const order = [];
+        let current = 0;
+
+        while (remaining.length > 0) {
+            let bestIndex = 0;
+            for (let i = 1; i < remaining.length; i++) {
+                if (matrix[current][remaining[i] + 1] < matrix[current][remaining[bestIndex] + 1]) {
+                    bestIndex = i;
+                }
+            }
+            const next = remaining.splice(bestIndex, 1)[0];
+            order.push(next);
+            current = next + 1;
+        }
+
+        return order;
+    }
+
+    /**
+     * 2-opt法で経路の交差を解消（開始・終了地点は固定）
+     */
+    improveTwoOpt(order, matrix) {
+        const end = matrix.length - 1;
+        const route = [0, ...order.map(index => index + 1), end];
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            for (let i = 1; i < route.length - 2; i++) {
+                for (let k = i + 1; k < route.length - 1; k++) {
+                    const delta = matrix[route[i - 1]][route[k]] + matrix[route[i]][route[k + 1]] -
+                        matrix[route[i - 1]][route[i]] - matrix[route[k]][route[k + 1]];
+                    if (delta < -1e-9) {
+                        this.reverseSegment(route, i, k);
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return route.slice(1, -1).map(node => node - 1);
+    }
+
+    reverseSegment(route, from, to) {
+        while (from < to) {
+            const temp = route[from];
+            route[from] = route[to];
+            route[to] = temp;
+            from++;
+            to--;
+        }
+    }
+
+    /**
+     * 最短の順序とリストの順序を合理性に応じて混ぜる
+     * 各ステップで確率rationalityで最短順序の、それ以外はリスト順序の未訪問の先頭を選ぶ
+     */
+    blendOrder(optimal, listOrder, rationality) {
+        const visited = new Set();
+        const order = [];
+        const takeNext = source => {
+            const next = source.find(index => !visited.has(index));
+            visited.add(next);
+            order.push(next);
+        };
+
+        while (order.length < optimal.length) {
+            takeNext(Math.random() < rationality ? optimal : listOrder);
+        }
+
+        return order;
+    }
+
+    /**
+     * 訪問順序の総距離（開始地点→各売場→終了地点）
+     */
+    getTourLength(order, matrix) {
+        const route = [0, ...order.map(index => index + 1), matrix.length - 1];
+        let length = 0;
+        for (let i = 1; i < route.length; i++) {
+            length += matrix[route[i - 1]][route[i]];
+        }
+        return length;
+    }
+}
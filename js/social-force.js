@@ -0,0 +1,143 @@
+/**
+ * ソーシャルフォースモデル（Helbing）による局所的な衝突回避
+ * 経路に沿った目標速度に、周囲の買い物客からの反発力を加えて各エージェントの速度を決める
+ */
+
+class SocialForceModel {
+    constructor() {
+        this.parameters = {
+            relaxationTime: 0.5,      // 目標速度へ戻るまでの時間 τ（秒）
+            repulsionStrength: 2.5,   // 反発力の強さ A
+            repulsionRange: 0.35,     // 反発力の減衰距離 B（m）
+            anisotropy: 0.3,          // 背後の相手への感度 λ（0: 前方のみ, 1: 全方向）
+            passingBias: 0.6,         // 対向者とすれ違うための横方向の力の比率
+            neighborRadius: 3.0,      // 近傍探索の半径（m）
+            maxSpeedFactor: 1.3       // 目標速度に対する最大速度の倍率
+        };
+    }
+
+    /**
+     * 全エージェントの速度を更新
+     * 各エージェントは position, velocity, bodyRadius, personalSpace, floor と
+     * getDesiredVelocity() を持つ（別の階のエージェントは互いに影響しない）
+     * groupIdが同じエージェント（一緒に歩く買い物グループ）は互いに避けない
+     * obstacles（position, bodyRadius, floor）は反発力を及ぼすだけで、速度は更新しない
+     */
+    update(agents, deltaTime, obstacles = []) {
+        if (deltaTime <= 0) return;
+
+        const buckets = this.buildSpatialHash(agents.concat(obstacles));
+        const params = this.parameters;
+
+        agents.forEach(agent => {
+            const desired = agent.getDesiredVelocity();
+            const desiredSpeed = Math.sqrt(desired.x * desired.x + desired.z * desired.z);
+
+            // 立ち止まっている客は動かず、他の客にとっての障害物としてのみ働く
+            if (desiredSpeed === 0) {
+                agent.velocity.x = 0;
+                agent.velocity.z = 0;
+                return;
+            }
+
+            const heading = { x: desired.x / desiredSpeed, z: desired.z / desiredSpeed };
+            let forceX = (desired.x - agent.velocity.x) / params.relaxationTime;
+            let forceZ = (desired.z - agent.velocity.z) / params.relaxationTime;
+
+            this.forEachNeighbor(buckets, agent, other => {
+                const force = this.calculateRepulsion(agent, other, heading);
+                forceX += force.x;
+                forceZ += force.z;
+            });
+
+            agent.velocity.x += forceX * deltaTime;
+            agent.velocity.z += forceZ * deltaTime;
+
+            // 速度の上限
+            const speed = Math.sqrt(agent.velocity.x * agent.velocity.x + agent.velocity.z * agent.velocity.z);
+            const maxSpeed = desiredSpeed * params.maxSpeedFactor;
+            if (speed > maxSpeed) {
+                agent.velocity.x *= maxSpeed / speed;
+                agent.velocity.z *= maxSpeed / speed;
+            }
+        });
+    }
+
+    /**
+     * 相手からの反発力を計算
+     */
+    calculateRepulsion(agent, other, heading) {
+        const params = this.parameters;
+        const dx = agent.position.x - other.position.x;
+        const dz = agent.position.z - other.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz) || 0.001;
+        const nx = dx / distance;
+        const nz = dz / distance;
+
+        // 自分のパーソナルスペースと相手の体の大きさ
+        const radius = agent.personalSpace + other.bodyRadius;
+        const magnitude = params.repulsionStrength * Math.exp((radius - distance) / params.repulsionRange);
+
+        // 進行方向の前にいる相手ほど強く意識する（異方性）
+        const cosPhi = -(heading.x * nx + heading.z * nz);
+        const weight = params.anisotropy + (1 - params.anisotropy) * (1 + cosPhi) / 2;
+
+        let forceX = magnitude * weight * nx;
+        let forceZ = magnitude * weight * nz;
+
+        // 前方の相手とは右側へよけてすれ違う
+        if (cosPhi > 0) {
+            const side = magnitude * weight * params.passingBias * cosPhi;
+            forceX += -heading.z * side;
+            forceZ += heading.x * side;
+        }
+
+        return { x: forceX, z: forceZ };
+    }
+
+    /**
+     * 近傍探索用の空間ハッシュを作成
+     */
+    buildSpatialHash(agents) {
+        const size = this.parameters.neighborRadius;
+        const buckets = new Map();
+
+        agents.forEach(agent => {
+            const key = this.getBucketKey(Math.floor(agent.position.x / size), Math.floor(agent.position.z / size));
+            if (!buckets.has(key)) {
+                buckets.set(key, []);
+            }
+            buckets.get(key).push(agent);
+        });
+
+        return buckets;
+    }
+
+    forEachNeighbor(buckets, agent, callback) {
+        const size = this.parameters.neighborRadius;
+        const cellX = Math.floor(agent.position.x / size);
+        const cellZ = Math.floor(agent.position.z / size);
+        const radiusSq = size * size;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const bucket = buckets.get(this.getBucketKey(cellX + dx, cellZ + dz));
+                if (!bucket) continue;
+
+                bucket.forEach(other => {
+                    if (other === agent || other.floor !== agent.floor) return;
+                    if (agent.groupId && other.groupId === agent.groupId) return;
+                    const ox = other.position.x - agent.position.x;
+                    const oz = other.position.z - agent.position.z;
+                    if (ox * ox + oz * oz < radiusSq) {
+                        callback(other);
+                    }
+                });
+            }
+        }
+    }
+
+    getBucketKey(cellX, cellZ) {
+        return `${cellX},${cellZ}`;
+    }
+}
@@ -0,0 +1,633 @@
+/**
+ * 店舗スタッフクラス
+ * レジ係・品出し係・案内係がシフトに合わせてバックルームから出勤し、それぞれの作業を行う
+ */
+
+const STAFF_ROLES = {
+    cashier: { color: 0x1565C0, shiftKey: 'cashiers' },   // レジを開けて会計する
+    restocker: { color: 0x2E7D32, shiftKey: 'restockers' }, // 在庫の少ない棚に台車で補充する
+    assistant: { color: 0xF9A825, shiftKey: 'assistants' }  // 商品が見つからない客を案内する
+};
+
+class StaffAgent {
+    constructor(scene, pathFinder, id, role, start, store) {
+        this.scene = scene;
+        this.store = store; // 階ごとの経路探索とエスカレーター・エレベーター
+        this.id = id;
+        this.role = role;
+
+        this.floor = store.layout.getFloorOf(start);
+        this.pathFinder = store.floors.getPathFinder(this.floor) || pathFinder; // 今いる階のPathFinder
+        this.position = { x: start.x, y: 0, z: start.z };
+        this.path = [];
+        this.currentPathIndex = 0;
+        this.speed = 1.2;
+        this.onArrive = null;
+        this.destination = null; // 最終的な目的地（別の階のこともある）
+        this.transfer = null; // 乗り継ぐ接続 { connector, board, exit }
+
+        // 作業状態
+        this.state = 'idle'; // idle, walking, riding, working
+        this.task = null; // 担当のレジ・補充する棚・案内する客
+        this.workTime = 0;
+        this.onDuty = true; // シフトが終わるとfalse（バックルームに戻って退勤）
+        this.removed = false;
+
+        // 品出しの台車は補充で止まっている間だけグリッドの動的障害物になる
+        // （歩いている間は客がソーシャルフォースでよけるので、経路のキャッシュを消さない）
+        this.obstacleId = role === 'restocker' ? `staff-${id}` : null;
+        this.obstacleCell = -1;
+        this.cartRadius = 0.7; // 本人と前に押す台車をまとめて覆う円の半径（m）
+
+        this.createMesh();
+    }
+
+    /**
+     * 3Dメッシュを作成（役割ごとの制服の色）
+     */
+    createMesh() {
+        this.group = new THREE.Group();
+
+        const bodyGeometry = new THREE.CapsuleGeometry(0.3, 1.6, 4, 8);
+        const bodyMaterial = new THREE.MeshPhongMaterial({ color: STAFF_ROLES[this.role].color });
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.position.set(0, 0.8, 0);
+        body.castShadow = true;
+        this.group.add(body);
+
+        // エプロン
+        const apronGeometry = new THREE.BoxGeometry(0.45, 0.7, 0.05);
+        const apronMaterial = new THREE.MeshPhongMaterial({ color: 0xffffff });
+        const apron = new THREE.Mesh(apronGeometry, apronMaterial);
+        apron.position.set(0, 0.75, 0.3);
+        this.group.add(apron);
+
+        if (this.role === 'restocker') {
+            // 段ボールを載せた台車
+            const deckGeometry = new THREE.BoxGeometry(0.6, 0.1, 0.8);
+            const deckMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
+            const deck = new THREE.Mesh(deckGeometry, deckMaterial);
+            deck.position.set(0, 0.2, 0.8);
+            this.group.add(deck);
+
+            const boxGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.6);
+            const boxMaterial = new THREE.MeshLambertMaterial({ color: 0xC8A165 });
+            const boxes = new THREE.Mesh(boxGeometry, boxMaterial);
+            boxes.position.set(0, 0.5, 0.8);
+            boxes.castShadow = true;
+            this.group.add(boxes);
+        }
+
+        this.group.position.set(this.position.x, this.store.floors.getElevation(this.floor), this.position.z);
+        this.scene.add(this.group);
+    }
+
+    /**
+     * 目的地へ歩く（到着したらonArriveを呼ぶ）
+     * 別の階へはエスカレーター・エレベーターの乗り口へ歩いて乗り、降りてから続きを歩く
+     */
+    walkTo(target, onArrive = null) {
+        this.destination = target;
+        this.onArrive = onArrive;
+        if (this.state === 'riding') return;
+
+        const floor = target.floor ?? this.floor;
+        const route = floor !== this.floor
+            ? this.store.floors.findRoute({ ...this.position, floor: this.floor }, target, {
+                getWaitTime: (connector, board) => this.store.getConnectorWait(connector, board)
+            })
+            : null;
+        this.transfer = route && route.legs.length > 0 ? route.legs[0] : null;
+        const goal = this.transfer ? this.transfer.board : target;
+
+        // 経路はセルの中心で終わるので、最後に目的地そのものへ歩く
+        // パスが見つからない場合は直接移動
+        this.path = this.pathFinder.findPath(this.position, goal, { radius: 0.3 });
+        this.path.push({ x: goal.x, y: 0, z: goal.z });
+        this.currentPathIndex = 0;
+        this.state = 'walking';
+    }
+
+    /**
+     * 乗っている接続に合わせて動く（店舗が毎フレーム呼ぶ）
+     */
+    moveWithConnector(point) {
+        this.position.x = point.x;
+        this.position.z = point.z;
+        this.group.position.set(point.x, point.y, point.z);
+    }
+
+    /**
+     * 降り口に着いたので階を移り、目的地へ向かう
+     */
+    arriveFromConnector(exit) {
+        this.transfer = null;
+        this.floor = exit.floor;
+        this.pathFinder = this.store.floors.getPathFinder(exit.floor);
+        this.position.x = exit.x;
+        this.position.z = exit.z;
+        this.group.position.set(exit.x, this.store.floors.getElevation(exit.floor), exit.z);
+        this.state = 'walking';
+        this.walkTo(this.destination, this.onArrive);
+    }
+
+    /**
+     * 一定時間の作業を始める
+     */
+    startWork(duration) {
+        this.state = 'working';
+        this.workTime = duration;
+    }
+
+    /**
+     * 更新処理（作業が終わった場合はtrue）
+     */
+    update(deltaTime) {
+        let finishedWork = false;
+
+        if (this.state === 'walking') {
+            this.updateMovement(deltaTime);
+        } else if (this.state === 'working') {
+            this.workTime -= deltaTime;
+            if (this.workTime <= 0) {
+                this.state = 'idle';
+                finishedWork = true;
+            }
+        }
+
+        this.updateObstacle();
+        return finishedWork;
+    }
+
+    /**
+     * 経路に沿って移動
+     */
+    updateMovement(deltaTime) {
+        const currentTarget = this.path[this.currentPathIndex];
+        const dx = currentTarget.x - this.position.x;
+        const dz = currentTarget.z - this.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const step = this.speed * deltaTime;
+
+        if (distance <= step) {
+            this.position.x = currentTarget.x;
+            this.position.z = currentTarget.z;
+            this.currentPathIndex++;
+
+            if (this.currentPathIndex >= this.path.length) {
+                this.path = [];
+
+                // 乗り口に着いたら列に並ぶ
+                if (this.transfer) {
+                    this.state = 'riding';
+                    this.store.boardConnector(this.transfer.connector, this, this.transfer.board, this.transfer.exit);
+                    return;
+                }
+
+                this.state = 'idle';
+                const onArrive = this.onArrive;
+                this.onArrive = null;
+                if (onArrive) onArrive();
+            }
+        } else {
+            this.position.x += dx / distance * step;
+            this.position.z += dz / distance * step;
+            this.group.rotation.y = Math.atan2(dx, dz);
+        }
+
+        this.group.position.x = this.position.x;
+        this.group.position.z = this.position.z;
+    }
+
+    /**
+     * 歩いている品出し係の台車（客がソーシャルフォースでよける円、なければnull）
+     */
+    getSteeringObstacle() {
+        if (!this.obstacleId || this.state !== 'walking' || this.removed) return null;
+
+        // 台車は進行方向の前にあるので、円の中心を少し前へずらす
+        const offset = this.cartRadius - 0.3;
+        return {
+            position: {
+                x: this.position.x + Math.sin(this.group.rotation.y) * offset,
+                z: this.position.z + Math.cos(this.group.rotation.y) * offset
+            },
+            bodyRadius: this.cartRadius,
+            floor: this.floor
+        };
+    }
+
+    /**
+     * 補充している間だけ台車を今いるセルの動的障害物にする
+     * 障害物の変更は経路のキャッシュを消して全員に再計画させるので、歩いている間は置かない
+     */
+    updateObstacle() {
+        if (!this.obstacleId) return;
+
+        if (this.state !== 'working' || this.removed) {
+            if (this.obstacleCell !== -1) {
+                this.pathFinder.removeDynamicObstacle(this.obstacleId);
+                this.obstacleCell = -1;
+            }
+            return;
+        }
+        if (this.obstacleCell !== -1) return;
+
+        const pathFinder = this.pathFinder;
+        const cell = pathFinder.worldToGrid(this.position.x, this.position.z);
+        if (!pathFinder.isValidCoordinate(cell.x, cell.y)) return;
+
+        const corner = pathFinder.gridToWorld(cell.x, cell.y);
+        pathFinder.addDynamicObstacle(this.obstacleId, {
+            x: corner.x + pathFinder.cellSize / 2,
+            z: corner.z + pathFinder.cellSize / 2,
+            width: pathFinder.cellSize / 2,
+            depth: pathFinder.cellSize / 2
+        });
+        this.obstacleCell = pathFinder.toIndex(cell.x, cell.y);
+    }
+
+    /**
+     * 退勤してシーンから削除
+     */
+    remove() {
+        this.removed = true;
+        this.updateObstacle();
+        if (this.state === 'riding') {
+            this.store.leaveConnector(this);
+        }
+
+        this.scene.remove(this.group);
+        this.group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    /**
+     * デバッグ情報を取得
+     */
+    getDebugInfo() {
+        return {
+            id: this.id,
+            role: this.role,
+            state: this.state,
+            onDuty: this.onDuty,
+            position: this.position,
+            floor: this.floor
+        };
+    }
+}
+
+/**
+ * スタッフ管理クラス
+ * レイアウトのstaffing（シフトごとの人数）に合わせて出勤・退勤させ、作業を割り当てる
+ */
+class StaffManager {
+    constructor(scene, pathFinder, store, agentManager) {
+        this.scene = scene;
+        this.pathFinder = pathFinder;
+        this.store = store;
+        this.agentManager = agentManager; // 案内を待っている客を探す
+        this.staff = [];
+        this.nextId = 1;
+        this.clock = 0; // シフトの時計（秒、最後のシフトが終わると最初に戻る）
+        this.currentShift = undefined;
+
+        // 歩いている品出し係の台車を客のソーシャルフォースに障害物として渡す
+        this.removeSteeringObstacles = agentManager.addSteeringObstacles(() => this.getSteeringObstacles());
+
+        this.parameters = {
+            restockTimePerItem: 0.4, // 商品1個を補充する作業時間（秒）
+            answerTime: 3 // 客の質問に答える時間（秒）
+        };
+    }
+
+    /**
+     * シナリオの人員配置
+     */
+    get staffing() {
+        return this.store.layout.staffing;
+    }
+
+    /**
+     * 現在のシフト（シフトのない時間帯はnull）
+     */
+    getCurrentShift() {
+        const shifts = this.staffing.shifts;
+        const cycle = Math.max(...shifts.map(shift => shift.end));
+        const time = this.clock % cycle;
+        return shifts.find(shift => shift.start <= time && time < shift.end) || null;
+    }
+
+    /**
+     * 更新処理
+     */
+    update(deltaTime, simulationSpeed = 1) {
+        const scaledDelta = deltaTime * simulationSpeed;
+        this.clock += scaledDelta;
+
+        const shift = this.getCurrentShift();
+        if (shift !== this.currentShift) {
+            this.currentShift = shift;
+            this.applyShift(shift);
+        }
+
+        this.staff.forEach(member => {
+            const finishedWork = member.update(scaledDelta);
+            member.group.visible = this.store.isFloorVisible(member.floor);
+            if (!member.onDuty) return;
+
+            switch (member.role) {
+                case 'cashier':
+                    this.updateCashier(member);
+                    break;
+                case 'restocker':
+                    this.updateRestocker(member, finishedWork);
+                    break;
+                case 'assistant':
+                    this.updateAssistant(member, finishedWork);
+                    break;
+            }
+        });
+
+        // 退勤したスタッフを除去
+        this.staff = this.staff.filter(member => !member.removed);
+
+        if (window.gameStats) {
+            window.gameStats.openCheckouts = this.store.getOpenCheckouts().length;
+        }
+    }
+
+    /**
+     * シフトの人数に合わせて出勤・退勤させる
+     */
+    applyShift(shift) {
+        console.log(`Staff shift: ${shift ? shift.name || `${shift.start}s` : 'closed'}`);
+
+        Object.entries(STAFF_ROLES).forEach(([role, { shiftKey }]) => {
+            const members = this.staff.filter(member => member.role === role && member.onDuty);
+            const needed = shift ? shift[shiftKey] : 0;
+
+            for (let i = members.length; i < needed; i++) {
+                this.staff.push(new StaffAgent(this.scene, this.pathFinder, this.nextId++, role, this.getStaffPoints().backRoom, this.store));
+            }
+
+            // 作業していないスタッフから先に退勤させる
+            members
+                .sort((a, b) => (a.task ? 1 : 0) - (b.task ? 1 : 0))
+                .slice(0, Math.max(0, members.length - needed))
+                .forEach(member => this.dismiss(member));
+        });
+    }
+
+    /**
+     * スタッフを退勤させる（担当を外してバックルームへ戻る）
+     */
+    dismiss(member) {
+        this.releaseTask(member);
+        member.onDuty = false;
+        member.walkTo(this.getStaffPoints().backRoom, () => member.remove());
+    }
+
+    /**
+     * 担当のレジ・棚・客を外す
+     */
+    releaseTask(member) {
+        const task = member.task;
+        member.task = null;
+        if (!task) return;
+
+        if (member.role === 'cashier') {
+            this.store.setCheckoutOpen(task, false);
+            task.cashier = null;
+        } else if (member.role === 'restocker') {
+            task.restocker = null;
+        } else if (task.lostItem && task.lostItem.helper === member) {
+            task.lostItem.helper = null;
+        }
+    }
+
+    /**
+     * バックルームと案内係の待機場所
+     */
+    getStaffPoints() {
+        return this.store.layout.getStaffPoints();
+    }
+
+    /**
+     * レジ係: 担当のいないレジに入って開け、会計速度を設定する
+     */
+    updateCashier(member) {
+        const checkout = member.task;
+
+        if (checkout) {
+            // レイアウト編集でレジが撤去・移動された場合は担当し直す
+            if (!this.store.checkouts.includes(checkout)) {
+                member.task = null;
+                member.state = 'idle';
+                return;
+            }
+            if (member.state === 'working' && !this.isAt(member, this.store.layout.getCheckoutStaffPoint(checkout.definition))) {
+                this.store.setCheckoutOpen(checkout, false);
+                member.state = 'idle';
+            }
+            if (member.state === 'idle') {
+                this.walkToCheckout(member, checkout);
+            }
+            return;
+        }
+
+        if (member.state !== 'idle') return;
+
+        const free = this.store.checkouts
+            .filter(candidate => !candidate.cashier && candidate.type !== 'self') // セルフレジには付かない
+            .sort((a, b) => a.number - b.number)[0];
+        if (!free) return;
+
+        free.cashier = member;
+        member.task = free;
+        this.walkToCheckout(member, free);
+    }
+
+    walkToCheckout(member, checkout) {
+        member.walkTo(this.store.layout.getCheckoutStaffPoint(checkout.definition), () => {
+            this.store.setCheckoutOpen(checkout, true, this.staffing.serviceRate);
+            member.group.rotation.y = (checkout.definition.rotation || 0) * Math.PI / 180; // 客側を向く
+            member.startWork(Infinity); // 退勤するまで会計を続ける
+        });
+    }
+
+    /**
+     * 品出し係: 在庫の少ない棚へ台車で向かって補充し、バックルームへ戻る
+     */
+    updateRestocker(member, finishedWork) {
+        const shelf = member.task;
+
+        if (finishedWork && shelf) {
+            const restocked = this.store.shelves.includes(shelf) ? this.store.restockShelf(shelf) : 0;
+            if (window.gameStats) {
+                window.gameStats.restockedItems += restocked;
+            }
+            console.log(`Staff ${member.id}: restocked ${restocked} items on ${shelf.label}`);
+            this.releaseTask(member);
+            member.walkTo(this.getStaffPoints().backRoom);
+            return;
+        }
+
+        if (member.state !== 'idle' || shelf) return;
+
+        const target = this.findLowShelf();
+        if (!target) return;
+
+        target.restocker = member;
+        member.task = target;
+        member.walkTo(target.accessPoint, () => {
+            // 向かう途中で棚が撤去された場合は戻る
+            if (!this.store.shelves.includes(target)) {
+                this.releaseTask(member);
+                member.walkTo(this.getStaffPoints().backRoom);
+                return;
+            }
+            const missing = Array.from(target.inventory.values())
+                .reduce((total, stocked) => total + stocked.capacity - stocked.stock, 0);
+            member.startWork(1 + missing * this.parameters.restockTimePerItem);
+        });
+    }
+
+    /**
+     * 補充が必要な棚（在庫の割合が最も低い商品のある棚、なければnull）
+     */
+    findLowShelf() {
+        const threshold = this.staffing.restockThreshold;
+        let lowest = null;
+        let lowestRatio = Infinity;
+
+        this.store.shelves.forEach(shelf => {
+            if (shelf.restocker || !shelf.accessPoint) return;
+            shelf.inventory.forEach(stocked => {
+                const ratio = stocked.capacity > 0 ? stocked.stock / stocked.capacity : 1;
+                if (ratio < threshold && ratio < lowestRatio) {
+                    lowest = shelf;
+                    lowestRatio = ratio;
+                }
+            });
+        });
+        return lowest;
+    }
+
+    /**
+     * 案内係: 商品が見つからない客のところへ行って売場を教える
+     */
+    updateAssistant(member, finishedWork) {
+        const customer = member.task;
+
+        if (finishedWork && customer) {
+            if (customer.lostItem && customer.lostItem.helper === member) {
+                customer.receiveHelp();
+                if (window.gameStats) {
+                    window.gameStats.assistedCustomers++;
+                }
+            }
+            this.releaseTask(member);
+            member.walkTo(this.getStaffPoints().assistantPost);
+            return;
+        }
+
+        // 向かっている間に客が自分で見つけた場合は持ち場に戻る
+        if (customer && !(customer.lostItem && customer.lostItem.helper === member)) {
+            this.releaseTask(member);
+            member.walkTo(this.getStaffPoints().assistantPost);
+            return;
+        }
+
+        if (member.state !== 'idle' || customer) return;
+
+        const target = this.findLostCustomer(member);
+        if (!target) {
+            const post = this.getStaffPoints().assistantPost;
+            if (!this.isAt(member, post)) member.walkTo(post);
+            return;
+        }
+
+        target.lostItem.helper = member;
+        member.task = target;
+        member.walkTo({ ...target.position, floor: target.floor }, () => member.startWork(this.parameters.answerTime));
+    }
+
+    /**
+     * 案内を待っている客のうち最も近い客（いなければnull）
+     */
+    findLostCustomer(member) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.agentManager.agents.forEach(agent => {
+            if (agent.state !== 'shopping' || !agent.lostItem || agent.lostItem.helper) return;
+            const distance = Math.hypot(agent.position.x - member.position.x, agent.position.z - member.position.z);
+            if (distance < nearestDistance) {
+                nearest = agent;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * スタッフが地点にいるか
+     */
+    isAt(member, point) {
+        return (point.floor ?? member.floor) === member.floor &&
+            Math.hypot(member.position.x - point.x, member.position.z - point.z) < 0.5;
+    }
+
+    /**
+     * 役割ごとの出勤中の人数
+     */
+    getCounts() {
+        const counts = {};
+        Object.keys(STAFF_ROLES).forEach(role => {
+            counts[role] = this.staff.filter(member => member.role === role && member.onDuty).length;
+        });
+        return counts;
+    }
+
+    /**
+     * 全スタッフを退勤させてシフトの時計を戻す
+     */
+    clearAllStaff() {
+        this.staff.forEach(member => {
+            this.releaseTask(member);
+            member.remove();
+        });
+        this.staff = [];
+        this.clock = 0;
+        this.currentShift = undefined;
+    }
+
+    /**
+     * 後片付け
+     */
+    /**
+     * 客がよける台車（歩いている品出し係のもの）
+     */
+    getSteeringObstacles() {
+        return this.staff.map(member => member.getSteeringObstacle()).filter(Boolean);
+    }
+
+    dispose() {
+        this.removeSteeringObstacles();
+        this.clearAllStaff();
+    }
+
+    /**
+     * デバッグ情報を取得
+     */
+    getDebugInfo() {
+        return {
+            clock: this.clock,
+            shift: this.currentShift ? this.currentShift.name : null,
+            staff: this.staff.map(member => member.getDebugInfo())
+        };
+    }
+}
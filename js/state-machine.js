@@ -0,0 +1,144 @@
+/**
+ * 状態機械
+ * 宣言した状態と遷移（ガード条件）・入るときと出るときの処理・状態ごとの時間切れを扱い、
+ * 遷移のたびにリスナーへイベントを送る
+ *
+ * 状態の定義: {
+ *     transitions: { 遷移先: ガード関数(owner, event) または null },
+ *     enter(owner, event), exit(owner, event), update(owner, deltaTime),
+ *     timeout: { after: 秒 または (owner) => 秒, to: 遷移先 または action(owner) }
+ * }
+ */
+
+class StateMachine {
+    constructor(owner, states, initial) {
+        if (!states[initial]) {
+            throw new Error(`Unknown initial state "${initial}"`);
+        }
+        Object.entries(states).forEach(([name, definition]) => {
+            Object.keys(definition.transitions || {}).forEach(target => {
+                if (!states[target]) {
+                    throw new Error(`State "${name}" has a transition to unknown state "${target}"`);
+                }
+            });
+        });
+
+        this.owner = owner;
+        this.states = states;
+        this.initial = initial;
+        this.state = null; // startするまではnull
+        this.elapsed = 0; // 今の状態に入ってからの時間（秒）
+        this.time = 0; // startしてからの時間（秒）
+        this.timedOut = false; // 今の状態で時間切れの処理をしたか
+        this.listeners = new Set();
+    }
+
+    /**
+     * 最初の状態に入る
+     */
+    start() {
+        if (this.state !== null) return;
+        this.enterState(this.initial, { from: null, to: this.initial, reason: 'start' });
+    }
+
+    /**
+     * 今の状態から遷移できるか（宣言されていてガード条件を満たす）
+     */
+    can(to, reason = null) {
+        const transitions = this.states[this.state]?.transitions || {};
+        if (!(to in transitions)) return false;
+
+        const guard = transitions[to];
+        return !guard || guard(this.owner, this.createEvent(to, reason));
+    }
+
+    /**
+     * 遷移する（ガード条件を満たさなければfalse、宣言していない遷移はエラー）
+     * reason: 遷移の理由（'timeout'など、イベントに含める）
+     */
+    transition(to, reason = null) {
+        const from = this.state;
+        const transitions = this.states[from]?.transitions || {};
+        if (!(to in transitions)) {
+            throw new Error(`Invalid transition from "${from}" to "${to}"`);
+        }
+
+        const event = this.createEvent(to, reason);
+        const guard = transitions[to];
+        if (guard && !guard(this.owner, event)) return false;
+
+        const exit = this.states[from].exit;
+        if (exit) exit(this.owner, event);
+        this.enterState(to, event);
+        return true;
+    }
+
+    /**
+     * 状態を切り替えてリスナーに知らせ、入るときの処理をする
+     * 入るときの処理の中で次の遷移をしてもイベントが順番に届くよう、先に知らせる
+     */
+    enterState(to, event) {
+        this.state = to;
+        this.elapsed = 0;
+        this.timedOut = false;
+        this.listeners.forEach(listener => listener(event));
+
+        const enter = this.states[to].enter;
+        if (enter) enter(this.owner, event);
+    }
+
+    createEvent(to, reason) {
+        return {
+            owner: this.owner,
+            from: this.state,
+            to,
+            reason,
+            elapsed: this.elapsed,
+            time: this.time
+        };
+    }
+
+    /**
+     * 今の状態の更新処理と時間切れの確認
+     */
+    update(deltaTime) {
+        if (this.state === null) return;
+
+        const state = this.state;
+        this.time += deltaTime;
+        this.elapsed += deltaTime;
+
+        const definition = this.states[state];
+        if (definition.update) definition.update(this.owner, deltaTime);
+
+        // 更新処理で遷移した場合は新しい状態の時間切れを待つ
+        if (this.state !== state || this.timedOut || !definition.timeout) return;
+
+        const { after, to } = definition.timeout;
+        const limit = typeof after === 'function' ? after(this.owner) : after;
+        if (this.elapsed < limit) return;
+
+        this.timedOut = true;
+        if (typeof to === 'function') {
+            to(this.owner);
+        } else {
+            this.transition(to, 'timeout');
+        }
+    }
+
+    /**
+     * 遷移イベントのリスナーを追加（戻り値の関数で解除）
+     * イベント: { owner, from, to, reason, elapsed（前の状態にいた時間）, time }
+     */
+    addTransitionListener(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * 最後の状態か（遷移先がない）
+     */
+    isFinal() {
+        return this.state !== null && Object.keys(this.states[this.state].transitions || {}).length === 0;
+    }
+}
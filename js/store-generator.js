@@ -0,0 +1,474 @@
+/**
+ * 店舗レイアウトの自動生成
+ * 店舗の大きさ・通路の本数と幅・売場の一覧・レジの台数・入口の壁から、StoreLayoutとして読み込めるレイアウトを作る
+ * 同じシード値からは同じレイアウトができる。入口から全売場・レジへ歩いて行けることをPathFinderで確かめ、
+ * 行けない配置しかできない場合はエラーにする
+ */
+
+// 標準の売場（IDは標準店舗の商品カタログの棚IDと同じ）
+const STORE_GENERATOR_SECTIONS = [
+    { id: 'vegetables', label: '野菜', category: 'vegetables', color: '#4CAF50' },
+    { id: 'fruits', label: '果物', category: 'fruits', color: '#FF9800' },
+    { id: 'bread', label: 'パン', category: 'bread', color: '#8D6E63' },
+    { id: 'seasonings', label: '調味料', category: 'seasonings', color: '#795548' },
+    { id: 'meat', label: '肉類', category: 'meat', color: '#F44336' },
+    { id: 'fish', label: '魚類', category: 'fish', color: '#2196F3' },
+    { id: 'dairy', label: '乳製品', category: 'dairy', color: '#FFEB3B' },
+    { id: 'frozen', label: '冷凍食品', category: 'frozen', color: '#00BCD4' },
+    { id: 'snacks', label: 'お菓子', category: 'snacks', color: '#E91E63' },
+    { id: 'drinks', label: '飲み物', category: 'drinks', color: '#9C27B0' },
+    { id: 'household', label: '日用品', category: 'household', color: '#607D8B' }
+];
+
+/**
+ * 生成パラメータのエラー（見つかった問題をすべてerrorsに持つ）
+ */
+class StoreGeneratorError extends Error {
+    constructor(errors, name = 'generator') {
+        super(`Cannot generate store layout "${name}":\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'StoreGeneratorError';
+        this.errors = errors;
+    }
+}
+
+class StoreGenerator {
+    constructor(options = {}) {
+        this.parameters = {
+            width: 30, // 店舗の幅（m）
+            depth: 26, // 店舗の奥行き（m）
+            aisleCount: 5, // 棚の列の間と両端の通路の本数（棚の列は1本少ない）
+            aisleWidth: 2, // 通路の最小幅（m）
+            sections: STORE_GENERATOR_SECTIONS, // 売場の一覧（売場ごとに棚を1台置く）
+            checkoutCount: 4,
+            entranceSide: 'front', // 入口の壁（front/back/left/right）
+            entranceWidth: 4,
+            cartBayCount: 4, // 入口の壁際に置くカート置き場
+            seed: 1,
+            catalog: 'default-catalog.json',
+            shelfDepth: 1,
+            minShelfLength: 2, // 売場1つの棚の最短の長さ（m）
+            checkoutSetback: 4.5, // 入口の壁からレジの中心まで（m）
+            checkoutPitch: 3, // レジの間隔（m）
+            queueDepth: 4, // レジの前に行列用に空ける奥行き（m）
+            maxAttempts: 10, // 歩いて行けない配置だった場合に置き直す回数
+            ...options
+        };
+        this.name = this.parameters.name || `自動生成店舗（シード${this.parameters.seed}）`;
+        this.wallThickness = new StoreLayout().walls.thickness; // 生成するレイアウトは壁の既定の厚みを使う
+    }
+
+    /**
+     * パラメータからレイアウトを生成
+     */
+    static generate(options) {
+        return new StoreGenerator(options).generate();
+    }
+
+    /**
+     * URLのクエリ（?generate&seed=7&aisles=6 など）から生成パラメータを作る
+     * sectionsは標準の売場のIDをカンマ区切りで指定（標準にないIDは灰色の売場になる）
+     */
+    static parseOptions(params) {
+        const options = {};
+        const numbers = {
+            width: 'width',
+            depth: 'depth',
+            aisles: 'aisleCount',
+            aisleWidth: 'aisleWidth',
+            checkouts: 'checkoutCount',
+            cartBays: 'cartBayCount',
+            seed: 'seed'
+        };
+        Object.entries(numbers).forEach(([key, option]) => {
+            if (params.has(key)) options[option] = Number(params.get(key));
+        });
+        if (params.has('entrance')) {
+            options.entranceSide = params.get('entrance');
+        }
+        if (params.has('sections')) {
+            options.sections = params.get('sections').split(',').filter(id => id !== '').map(id =>
+                STORE_GENERATOR_SECTIONS.find(section => section.id === id) ||
+                { id, label: id, category: id, color: '#9E9E9E' });
+        }
+        return options;
+    }
+
+    /**
+     * レイアウトを生成して検証済みのStoreLayoutを返す
+     * 形式や重なりの問題はパラメータの誤りなのですぐにエラー、歩いて行けない場合は置き直す
+     */
+    generate() {
+        const errors = this.validateParameters();
+        if (errors.length > 0) {
+            throw new StoreGeneratorError(errors, this.name);
+        }
+
+        const random = this.createRandom(this.parameters.seed);
+        const sections = this.shuffle(this.parameters.sections.map(section => ({ ...section })), random);
+        let unreachable = [];
+
+        for (let attempt = 0; attempt < this.parameters.maxAttempts; attempt++) {
+            const layout = new StoreLayout(this.createLayoutData(sections, random));
+            const problems = [...layout.validateStructure(), ...layout.validatePlacement()];
+            if (problems.length > 0) {
+                throw new StoreGeneratorError(problems, this.name);
+            }
+
+            unreachable = layout.validateReachability();
+            if (unreachable.length === 0) {
+                unreachable = layout.validateMobilityReachability();
+            }
+            if (unreachable.length === 0) {
+                return layout;
+            }
+        }
+        throw new StoreGeneratorError(unreachable, this.name);
+    }
+
+    /**
+     * パラメータを検査（問題の一覧を返す）
+     * 値の形式が正しければ、棚の列・売場・レジが店舗に収まるかも調べる
+     */
+    validateParameters() {
+        const errors = [];
+        const p = this.parameters;
+        const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+        const isCount = (value, min) => Number.isInteger(value) && value >= min;
+
+        if (!isPositive(p.width) || !isPositive(p.depth)) {
+            errors.push(`width and depth must be positive (got ${p.width} x ${p.depth})`);
+        }
+        if (!isCount(p.aisleCount, 2)) {
+            errors.push(`aisleCount must be an integer of at least 2 (got ${p.aisleCount})`);
+        }
+        if (!isPositive(p.aisleWidth) || p.aisleWidth < 1) {
+            errors.push(`aisleWidth must be at least 1 m (got ${p.aisleWidth})`);
+        }
+        if (!isCount(p.checkoutCount, 1)) {
+            errors.push(`checkoutCount must be a positive integer (got ${p.checkoutCount})`);
+        }
+        if (!isCount(p.cartBayCount, 0)) {
+            errors.push(`cartBayCount must be a non-negative integer (got ${p.cartBayCount})`);
+        }
+        if (!LAYOUT_WALL_SIDES.includes(p.entranceSide)) {
+            errors.push(`entranceSide must be one of ${LAYOUT_WALL_SIDES.join(', ')} (got ${p.entranceSide})`);
+        }
+        if (!Number.isFinite(p.seed)) {
+            errors.push(`seed must be a number (got ${p.seed})`);
+        }
+        if (!Array.isArray(p.sections) || p.sections.length === 0) {
+            errors.push('at least one section is required');
+        } else {
+            const ids = new Set();
+            p.sections.forEach((section, index) => {
+                if (typeof section.id !== 'string' || section.id === '') {
+                    errors.push(`section #${index + 1} needs an id`);
+                } else if (ids.has(section.id)) {
+                    errors.push(`section "${section.id}" is listed more than once`);
+                }
+                ids.add(section.id);
+            });
+        }
+        if (errors.length > 0) return errors;
+
+        // 店舗に収まるか
+        const { width, depth } = this.getFrontSize();
+        const pathFinder = this.createGridPathFinder(width, depth);
+        const rows = this.getRowCells(pathFinder, width);
+        if (!rows) {
+            errors.push(`${p.aisleCount} aisles of ${p.aisleWidth} m and ${p.aisleCount - 1} shelf rows do not fit across the ${width} m wall`);
+        } else {
+            const zone = this.getZoneCells(pathFinder, depth);
+            const perRow = Math.ceil(p.sections.length / rows.centers.length);
+            const needed = perRow * zone.minShelfCells + (perRow - 1) * zone.aisleCells;
+            if (needed > zone.cells) {
+                errors.push(`${p.sections.length} sections need ${perRow} shelves of at least ${p.minShelfLength} m per row, ` +
+                    `but the rows are only ${zone.cells * pathFinder.cellSize} m long (make the store deeper or add aisles)`);
+            }
+        }
+        const halfCheckouts = Math.ceil(p.checkoutCount / 2);
+        if (p.entranceWidth / 2 + halfCheckouts * p.checkoutPitch > width / 2 - 0.5) {
+            errors.push(`${p.checkoutCount} checkouts do not fit beside the entrance on the ${width} m wall`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * 入口の壁を手前（front）として見た店舗の幅と奥行き
+     */
+    getFrontSize() {
+        const { width, depth, entranceSide } = this.parameters;
+        return entranceSide === 'left' || entranceSide === 'right'
+            ? { width: depth, depth: width }
+            : { width, depth };
+    }
+
+    /**
+     * 棚をセルの境界にそろえるための、壁だけのPathFinder
+     */
+    createGridPathFinder(width, depth) {
+        return new StoreLayout({ dimensions: { width, depth } }).createPathFinder();
+    }
+
+    /**
+     * 値に最も近いセルの境界（x方向）
+     */
+    snapX(pathFinder, value) {
+        const cell = pathFinder.worldToGrid(value + pathFinder.cellSize / 2, 0);
+        return pathFinder.gridToWorld(cell.x, 0).x;
+    }
+
+    /**
+     * 値に最も近いセルの境界（z方向）
+     */
+    snapZ(pathFinder, value) {
+        const cell = pathFinder.worldToGrid(0, value + pathFinder.cellSize / 2);
+        return pathFinder.gridToWorld(0, cell.y).z;
+    }
+
+    /**
+     * 棚の列の中心のx座標（余った幅は通路に均等に配る、収まらなければnull）
+     */
+    getRowCells(pathFinder, width) {
+        const p = this.parameters;
+        const cellSize = pathFinder.cellSize;
+        const thickness = this.wallThickness;
+        const left = this.snapX(pathFinder, -width / 2 + thickness / 2 + cellSize / 2);
+        const right = this.snapX(pathFinder, width / 2 - thickness / 2 - cellSize / 2);
+        const cells = Math.round((right - left) / cellSize);
+        const rowCount = p.aisleCount - 1;
+        const shelfCells = Math.ceil(p.shelfDepth / cellSize - 1e-6);
+        const aisleCells = Math.ceil(p.aisleWidth / cellSize - 1e-6);
+        const free = cells - rowCount * shelfCells - p.aisleCount * aisleCells;
+        if (free < 0) return null;
+
+        const centers = [];
+        const aisles = [];
+        let cursor = 0;
+        for (let i = 0; i < p.aisleCount; i++) {
+            const extra = Math.floor(free * (i + 1) / p.aisleCount) - Math.floor(free * i / p.aisleCount);
+            const aisle = aisleCells + extra;
+            aisles.push(left + (cursor + aisle / 2) * cellSize);
+            cursor += aisle;
+            if (i < rowCount) {
+                centers.push(left + cursor * cellSize + p.shelfDepth / 2);
+                cursor += shelfCells;
+            }
+        }
+        return { centers, aisles };
+    }
+
+    /**
+     * 棚を置く範囲（入口側はレジと行列、奥は外周の通路を空ける）をセル単位で
+     */
+    getZoneCells(pathFinder, depth) {
+        const p = this.parameters;
+        const cellSize = pathFinder.cellSize;
+        const thickness = this.wallThickness;
+        const front = -depth / 2;
+        const checkoutApproach = p.checkoutSetback + LAYOUT_DEFAULT_SIZES.checkout.depth / 2 + 1;
+        const start = this.snapZ(pathFinder, front + checkoutApproach + p.queueDepth + cellSize / 2);
+        const end = this.snapZ(pathFinder, depth / 2 - thickness / 2 - p.aisleWidth - cellSize / 2);
+        return {
+            start,
+            end,
+            cells: Math.max(0, Math.round((end - start) / cellSize)),
+            aisleCells: Math.ceil(p.aisleWidth / cellSize - 1e-6),
+            minShelfCells: Math.ceil(p.minShelfLength / cellSize - 1e-6)
+        };
+    }
+
+    /**
+     * 入口を手前として配置を作り、入口の壁に合わせて回転したレイアウトのデータ
+     */
+    createLayoutData(sections, random) {
+        const p = this.parameters;
+        const { width, depth } = this.getFrontSize();
+        const pathFinder = this.createGridPathFinder(width, depth);
+        const front = -depth / 2;
+        const rows = this.getRowCells(pathFinder, width);
+        const zone = this.getZoneCells(pathFinder, depth);
+        const checkoutZ = front + p.checkoutSetback;
+
+        const data = {
+            shelves: this.placeShelves(sections, rows, zone, pathFinder.cellSize, random),
+            checkouts: this.placeCheckouts(checkoutZ),
+            cartBays: this.placeCartBays(width, front, random),
+            signage: rows.aisles.slice(1, -1).map(x => ({ type: 'aisle', x, z: zone.start - 0.5, color: '#2196F3', rotation: 0 })),
+            lights: [],
+            checkoutArea: { x: 0, z: checkoutZ + 2 },
+            spawn: { x: 0, z: front - 2 },
+            backRoom: { x: rows.aisles[rows.aisles.length - 1], z: (zone.end + depth / 2) / 2 },
+            assistantPost: { x: rows.aisles[Math.floor(rows.aisles.length / 2)], z: zone.start - 1 }
+        };
+        for (let x = -width / 2 + 2.5; x < width / 2; x += 5) {
+            for (let z = -depth / 2 + 2.5; z < depth / 2; z += 5) {
+                data.lights.push({ x, z });
+            }
+        }
+
+        return this.toLayoutData(this.rotateToEntrance(data));
+    }
+
+    /**
+     * 売場の棚を列に順に割り当て、列ごとに棚の長さをランダムに配分（棚の間は横断通路）
+     */
+    placeShelves(sections, rows, zone, cellSize, random) {
+        const p = this.parameters;
+        const perRow = Math.ceil(sections.length / rows.centers.length);
+        const shelves = [];
+
+        rows.centers.forEach((x, row) => {
+            const rowSections = sections.slice(row * perRow, (row + 1) * perRow);
+            if (rowSections.length === 0) return;
+
+            const free = zone.cells - rowSections.length * zone.minShelfCells - (rowSections.length - 1) * zone.aisleCells;
+            const weights = rowSections.map(() => 0.5 + random());
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            let assigned = 0;
+            let cursor = 0;
+
+            rowSections.forEach((section, index) => {
+                const share = weights.slice(0, index + 1).reduce((sum, weight) => sum + weight, 0) / total;
+                const extra = Math.floor(free * share) - assigned;
+                assigned += extra;
+                const cells = zone.minShelfCells + extra;
+                shelves.push({
+                    id: section.id,
+                    label: section.label || section.id,
+                    category: section.category || section.id,
+                    color: section.color || '#9E9E9E',
+                    x,
+                    z: zone.start + (cursor + cells / 2) * cellSize,
+                    width: cells * cellSize,
+                    depth: p.shelfDepth,
+                    rotation: 90
+                });
+                cursor += cells + zone.aisleCells;
+            });
+        });
+        return shelves;
+    }
+
+    /**
+     * 入口からの通り道をはさんで左右にレジを並べる（番号は左から）
+     */
+    placeCheckouts(z) {
+        const p = this.parameters;
+        const leftCount = Math.ceil(p.checkoutCount / 2);
+        const positions = [];
+        for (let i = leftCount - 1; i >= 0; i--) {
+            positions.push(-p.entranceWidth / 2 - p.checkoutPitch * (i + 0.5));
+        }
+        for (let i = 0; i < p.checkoutCount - leftCount; i++) {
+            positions.push(p.entranceWidth / 2 + p.checkoutPitch * (i + 0.5));
+        }
+        return positions.map((x, index) => ({ number: index + 1, type: 'staffed', x, z, rotation: 0 }));
+    }
+
+    /**
+     * 入口の壁際、出入口の両脇を避けた位置にカート置き場を置く（置き直しのたびに位置が変わる）
+     */
+    placeCartBays(width, front, random) {
+        const p = this.parameters;
+        const size = LAYOUT_DEFAULT_SIZES.cartBay;
+        const limit = width / 2 - 1;
+        const bays = [];
+
+        for (let tries = 0; bays.length < p.cartBayCount && tries < p.cartBayCount * 20; tries++) {
+            const x = Math.round((-limit + random() * limit * 2) * 2) / 2;
+            const clearOfEntrance = Math.abs(x) > p.entranceWidth / 2 + 1;
+            const clearOfOthers = bays.every(bay => Math.abs(bay.x - x) >= size.width + 0.5);
+            if (clearOfEntrance && clearOfOthers) {
+                bays.push({ ...size, x, z: front + 1, rotation: 0 });
+            }
+        }
+        return bays;
+    }
+
+    /**
+     * 入口を手前として作った配置を入口の壁に合わせて回す
+     */
+    rotateToEntrance(data) {
+        const side = this.parameters.entranceSide;
+        const turns = { front: 0, left: 90, back: 180, right: 270 }[side];
+        const transform = point => {
+            switch (side) {
+                case 'left': return { x: point.z, z: -point.x };
+                case 'back': return { x: -point.x, z: -point.z };
+                case 'right': return { x: -point.z, z: point.x };
+                default: return { x: point.x, z: point.z };
+            }
+        };
+        const transformItem = item => ({ ...item, ...transform(item), rotation: ((item.rotation || 0) + turns) % 360 });
+
+        return {
+            ...data,
+            shelves: data.shelves.map(transformItem),
+            checkouts: data.checkouts.map(transformItem),
+            cartBays: data.cartBays.map(transformItem),
+            signage: data.signage.map(transformItem),
+            lights: data.lights.map(transform),
+            checkoutArea: transform(data.checkoutArea),
+            spawn: transform(data.spawn),
+            backRoom: transform(data.backRoom),
+            assistantPost: transform(data.assistantPost)
+        };
+    }
+
+    /**
+     * レイアウトファイルと同じ形のデータ
+     */
+    toLayoutData(data) {
+        const p = this.parameters;
+        const round = value => Math.round(value * 1000) / 1000;
+        const roundPoint = point => ({ ...point, x: round(point.x), z: round(point.z) });
+
+        return {
+            name: this.name,
+            catalog: p.catalog,
+            dimensions: { width: p.width, depth: p.depth },
+            grid: { cellSize: 1, margin: 5 },
+            walls: { segments: [] },
+            entrances: [{ id: 'main', wall: p.entranceSide, offset: 0, width: p.entranceWidth, spawn: roundPoint(data.spawn) }],
+            checkoutArea: roundPoint(data.checkoutArea),
+            shelves: data.shelves.map(roundPoint),
+            checkouts: data.checkouts.map(roundPoint),
+            cartBays: data.cartBays.map(roundPoint),
+            signage: data.signage.map(roundPoint),
+            lights: data.lights.map(roundPoint),
+            floorCosts: {},
+            staffing: {
+                backRoom: roundPoint(data.backRoom),
+                assistantPost: roundPoint(data.assistantPost),
+                shifts: [
+                    { name: '通常', start: 0, end: 300, cashiers: Math.ceil(p.checkoutCount / 2), restockers: 1, assistants: 1 },
+                    { name: 'ピーク', start: 300, end: 600, cashiers: p.checkoutCount, restockers: 1, assistants: 2 }
+                ]
+            }
+        };
+    }
+
+    /**
+     * シード値から0以上1未満の乱数列を作る（mulberry32）
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    shuffle(items, random) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
@@ -0,0 +1,980 @@
+/**
+ * 店舗レイアウト
+ * JSONで記述した店舗の寸法・壁・出入口・棚・レジ・カート置き場・案内表示・照明を読み込み、
+ * 3Dシーンと経路探索グリッドの両方をこの1つの定義から作る
+ * 複数階の店舗はfloorsで階を、connectors（エスカレーター・エレベーター）で階の間の移動を記述する
+ */
+
+// 省略時の大きさ（m）
+const LAYOUT_DEFAULT_SIZES = {
+    checkout: { width: 1.5, depth: 0.6 },
+    selfCheckoutStation: { width: 1, depth: 0.8 }, // セルフレジ1台分（台数分の幅になる）
+    cartBay: { width: 0.4, depth: 0.3 },
+    signage: { width: 0.1, depth: 0.8 }
+};
+
+const LAYOUT_WALL_SIDES = ['front', 'back', 'left', 'right'];
+
+// レジの種類: 有人レジ・点数制限のあるエクスプレスレジ・1列に並んで空いた台を使うセルフレジ
+const LAYOUT_CHECKOUT_TYPES = ['staffed', 'express', 'self'];
+
+// 階の間の移動手段と省略時の値（travelTimeは乗ってから降りるまでの秒数、capacityは一度に運べる人数）
+// エスカレーターはfromからtoへの片方向で、乗った人から順に運ぶ
+// エレベーターは両方向で、かごが1台ずつ往復する
+const LAYOUT_CONNECTOR_TYPES = {
+    escalator: { travelTime: 15, capacity: 10, width: 1.2 },
+    elevator: { travelTime: 20, capacity: 8, width: 2 }
+};
+
+// エスカレーターの乗り口・降り口に空けておく長さ（m）
+const LAYOUT_ESCALATOR_LANDING = 1;
+
+/**
+ * レイアウトの検証エラー（見つかった問題をすべてerrorsに持つ）
+ */
+class StoreLayoutError extends Error {
+    constructor(errors, name = 'layout') {
+        super(`Invalid store layout "${name}":\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'StoreLayoutError';
+        this.errors = errors;
+    }
+}
+
+class StoreLayout {
+    constructor(data = {}) {
+        const walls = data.walls || {};
+        const grid = data.grid || {};
+
+        this.name = data.name || 'layout';
+        this.catalog = data.catalog || null; // 商品カタログのファイル名（レイアウトファイルからの相対パス）
+        this.dimensions = { ...data.dimensions };
+        this.grid = {
+            cellSize: grid.cellSize ?? 1,
+            margin: grid.margin ?? 5 // 入口前の通路などに使う店舗外周のセル数
+        };
+        this.walls = {
+            height: walls.height ?? 4,
+            thickness: walls.thickness ?? 0.2,
+            color: walls.color || '#e8e8e8',
+            segments: (walls.segments || []).map(segment => ({ ...segment })) // 店内の間仕切り
+        };
+        this.entrances = (data.entrances || []).map(entrance => ({ offset: 0, ...entrance }));
+        this.checkoutArea = data.checkoutArea ? { ...data.checkoutArea } : null;
+        this.shelves = (data.shelves || []).map(shelf => ({ rotation: 0, ...shelf }));
+        this.checkouts = (data.checkouts || []).map(checkout => this.createCheckoutDefinition(checkout));
+        this.cartBays = (data.cartBays || []).map(bay => ({ ...LAYOUT_DEFAULT_SIZES.cartBay, rotation: 0, ...bay }));
+        this.signage = (data.signage || []).map(sign => ({ type: 'aisle', color: '#2196F3', rotation: 0, ...sign }));
+        this.lights = (data.lights || []).map(light => ({ ...light }));
+        this.floorCosts = JSON.parse(JSON.stringify(data.floorCosts || {}));
+
+        // 階（省略時は1階だけ）。出入口・レジエリア・スタッフの地点は最初の階にあり、
+        // 棚・レジ・カート置き場・案内表示・照明はfloorで階を指定する（省略時は最初の階）
+        this.floors = (data.floors || [{ id: '1F' }]).map((floor, index) => ({
+            label: floor.id,
+            elevation: index * this.walls.height,
+            ...floor
+        }));
+        this.connectors = (data.connectors || []).map(connector => ({
+            ...LAYOUT_CONNECTOR_TYPES[connector.type],
+            ...connector,
+            from: { ...connector.from },
+            to: { ...connector.to }
+        }));
+
+        // スタッフの配置（シナリオごとのシフトと人数）
+        const staffing = data.staffing || {};
+        this.staffing = {
+            backRoom: staffing.backRoom ? { ...staffing.backRoom } : null, // スタッフの出入りするバックルーム（なければ入口）
+            assistantPost: staffing.assistantPost ? { ...staffing.assistantPost } : null, // 案内係の待機場所（なければレジエリア）
+            serviceRate: staffing.serviceRate ?? 1.5, // レジ係が1秒に通す商品数
+            restockThreshold: staffing.restockThreshold ?? 0.3, // 在庫がこの割合を下回ると補充する
+            shifts: (staffing.shifts || [
+                {
+                    name: '終日',
+                    start: 0,
+                    end: 600,
+                    cashiers: this.checkouts.filter(checkout => checkout.type !== 'self').length,
+                    restockers: 1,
+                    assistants: 1
+                }
+            ]).map(shift => ({ ...shift }))
+        };
+    }
+
+    /**
+     * レジの定義に種類ごとの既定値を補う
+     * エクスプレスレジは10点まで、セルフレジは4台（台数に合わせた幅）
+     */
+    createCheckoutDefinition(checkout) {
+        const type = checkout.type || 'staffed';
+        if (type === 'self') {
+            const stations = checkout.stations ?? 4;
+            return {
+                width: stations * LAYOUT_DEFAULT_SIZES.selfCheckoutStation.width,
+                depth: LAYOUT_DEFAULT_SIZES.selfCheckoutStation.depth,
+                rotation: 0,
+                ...checkout,
+                type,
+                stations
+            };
+        }
+        return {
+            ...LAYOUT_DEFAULT_SIZES.checkout,
+            rotation: 0,
+            ...(type === 'express' ? { itemLimit: 10 } : {}),
+            ...checkout,
+            type
+        };
+    }
+
+    /**
+     * URLからレイアウトを読み込んで検証
+     */
+    static async load(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            // file:// で開いた場合など
+            throw new StoreLayoutError([`could not fetch ${url}: ${error.message} (serve the page over HTTP)`], url);
+        }
+        if (!response.ok) {
+            throw new StoreLayoutError([`could not fetch ${url} (HTTP ${response.status})`], url);
+        }
+        return StoreLayout.fromJSON(await response.json());
+    }
+
+    /**
+     * JSONオブジェクトからレイアウトを作成して検証
+     */
+    static fromJSON(data) {
+        const layout = new StoreLayout(data);
+        layout.validate();
+        return layout;
+    }
+
+    /**
+     * レイアウトファイルとして保存できる形に変換
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            catalog: this.catalog,
+            dimensions: { ...this.dimensions },
+            grid: { ...this.grid },
+            walls: { ...this.walls, segments: this.walls.segments.map(segment => ({ ...segment })) },
+            entrances: this.entrances.map(entrance => ({ ...entrance })),
+            checkoutArea: this.checkoutArea ? { ...this.checkoutArea } : null,
+            shelves: this.shelves.map(shelf => ({ ...shelf })),
+            checkouts: this.checkouts.map(checkout => ({ ...checkout })),
+            cartBays: this.cartBays.map(bay => ({ ...bay })),
+            signage: this.signage.map(sign => ({ ...sign })),
+            lights: this.lights.map(light => ({ ...light })),
+            floorCosts: JSON.parse(JSON.stringify(this.floorCosts)),
+            floors: this.floors.map(floor => ({ ...floor })),
+            connectors: this.connectors.map(connector => ({ ...connector, from: { ...connector.from }, to: { ...connector.to } })),
+            staffing: JSON.parse(JSON.stringify(this.staffing))
+        };
+    }
+
+    /**
+     * 検証（問題があればすべてまとめてStoreLayoutErrorを投げる）
+     * 形式の誤りがあると配置の検査ができないので、形式・配置・到達可能性の順に調べる
+     */
+    validate() {
+        const checks = [
+            () => this.validateStructure(),
+            () => this.validatePlacement(),
+            () => this.validateReachability(),
+            () => this.validateMobilityReachability()
+        ];
+
+        for (const check of checks) {
+            const errors = check();
+            if (errors.length > 0) {
+                throw new StoreLayoutError(errors, this.name);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 必須項目と値の形式を検査
+     */
+    validateStructure() {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isPositive = value => isNumber(value) && value > 0;
+        const isColor = value => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+        const checkPoint = (point, name) => {
+            if (!point || !isNumber(point.x) || !isNumber(point.z)) {
+                errors.push(`${name} needs numeric x and z`);
+                return false;
+            }
+            return true;
+        };
+        const checkItem = (item, name) => {
+            if (!checkPoint(item, name)) return;
+            if (!isPositive(item.width) || !isPositive(item.depth)) {
+                errors.push(`${name} needs a positive width and depth`);
+            }
+            if (!isNumber(item.rotation) || item.rotation % 90 !== 0) {
+                errors.push(`${name} rotation must be a multiple of 90 degrees (got ${item.rotation})`);
+            }
+        };
+
+        if (typeof this.catalog !== 'string' || this.catalog === '') {
+            errors.push('catalog must name the product catalog file');
+        }
+        if (!isPositive(this.dimensions.width) || !isPositive(this.dimensions.depth)) {
+            errors.push('dimensions need a positive width and depth');
+        }
+        if (!isPositive(this.grid.cellSize)) {
+            errors.push('grid.cellSize must be positive');
+        }
+        if (!Number.isInteger(this.grid.margin) || this.grid.margin < 0) {
+            errors.push('grid.margin must be a non-negative integer');
+        }
+        if (!isPositive(this.walls.height) || !isPositive(this.walls.thickness)) {
+            errors.push('walls need a positive height and thickness');
+        }
+        if (!isColor(this.walls.color)) {
+            errors.push(`walls.color must be a #rrggbb color (got ${this.walls.color})`);
+        }
+        this.walls.segments.forEach((segment, index) => {
+            const name = `wall segment #${index + 1}`;
+            if (checkPoint(segment.from, `${name} from`) && checkPoint(segment.to, `${name} to`) &&
+                segment.from.x !== segment.to.x && segment.from.z !== segment.to.z) {
+                errors.push(`${name} must run along the x or z axis`);
+            }
+        });
+
+        if (this.entrances.length === 0) {
+            errors.push('at least one entrance is required');
+        }
+        this.entrances.forEach((entrance, index) => {
+            const name = this.describe('entrance', entrance, index);
+            if (!LAYOUT_WALL_SIDES.includes(entrance.wall)) {
+                errors.push(`${name} wall must be one of ${LAYOUT_WALL_SIDES.join(', ')} (got ${entrance.wall})`);
+            }
+            if (!isNumber(entrance.offset) || !isPositive(entrance.width)) {
+                errors.push(`${name} needs a numeric offset and a positive width`);
+            }
+            checkPoint(entrance.spawn, `${name} spawn`);
+        });
+
+        if (!this.checkoutArea) {
+            errors.push('checkoutArea is required');
+        } else {
+            checkPoint(this.checkoutArea, 'checkoutArea');
+        }
+
+        const shelfIds = new Set();
+        this.shelves.forEach((shelf, index) => {
+            const name = this.describe('shelf', shelf, index);
+            checkItem(shelf, name);
+            if (typeof shelf.id !== 'string' || shelf.id === '') {
+                errors.push(`${name} needs an id (products are assigned to shelves by id)`);
+            } else if (shelfIds.has(shelf.id)) {
+                errors.push(`${name} uses the id "${shelf.id}" of another shelf`);
+            }
+            shelfIds.add(shelf.id);
+            if (typeof shelf.label !== 'string' || typeof shelf.category !== 'string') {
+                errors.push(`${name} needs a label and a category`);
+            }
+            if (!isColor(shelf.color)) {
+                errors.push(`${name} color must be a #rrggbb color (got ${shelf.color})`);
+            }
+        });
+        this.checkouts.forEach((checkout, index) => {
+            const name = this.describe('checkout', checkout, index);
+            checkItem(checkout, name);
+            if (!LAYOUT_CHECKOUT_TYPES.includes(checkout.type)) {
+                errors.push(`${name} type must be one of ${LAYOUT_CHECKOUT_TYPES.join(', ')} (got ${checkout.type})`);
+            }
+            if (checkout.itemLimit !== undefined && (!Number.isInteger(checkout.itemLimit) || checkout.itemLimit < 1)) {
+                errors.push(`${name} itemLimit must be a positive integer (got ${checkout.itemLimit})`);
+            }
+            if (checkout.type === 'self' && (!Number.isInteger(checkout.stations) || checkout.stations < 1)) {
+                errors.push(`${name} stations must be a positive integer (got ${checkout.stations})`);
+            }
+        });
+        this.cartBays.forEach((bay, index) => checkItem(bay, this.describe('cart bay', bay, index)));
+        this.signage.forEach((sign, index) => {
+            const name = this.describe('sign', sign, index);
+            checkPoint(sign, name);
+            if (!isColor(sign.color)) {
+                errors.push(`${name} color must be a #rrggbb color (got ${sign.color})`);
+            }
+        });
+        this.lights.forEach((light, index) => checkPoint(light, `light #${index + 1}`));
+
+        const floorIds = new Set();
+        if (this.floors.length === 0) {
+            errors.push('at least one floor is required');
+        }
+        this.floors.forEach((floor, index) => {
+            const name = this.describe('floor', floor, index);
+            if (typeof floor.id !== 'string' || floor.id === '') {
+                errors.push(`${name} needs an id`);
+            } else if (floorIds.has(floor.id)) {
+                errors.push(`${name} uses the id "${floor.id}" of another floor`);
+            }
+            floorIds.add(floor.id);
+            const below = this.floors[index - 1];
+            if (!isNumber(floor.elevation)) {
+                errors.push(`${name} needs a numeric elevation`);
+            } else if (below && isNumber(below.elevation) && floor.elevation <= below.elevation) {
+                errors.push(`${name} must be above ${this.describe('floor', below, index - 1)} (list floors from the ground floor up)`);
+            }
+        });
+        [
+            ['shelf', this.shelves],
+            ['checkout', this.checkouts],
+            ['cart bay', this.cartBays],
+            ['sign', this.signage],
+            ['light', this.lights]
+        ].forEach(([kind, items]) => items.forEach((item, index) => {
+            if (item.floor !== undefined && !floorIds.has(item.floor)) {
+                errors.push(`${this.describe(kind, item, index)} is on an unknown floor "${item.floor}"`);
+            }
+        }));
+
+        const connectorIds = new Set();
+        this.connectors.forEach((connector, index) => {
+            const name = this.describe('connector', connector, index);
+            if (typeof connector.id !== 'string' || connector.id === '') {
+                errors.push(`${name} needs an id`);
+            } else if (connectorIds.has(connector.id)) {
+                errors.push(`${name} uses the id "${connector.id}" of another connector`);
+            }
+            connectorIds.add(connector.id);
+            if (!LAYOUT_CONNECTOR_TYPES[connector.type]) {
+                errors.push(`${name} type must be one of ${Object.keys(LAYOUT_CONNECTOR_TYPES).join(', ')} (got ${connector.type})`);
+                return;
+            }
+
+            const endsValid = ['from', 'to'].map(end => {
+                const point = connector[end];
+                const valid = checkPoint(point, `${name} ${end}`);
+                if (!floorIds.has(point.floor)) {
+                    errors.push(`${name} ${end} is on an unknown floor "${point.floor}"`);
+                    return false;
+                }
+                return valid;
+            });
+            if (connector.from.floor === connector.to.floor) {
+                errors.push(`${name} must connect two different floors`);
+            }
+            if (!isPositive(connector.travelTime)) {
+                errors.push(`${name} travelTime must be positive (got ${connector.travelTime})`);
+            }
+            if (!Number.isInteger(connector.capacity) || connector.capacity < 1) {
+                errors.push(`${name} capacity must be a positive integer (got ${connector.capacity})`);
+            }
+            if (!isPositive(connector.width)) {
+                errors.push(`${name} width must be positive (got ${connector.width})`);
+            }
+
+            // エスカレーターは乗り口から降り口まで軸に沿ってまっすぐ進む
+            if (connector.type === 'escalator' && endsValid.every(Boolean)) {
+                const { from, to } = connector;
+                if (from.x !== to.x && from.z !== to.z) {
+                    errors.push(`${name} must run along the x or z axis`);
+                } else if (Math.abs(to.x - from.x) + Math.abs(to.z - from.z) <= LAYOUT_ESCALATOR_LANDING * 2) {
+                    errors.push(`${name} needs more than ${LAYOUT_ESCALATOR_LANDING * 2} m between its landings`);
+                }
+            }
+            // エレベーターは1本の昇降路を上下する
+            if (connector.type === 'elevator' && endsValid.every(Boolean) &&
+                (connector.from.x !== connector.to.x || connector.from.z !== connector.to.z)) {
+                errors.push(`${name} from and to must be at the same x and z (one shaft)`);
+            }
+        });
+
+        Object.entries(this.floorCosts).forEach(([layer, zones]) => {
+            if (!Array.isArray(zones)) {
+                errors.push(`floorCosts.${layer} must be a list of zones`);
+                return;
+            }
+            zones.forEach((zone, index) => {
+                const name = `floorCosts.${layer} zone #${index + 1}`;
+                if (checkPoint(zone, name) && (!isPositive(zone.width) || !isPositive(zone.depth) || !isPositive(zone.cost))) {
+                    errors.push(`${name} needs a positive width, depth and cost`);
+                }
+                if (zone.floor !== undefined && !floorIds.has(zone.floor)) {
+                    errors.push(`${name} is on an unknown floor "${zone.floor}"`);
+                }
+            });
+        });
+
+        const staffing = this.staffing;
+        if (staffing.backRoom) checkPoint(staffing.backRoom, 'staffing.backRoom');
+        if (staffing.assistantPost) checkPoint(staffing.assistantPost, 'staffing.assistantPost');
+        if (!isPositive(staffing.serviceRate)) {
+            errors.push(`staffing.serviceRate must be positive (got ${staffing.serviceRate})`);
+        }
+        if (!isNumber(staffing.restockThreshold) || staffing.restockThreshold < 0 || staffing.restockThreshold >= 1) {
+            errors.push(`staffing.restockThreshold must be at least 0 and below 1 (got ${staffing.restockThreshold})`);
+        }
+        if (staffing.shifts.length === 0) {
+            errors.push('staffing needs at least one shift');
+        }
+        staffing.shifts.forEach((shift, index) => {
+            const name = `shift ${shift.name ? `"${shift.name}" ` : ''}(#${index + 1})`;
+            if (!isNumber(shift.start) || !isNumber(shift.end) || shift.start < 0 || shift.end <= shift.start) {
+                errors.push(`${name} needs a start and a later end in seconds`);
+            }
+            ['cashiers', 'restockers', 'assistants'].forEach(role => {
+                if (!Number.isInteger(shift[role]) || shift[role] < 0) {
+                    errors.push(`${name} ${role} must be a non-negative integer (got ${shift[role]})`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * 店舗の外へのはみ出し・出入口の位置・設置物同士の重なりを検査
+     */
+    validatePlacement() {
+        const errors = [];
+        const halfWidth = this.dimensions.width / 2;
+        const halfDepth = this.dimensions.depth / 2;
+        const isInside = (rect) =>
+            rect.x - rect.width / 2 >= -halfWidth - 1e-6 && rect.x + rect.width / 2 <= halfWidth + 1e-6 &&
+            rect.z - rect.depth / 2 >= -halfDepth - 1e-6 && rect.z + rect.depth / 2 <= halfDepth + 1e-6;
+
+        this.getFixtures().forEach(fixture => {
+            if (!isInside(fixture.rect)) {
+                errors.push(`${fixture.name} at (${fixture.rect.x}, ${fixture.rect.z}) is outside the ${this.dimensions.width} x ${this.dimensions.depth} m store`);
+            }
+        });
+        this.signage.forEach((sign, index) => {
+            if (!isInside(this.getFootprint({ ...LAYOUT_DEFAULT_SIZES.signage, ...sign }))) {
+                errors.push(`${this.describe('sign', sign, index)} at (${sign.x}, ${sign.z}) is outside the store`);
+            }
+        });
+        this.lights.forEach((light, index) => {
+            if (!isInside({ x: light.x, z: light.z, width: 0, depth: 0 })) {
+                errors.push(`light #${index + 1} at (${light.x}, ${light.z}) is outside the store`);
+            }
+        });
+        this.connectors.forEach((connector, index) => {
+            ['from', 'to'].forEach(end => {
+                const point = connector[end];
+                if (!isInside({ x: point.x, z: point.z, width: 0, depth: 0 })) {
+                    errors.push(`${this.describe('connector', connector, index)} ${end} landing at (${point.x}, ${point.z}) is outside the store`);
+                }
+            });
+        });
+
+        // 出入口は壁の範囲に収まり、同じ壁の出入口同士が重ならないこと
+        this.entrances.forEach((entrance, index) => {
+            const name = this.describe('entrance', entrance, index);
+            const length = this.getWallLength(entrance.wall);
+            if (Math.abs(entrance.offset) + entrance.width / 2 > length / 2 + 1e-6) {
+                errors.push(`${name} (width ${entrance.width} m) does not fit on the ${entrance.wall} wall`);
+            }
+            this.entrances.slice(index + 1).forEach((other, offset) => {
+                if (other.wall === entrance.wall &&
+                    Math.abs(other.offset - entrance.offset) < (other.width + entrance.width) / 2) {
+                    errors.push(`${name} overlaps ${this.describe('entrance', other, index + offset + 1)}`);
+                }
+            });
+        });
+
+        // 階ごとに設置物同士と壁との重なり（壁同士は角で重なるので調べない）
+        this.floors.forEach(floor => {
+            const fixtures = this.getFixtures(floor.id);
+            const walls = this.getWallSegments(floor.id).map((segment, index) => ({
+                name: `${segment.side || 'interior'} wall segment #${index + 1}`,
+                rect: this.getWallFootprint(segment)
+            }));
+            const where = this.floors.length > 1 ? ` on floor "${floor.id}"` : '';
+            fixtures.forEach((fixture, index) => {
+                fixtures.slice(index + 1).concat(walls).forEach(other => {
+                    if (this.rectsOverlap(fixture.rect, other.rect)) {
+                        errors.push(`${fixture.name} overlaps ${other.name}${where}`);
+                    }
+                });
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * 入口から各売場・レジ・出入口へ歩いて（上の階へはエスカレーター・エレベーターで）行けるかを検査
+     * minClearance: 通路に必要なクリアランス（m、0より大きいと客と同じく目的地の近くの通れるセルに寄せて調べる）
+     * canUse(connector): 使える接続か（省略時はすべて）
+     */
+    validateReachability({ minClearance = 0, canUse = null } = {}) {
+        const errors = [];
+        const pathFinder = this.createPathFinder();
+        const entrance = this.entrances[0];
+        const spawn = pathFinder.worldToGrid(entrance.spawn.x, entrance.spawn.z);
+        const entranceName = this.describe('entrance', entrance, 0);
+
+        if (!pathFinder.isWalkable(spawn.x, spawn.y)) {
+            return [`${entranceName} spawn point (${entrance.spawn.x}, ${entrance.spawn.z}) is blocked or outside the grid`];
+        }
+
+        const field = new FlowField(pathFinder, pathFinder.toIndex(spawn.x, spawn.y), minClearance);
+        const isPointReachable = point => this.isReachable(field, point);
+
+        // 出入口の内側に入れるか（出入口をふさぐ配置の検出）
+        this.entrances.forEach((other, index) => {
+            const placement = this.getEntrancePlacement(other);
+            const inset = this.walls.thickness / 2 + pathFinder.cellSize;
+            const inside = {
+                x: placement.x + Math.sin(placement.rotation) * inset,
+                z: placement.z + Math.cos(placement.rotation) * inset
+            };
+            if (index === 0 && !isPointReachable(inside)) {
+                errors.push(`${entranceName} is blocked on the inside of the store`);
+            } else if (index > 0 && !isPointReachable(other.spawn)) {
+                errors.push(`${this.describe('entrance', other, index)} cannot be reached from ${entranceName}`);
+            }
+        });
+        if (errors.length > 0) return errors;
+
+        const areas = this.findFloorAreas(pathFinder, field, errors, canUse);
+        this.floors.forEach((floor, index) => {
+            if (index > 0 && !areas.has(floor.id)) {
+                errors.push(`${this.describe('floor', floor, index)} cannot be reached from ${entranceName} (no usable escalator or elevator leads there)`);
+            }
+        });
+        this.findStrandedFloors(areas, canUse).forEach(floorId => {
+            errors.push(`customers on floor "${floorId}" cannot get back to floor "${this.getGroundFloor()}" (no usable escalator or elevator leads down)`);
+        });
+
+        this.shelves.forEach((shelf, index) => {
+            const area = areas.get(this.getFloorOf(shelf));
+            if (area && !this.isFootprintReachable(area.pathFinder, area.field, this.getFootprint(shelf))) {
+                errors.push(`${this.describe('shelf', shelf, index)} cannot be reached from ${entranceName}`);
+            }
+        });
+        this.checkouts.forEach((checkout, index) => {
+            const area = areas.get(this.getFloorOf(checkout));
+            if (area && !this.isReachable(area.field, this.getCheckoutApproach(checkout))) {
+                errors.push(`the customer side of ${this.describe('checkout', checkout, index)} cannot be reached from ${entranceName}`);
+            }
+        });
+        if (!isPointReachable(this.checkoutArea)) {
+            errors.push(`checkoutArea (${this.checkoutArea.x}, ${this.checkoutArea.z}) is blocked or cannot be reached from ${entranceName}`);
+        }
+        ['backRoom', 'assistantPost'].forEach(key => {
+            const point = this.staffing[key];
+            if (point && minClearance === 0 && !isPointReachable(point)) {
+                errors.push(`staffing.${key} (${point.x}, ${point.z}) is blocked or cannot be reached from ${entranceName}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * 通路幅の最も要る移動手段（MOBILITY_PROFILESのminClearanceが最大、車いす）の客も
+     * 入口から売場・レジへ行けるかを検査（エスカレーターを使えない移動手段はエレベーターだけでつなぐ）
+     */
+    validateMobilityReachability() {
+        const [mobility, profile] = Object.entries(MOBILITY_PROFILES).reduce((widest, entry) =>
+            entry[1].minClearance > widest[1].minClearance ? entry : widest
+        );
+        if (profile.minClearance <= 0) return [];
+
+        const canUse = connector => profile.usesEscalator || connector.type !== 'escalator';
+        return this.validateReachability({ minClearance: profile.minClearance, canUse })
+            .map(error => `${error} by ${mobility} customers (clearance ${profile.minClearance} m)`);
+    }
+
+    /**
+     * フローフィールドの歩行範囲で地点に着けるか
+     * クリアランスの要る範囲では、経路探索と同じく地点の近く（5セル以内）の通れるセルに寄せる
+     */
+    isReachable(field, point) {
+        if (field.minClearance <= 0) return field.distanceAt(point) < Infinity;
+
+        const pathFinder = field.pathFinder;
+        const cell = pathFinder.worldToGrid(point.x, point.z);
+        if (!pathFinder.isValidCoordinate(cell.x, cell.y)) return false;
+        const index = pathFinder.findNearestWalkable(cell.x, cell.y, 5, field.minClearance);
+        return index !== -1 && field.distance[index] < Infinity;
+    }
+
+    /**
+     * 入口から行ける階ごとの歩行範囲 Map<階ID, { pathFinder, field }>
+     * 行ける階の乗り口から乗れる接続をたどり、初めて着いた降り口から階のフローフィールドを作る
+     * 乗り口・降り口に行けない接続はerrorsに加える（canUseで使えない接続は調べない）
+     */
+    findFloorAreas(groundPathFinder, groundField, errors, canUse = null) {
+        const minClearance = groundField.minClearance;
+        const connectors = this.connectors.filter(connector => !canUse || canUse(connector));
+        const areas = new Map([[this.getGroundFloor(), { pathFinder: groundPathFinder, field: groundField }]]);
+        const blocked = new Set();
+        const reportBlocked = (connector, point) => {
+            const key = `${connector.id}:${point.floor}`;
+            if (blocked.has(key)) return;
+            blocked.add(key);
+            const index = this.connectors.indexOf(connector);
+            errors.push(`${this.describe('connector', connector, index)} landing on floor "${point.floor}" (${point.x}, ${point.z}) is blocked or cannot be reached`);
+        };
+
+        let added = true;
+        while (added) {
+            added = false;
+            connectors.forEach(connector => this.getConnectorDirections(connector).forEach(({ board, exit }) => {
+                const area = areas.get(board.floor);
+                if (!area || areas.has(exit.floor)) return;
+                if (!this.isReachable(area.field, board)) return;
+
+                const pathFinder = this.createPathFinder(null, exit.floor);
+                const cell = pathFinder.worldToGrid(exit.x, exit.z);
+                if (!pathFinder.isWalkable(cell.x, cell.y)) return;
+                areas.set(exit.floor, { pathFinder, field: new FlowField(pathFinder, pathFinder.toIndex(cell.x, cell.y), minClearance) });
+                added = true;
+            }));
+        }
+
+        // 行ける階にある乗り口・降り口はその階の歩行範囲に入っていること
+        connectors.forEach(connector => this.getConnectorDirections(connector).forEach(({ board, exit }) => {
+            const boardArea = areas.get(board.floor);
+            const exitArea = areas.get(exit.floor);
+            if (boardArea && !this.isReachable(boardArea.field, board)) {
+                reportBlocked(connector, board);
+            }
+            if (exitArea && !this.isReachable(exitArea.field, exit)) {
+                reportBlocked(connector, exit);
+            }
+        }));
+
+        return areas;
+    }
+
+    /**
+     * 行けるが最初の階へ戻る接続のない階のID（canUseで使えない接続は数えない）
+     */
+    findStrandedFloors(areas, canUse = null) {
+        const canReturn = new Set([this.getGroundFloor()]);
+        let added = true;
+        while (added) {
+            added = false;
+            this.connectors.forEach(connector => this.getConnectorDirections(connector).forEach(({ board, exit }) => {
+                const area = areas.get(board.floor);
+                if (canReturn.has(board.floor) || !canReturn.has(exit.floor) || !area) return;
+                if (canUse && !canUse(connector)) return;
+                if (this.isReachable(area.field, board)) {
+                    canReturn.add(board.floor);
+                    added = true;
+                }
+            }));
+        }
+        return Array.from(areas.keys()).filter(floorId => !canReturn.has(floorId));
+    }
+
+    /**
+     * 設置物に隣接する店内の歩行可能セルのどれかに到達できるか
+     * 壁際の棚は壁のセルと重なるので、店の外側のセルは売場への通路として数えない
+     * クリアランスの要る範囲では、客が向かう棚の取る位置（中心に最も近い歩行可能セル、Store.findAccessPoint）に着けるか
+     */
+    isFootprintReachable(pathFinder, field, rect) {
+        const width = pathFinder.gridWidth;
+        if (field.minClearance > 0) {
+            const center = pathFinder.worldToGrid(rect.x, rect.z);
+            const access = pathFinder.findNearestWalkable(center.x, center.y);
+            if (access === -1) return false;
+            const accessX = access % width;
+            return this.isReachable(field, pathFinder.gridToWorld(accessX + 0.5, (access - accessX) / width + 0.5));
+        }
+
+        const isInStore = (x, y) => {
+            const center = pathFinder.gridToWorld(x + 0.5, y + 0.5);
+            return Math.abs(center.x) < this.dimensions.width / 2 && Math.abs(center.z) < this.dimensions.depth / 2;
+        };
+
+        return pathFinder.getFootprintCells(rect).some(index => {
+            const x = index % width;
+            const y = (index - x) / width;
+            for (let dir = 0; dir < 8; dir++) {
+                const nx = x + PATH_DIRECTIONS_X[dir];
+                const ny = y + PATH_DIRECTIONS_Y[dir];
+                if (pathFinder.isWalkable(nx, ny) && isInStore(nx, ny) &&
+                    field.distance[pathFinder.toIndex(nx, ny)] < Infinity) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    /**
+     * エラーメッセージ用の名前
+     */
+    describe(kind, item, index) {
+        const label = item.label || item.id || item.number;
+        return label !== undefined ? `${kind} "${label}" (#${index + 1})` : `${kind} #${index + 1}`;
+    }
+
+    rectsOverlap(a, b) {
+        return Math.abs(a.x - b.x) < (a.width + b.width) / 2 - 1e-6 &&
+            Math.abs(a.z - b.z) < (a.depth + b.depth) / 2 - 1e-6;
+    }
+
+    /**
+     * 回転を反映した床面の矩形 { x, z, width, depth }
+     */
+    getFootprint(item) {
+        const turned = Math.abs(item.rotation || 0) % 180 === 90;
+        return {
+            x: item.x,
+            z: item.z,
+            width: turned ? item.depth : item.width,
+            depth: turned ? item.width : item.depth
+        };
+    }
+
+    /**
+     * 通行を妨げる設置物（棚・レジ・カート置き場・エスカレーター）の一覧
+     * definitionはshelves・checkouts・cartBays・connectorsの要素そのもの
+     * floorを指定するとその階の設置物だけ（エスカレーターは上下どちらの階にも含む）
+     */
+    getFixtures(floor = null) {
+        // 名前の番号はレイアウト全体での順番にするため、番号を付けてから階で絞る
+        const onFloor = fixture => floor === null || this.getFloorOf(fixture.definition) === floor;
+        const toFixture = kind => (definition, index) => ({
+            name: this.describe(kind, definition, index),
+            rect: this.getFootprint(definition),
+            definition
+        });
+        const escalators = this.connectors
+            .map((connector, index) => ({
+                name: this.describe('escalator', connector, index),
+                rect: this.getConnectorFootprint(connector),
+                definition: connector
+            }))
+            .filter(fixture => fixture.rect && (floor === null ||
+                fixture.definition.from.floor === floor || fixture.definition.to.floor === floor));
+
+        return [
+            ...this.shelves.map(toFixture('shelf')).filter(onFloor),
+            ...this.checkouts.map(toFixture('checkout')).filter(onFloor),
+            ...this.cartBays.map(toFixture('cart bay')).filter(onFloor),
+            ...escalators
+        ];
+    }
+
+    /**
+     * 階のID（省略時は最初の階）
+     */
+    getGroundFloor() {
+        return this.floors[0].id;
+    }
+
+    getFloor(id) {
+        return this.floors.find(floor => floor.id === id) || null;
+    }
+
+    /**
+     * 設置物・地点のある階のID
+     */
+    getFloorOf(item) {
+        return item.floor ?? this.getGroundFloor();
+    }
+
+    /**
+     * 接続で移動できる向き [{ board: 乗り口, exit: 降り口 }]（エスカレーターは片方向、エレベーターは両方向）
+     */
+    getConnectorDirections(connector) {
+        const forward = { board: connector.from, exit: connector.to };
+        return connector.type === 'elevator'
+            ? [forward, { board: connector.to, exit: connector.from }]
+            : [forward];
+    }
+
+    /**
+     * エスカレーターの床面の矩形（乗り口・降り口の前を空けた間の部分、エレベーターはnull）
+     * 下の階では本体、上の階では吹き抜けとして通れない
+     */
+    getConnectorFootprint(connector) {
+        if (connector.type !== 'escalator') return null;
+
+        const { from, to, width } = connector;
+        const alongX = from.z === to.z;
+        const length = Math.abs(alongX ? to.x - from.x : to.z - from.z) - LAYOUT_ESCALATOR_LANDING * 2;
+        if (!(length > 0)) return null;
+
+        return {
+            x: (from.x + to.x) / 2,
+            z: (from.z + to.z) / 2,
+            width: alongX ? length : width,
+            depth: alongX ? width : length
+        };
+    }
+
+    getWallLength(side) {
+        return side === 'front' || side === 'back' ? this.dimensions.width : this.dimensions.depth;
+    }
+
+    /**
+     * 外壁（出入口の部分を除く）と店内の間仕切りの線分
+     * 出入口は最初の階にだけあり、上の階の外壁には開口がない
+     */
+    getWallSegments(floor = null) {
+        const hasEntrances = floor === null || floor === this.getGroundFloor();
+        const halfWidth = this.dimensions.width / 2;
+        const halfDepth = this.dimensions.depth / 2;
+        const segments = [];
+
+        LAYOUT_WALL_SIDES.forEach(side => {
+            const half = this.getWallLength(side) / 2;
+            const openings = this.entrances
+                .filter(entrance => hasEntrances && entrance.wall === side)
+                .map(entrance => [entrance.offset - entrance.width / 2, entrance.offset + entrance.width / 2])
+                .sort((a, b) => a[0] - b[0]);
+
+            // 壁に沿った座標（前後の壁はx、左右の壁はz）で開口部を除いた区間を作る
+            let start = -half;
+            openings.concat([[half, half]]).forEach(([from, to]) => {
+                if (from > start) {
+                    segments.push(this.toWallSegment(side, start, Math.min(from, half), halfWidth, halfDepth));
+                }
+                start = Math.max(start, to);
+            });
+        });
+
+        return segments.concat(this.walls.segments.map(segment => ({ from: segment.from, to: segment.to })));
+    }
+
+    toWallSegment(side, from, to, halfWidth, halfDepth) {
+        switch (side) {
+            case 'front': return { side, from: { x: from, z: -halfDepth }, to: { x: to, z: -halfDepth } };
+            case 'back': return { side, from: { x: from, z: halfDepth }, to: { x: to, z: halfDepth } };
+            case 'left': return { side, from: { x: -halfWidth, z: from }, to: { x: -halfWidth, z: to } };
+            default: return { side, from: { x: halfWidth, z: from }, to: { x: halfWidth, z: to } };
+        }
+    }
+
+    /**
+     * 壁の線分の床面の矩形（角がふさがるよう両端を厚みの半分ずつ延ばす）
+     */
+    getWallFootprint(segment) {
+        const thickness = this.walls.thickness;
+        return {
+            x: (segment.from.x + segment.to.x) / 2,
+            z: (segment.from.z + segment.to.z) / 2,
+            width: Math.abs(segment.to.x - segment.from.x) + thickness,
+            depth: Math.abs(segment.to.z - segment.from.z) + thickness
+        };
+    }
+
+    /**
+     * 出入口の中心位置と壁の向き（rotationは出入口の面のY軸回転）
+     */
+    getEntrancePlacement(entrance) {
+        const halfWidth = this.dimensions.width / 2;
+        const halfDepth = this.dimensions.depth / 2;
+
+        switch (entrance.wall) {
+            case 'front': return { x: entrance.offset, z: -halfDepth, rotation: 0 };
+            case 'back': return { x: entrance.offset, z: halfDepth, rotation: Math.PI };
+            case 'left': return { x: -halfWidth, z: entrance.offset, rotation: Math.PI / 2 };
+            default: return { x: halfWidth, z: entrance.offset, rotation: -Math.PI / 2 };
+        }
+    }
+
+    /**
+     * レジの客側の立ち位置（回転0のとき+z側、カウンターの手前1m）
+     */
+    getCheckoutApproach(checkout) {
+        const angle = (checkout.rotation || 0) * Math.PI / 180;
+        const distance = checkout.depth / 2 + 1;
+        return {
+            x: checkout.x + Math.sin(angle) * distance,
+            z: checkout.z + Math.cos(angle) * distance,
+            floor: this.getFloorOf(checkout)
+        };
+    }
+
+    /**
+     * レジ係の立ち位置（客側の反対、カウンターの後ろ0.5m）
+     */
+    getCheckoutStaffPoint(checkout) {
+        const angle = (checkout.rotation || 0) * Math.PI / 180;
+        const distance = checkout.depth / 2 + 0.5;
+        return {
+            x: checkout.x - Math.sin(angle) * distance,
+            z: checkout.z - Math.cos(angle) * distance,
+            floor: this.getFloorOf(checkout)
+        };
+    }
+
+    /**
+     * IDから棚の定義を取得
+     */
+    getShelf(id) {
+        return this.shelves.find(shelf => shelf.id === id) || null;
+    }
+
+    /**
+     * 買い物客が使う地点（入口・レジエリア・出口、いずれも最初の階）
+     */
+    getStorePoints() {
+        const spawn = this.entrances[0].spawn;
+        const floor = this.getGroundFloor();
+        return {
+            entrance: { x: spawn.x, z: spawn.z, floor },
+            checkout: { x: this.checkoutArea.x, z: this.checkoutArea.z, floor },
+            exit: { x: spawn.x, z: spawn.z, floor }
+        };
+    }
+
+    /**
+     * スタッフが使う地点（バックルーム・案内係の待機場所）
+     */
+    getStaffPoints() {
+        const points = this.getStorePoints();
+        const { backRoom, assistantPost } = this.staffing;
+        return {
+            backRoom: backRoom ? { x: backRoom.x, z: backRoom.z, floor: points.entrance.floor } : points.entrance,
+            assistantPost: assistantPost ? { x: assistantPost.x, z: assistantPost.z, floor: points.checkout.floor } : points.checkout
+        };
+    }
+
+    /**
+     * 店舗と外周を覆うグリッドの大きさ
+     */
+    getGridSize() {
+        const cellSize = this.grid.cellSize;
+        return {
+            gridWidth: Math.ceil(this.dimensions.width / cellSize) + this.grid.margin * 2,
+            gridHeight: Math.ceil(this.dimensions.depth / cellSize) + this.grid.margin * 2,
+            cellSize
+        };
+    }
+
+    /**
+     * このレイアウトの障害物を設定したPathFinderを作成（floorを省略すると最初の階）
+     * excludeに設置物の定義を渡すと、それを取り除いた場合のグリッドになる
+     */
+    createPathFinder(exclude = null, floor = null) {
+        const size = this.getGridSize();
+        const pathFinder = new PathFinder(size.gridWidth, size.gridHeight, size.cellSize);
+        this.applyObstacles(pathFinder, exclude, floor);
+        return pathFinder;
+    }
+
+    /**
+     * 階の壁と設置物をPathFinderの固定障害物に設定（floorを省略すると最初の階）
+     */
+    applyObstacles(pathFinder, exclude = null, floor = null) {
+        const floorId = floor ?? this.getGroundFloor();
+        pathFinder.batchChanges(() => {
+            this.getWallSegments(floorId).forEach(segment => pathFinder.setFootprintObstacle(this.getWallFootprint(segment)));
+            this.getFixtures(floorId)
+                .filter(fixture => fixture.definition !== exclude)
+                .forEach(fixture => pathFinder.setFootprintObstacle(fixture.rect));
+        });
+    }
+}
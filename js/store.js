@@ -1,18 +1,62 @@
 /**
  * スーパーマーケット店舗クラス
- * 3D店舗環境とレイアウトを管理
+ * 店舗レイアウト（StoreLayout）から3D店舗環境と経路探索の障害物を作成
+ * 商品カタログ（ProductCatalog）があれば各棚にSKUごとの在庫を持たせる
+ * 複数階の店舗は階ごとのグループを床の高さに積み重ね、エスカレーター・エレベーターで客を運ぶ
  */
 
 class SupermarketStore {
-    constructor(scene, pathFinder) {
+    constructor(scene, pathFinder, layout, catalog = null) {
         this.scene = scene;
         this.pathFinder = pathFinder;
+        this.layout = layout;
+        this.catalog = catalog;
         this.storeObjects = [];
         this.shelves = [];
         this.checkouts = [];
+        this.temporaryObstacles = new Map();
+        this.nextObstacleId = 1;
+        this.textLabels = new TextLabelRenderer(); // 棚・レジ・入口・POPの文字
         
-        this.storeWidth = 20;
-        this.storeDepth = 20;
+        // 階ごとの経路探索と3Dオブジェクトのグループ（最初の階はpathFinder）
+        this.floors = new MultiFloorPathFinder(layout, pathFinder);
+        this.floorGroups = new Map();
+        this.visibleFloor = null; // nullなら全フロアを表示
+        this.connectors = []; // エスカレーター・エレベーターの運行状態
+        
+        // 客がレジの行列に並ぶか・移るか・カゴを置いて帰るかの判断（行列の長さと客の忍耐力・混雑耐性から）
+        // 来店時間の予算は店舗の広さに合わせて数分なので、残り30秒から時間に追われる
+        this.queueModel = new QueueModel({ timePressureThreshold: 0.5 });
+        
+        // 棚の前を通る客が商品に目を留めるか・予定になかった商品を買うかの判断
+        this.attentionModel = new AttentionModel();
+        this.decisionModel = new DecisionModel();
+        
+        // カテゴリーごとの予定していた商品・予定になかった商品の販売（recordPurchase）
+        this.purchases = new Map();
+        
+        // 客層ごとの来店時間（recordVisit）
+        this.visits = new Map();
+        
+        this.storeWidth = layout.dimensions.width;
+        this.storeDepth = layout.dimensions.depth;
+        
+        // 床の移動コスト（レイヤー名ごとのゾーン、cost < 1 は好まれる通路）
+        this.costZones = JSON.parse(JSON.stringify(layout.floorCosts));
+        
+        // レジの行列と会計
+        this.parameters = {
+            queueSpacing: 0.9, // 並ぶ位置の間隔（m）
+            maxQueueSlots: 8, // 1レーンに並べる人数の上限
+            paymentTime: 6, // 商品数によらない支払いの時間（秒）
+            selfScanRate: 0.6, // セルフレジで客が1秒に通す商品数
+            selfPaymentTime: 10, // セルフレジでの支払いの時間（秒）
+            assistanceProbability: 0.15, // セルフレジで店員の対応が必要になる確率
+            assistanceDelay: 20, // 店員の対応を待つ時間（秒）
+            jockeyThreshold: 0.05, // 客がレーンを移る迂回確率の差（今のレーンと移り先）
+            exposureDistance: 1.5, // 客が棚の前を通ったとみなす棚からの距離（m）
+            elevatorDoorTime: 4 // エレベーターの扉が開いてから出発するまでの時間（秒）
+        };
         
         this.createStore();
         this.setupPathfinding();
@@ -22,19 +66,43 @@ class SupermarketStore {
      * 店舗全体を作成
      */
     createStore() {
-        this.createFloor();
-        this.createWalls();
+        this.createFloorGroups();
+        this.layout.floors.forEach(floor => {
+            this.createFloor(floor.id);
+            this.createWalls(floor.id);
+        });
         this.createShelves();
         this.createCheckouts();
         this.createEntrance();
         this.createLighting();
         this.createDecorations();
+        this.createConnectors();
+    }
+
+    /**
+     * 階ごとのグループを床の高さに置く（棚・レジなどは階のグループに入れる）
+     */
+    createFloorGroups() {
+        this.layout.floors.forEach(floor => {
+            const group = new THREE.Group();
+            group.position.y = floor.elevation;
+            group.userData.floor = floor.id;
+            this.scene.add(group);
+            this.floorGroups.set(floor.id, group);
+        });
+    }
+
+    /**
+     * 設置物の定義・地点のある階のグループに追加
+     */
+    addToFloor(object, item = {}) {
+        this.floorGroups.get(this.layout.getFloorOf(item)).add(object);
     }
 
     /**
      * 床を作成
      */
-    createFloor() {
+    createFloor(floorId) {
         const floorGeometry = new THREE.PlaneGeometry(this.storeWidth, this.storeDepth);
         const floorMaterial = new THREE.MeshLambertMaterial({
             color: 0xf0f0f0,
@@ -46,17 +114,17 @@ class SupermarketStore {
         floor.rotation.x = -Math.PI / 2;
         floor.receiveShadow = true;
         
-        this.scene.add(floor);
+        this.addToFloor(floor, { floor: floorId });
         this.storeObjects.push(floor);
 
         // 床のテクスチャパターンを追加
-        this.createFloorPattern();
+        this.createFloorPattern(floorId);
     }
 
     /**
      * 床のパターンを作成
      */
-    createFloorPattern() {
+    createFloorPattern(floorId) {
         const lineGeometry = new THREE.BufferGeometry();
         const lineMaterial = new THREE.LineBasicMaterial({ 
             color: 0xdddddd,
@@ -85,107 +153,41 @@ class SupermarketStore {
 
         lineGeometry.setFromPoints(aisleLines);
         const lines = new THREE.LineSegments(lineGeometry, lineMaterial);
-        this.scene.add(lines);
+        this.addToFloor(lines, { floor: floorId });
         this.storeObjects.push(lines);
     }
 
     /**
-     * 壁を作成
+     * 壁を作成（最初の階の出入口の部分は開口）
      */
-    createWalls() {
-        const wallHeight = 4;
-        const wallThickness = 0.2;
-        
-        const wallGeometry = new THREE.BoxGeometry(wallThickness, wallHeight, this.storeDepth);
-        const wallMaterial = new THREE.MeshLambertMaterial({ color: 0xe8e8e8 });
-
-        // 左右の壁
-        const leftWall = new THREE.Mesh(wallGeometry, wallMaterial);
-        leftWall.position.set(-this.storeWidth/2, wallHeight/2, 0);
-        leftWall.castShadow = true;
-        leftWall.receiveShadow = true;
-        this.scene.add(leftWall);
-        this.storeObjects.push(leftWall);
-
-        const rightWall = new THREE.Mesh(wallGeometry, wallMaterial);
-        rightWall.position.set(this.storeWidth/2, wallHeight/2, 0);
-        rightWall.castShadow = true;
-        rightWall.receiveShadow = true;
-        this.scene.add(rightWall);
-        this.storeObjects.push(rightWall);
-
-        // 前後の壁（出入り口あり）
-        const frontBackWallGeometry = new THREE.BoxGeometry(this.storeWidth, wallHeight, wallThickness);
-        
-        const backWall = new THREE.Mesh(frontBackWallGeometry, wallMaterial);
-        backWall.position.set(0, wallHeight/2, this.storeDepth/2);
-        backWall.castShadow = true;
-        backWall.receiveShadow = true;
-        this.scene.add(backWall);
-        this.storeObjects.push(backWall);
+    createWalls(floorId) {
+        const wallHeight = this.layout.walls.height;
+        const wallMaterial = new THREE.MeshLambertMaterial({ color: this.layout.walls.color });
 
-        // 前の壁は出入り口があるので分割
-        this.createFrontWalls(wallHeight, wallThickness, wallMaterial);
-    }
-
-    /**
-     * 出入り口付きの前面壁を作成
-     */
-    createFrontWalls(wallHeight, wallThickness, wallMaterial) {
-        const entranceWidth = 4;
-        const wallSegmentWidth = (this.storeWidth - entranceWidth) / 2;
-        
-        const wallSegmentGeometry = new THREE.BoxGeometry(wallSegmentWidth, wallHeight, wallThickness);
-        
-        const leftFrontWall = new THREE.Mesh(wallSegmentGeometry, wallMaterial);
-        leftFrontWall.position.set(-this.storeWidth/2 + wallSegmentWidth/2, wallHeight/2, -this.storeDepth/2);
-        leftFrontWall.castShadow = true;
-        leftFrontWall.receiveShadow = true;
-        this.scene.add(leftFrontWall);
-        this.storeObjects.push(leftFrontWall);
-
-        const rightFrontWall = new THREE.Mesh(wallSegmentGeometry, wallMaterial);
-        rightFrontWall.position.set(this.storeWidth/2 - wallSegmentWidth/2, wallHeight/2, -this.storeDepth/2);
-        rightFrontWall.castShadow = true;
-        rightFrontWall.receiveShadow = true;
-        this.scene.add(rightFrontWall);
-        this.storeObjects.push(rightFrontWall);
+        this.layout.getWallSegments(floorId).forEach(segment => {
+            const rect = this.layout.getWallFootprint(segment);
+            const wallGeometry = new THREE.BoxGeometry(rect.width, wallHeight, rect.depth);
+            const wall = new THREE.Mesh(wallGeometry, wallMaterial);
+            wall.position.set(rect.x, wallHeight/2, rect.z);
+            wall.castShadow = true;
+            wall.receiveShadow = true;
+            this.addToFloor(wall, { floor: floorId });
+            this.storeObjects.push(wall);
+        });
     }
 
     /**
      * 商品棚を作成
      */
     createShelves() {
-        const shelfPositions = [
-            // 野菜コーナー
-            { x: -8, z: 8, width: 3, depth: 1, label: '野菜', color: 0x4CAF50 },
-            { x: -8, z: 6, width: 3, depth: 1, label: '果物', color: 0xFF9800 },
-            
-            // 肉コーナー
-            { x: 8, z: 8, width: 3, depth: 1, label: '肉類', color: 0xF44336 },
-            { x: 8, z: 6, width: 3, depth: 1, label: '魚類', color: 0x2196F3 },
-            
-            // パン・乳製品コーナー
-            { x: -8, z: -8, width: 3, depth: 1, label: 'パン', color: 0x8D6E63 },
-            { x: 8, z: -8, width: 3, depth: 1, label: '乳製品', color: 0xFFEB3B },
-            
-            // 中央の商品棚
-            { x: 0, z: 8, width: 4, depth: 1, label: 'お菓子', color: 0xE91E63 },
-            { x: 0, z: 4, width: 4, depth: 1, label: '飲み物', color: 0x9C27B0 },
-            { x: 0, z: 0, width: 4, depth: 1, label: '日用品', color: 0x607D8B },
-            { x: 0, z: -4, width: 4, depth: 1, label: '調味料', color: 0x795548 },
-            { x: 0, z: -8, width: 4, depth: 1, label: '冷凍食品', color: 0x00BCD4 }
-        ];
-
-        shelfPositions.forEach(pos => {
-            this.createShelf(pos.x, pos.z, pos.width, pos.depth, pos.label, pos.color);
-        });
+        this.layout.shelves.forEach(shelf => this.createShelf(shelf));
     }
 
     /**
      * 個別の棚を作成
      */
-    createShelf(x, z, width, depth, label, color) {
+    createShelf(definition) {
+        const { x, z, width, depth, label, category, color, rotation } = definition;
         const shelfGroup = new THREE.Group();
         
         // 棚の本体
@@ -197,75 +199,173 @@ class SupermarketStore {
         shelf.receiveShadow = true;
         shelfGroup.add(shelf);
 
-        // 商品を表現する色つきブロック
-        for (let i = 0; i < 6; i++) {
-            const productGeometry = new THREE.BoxGeometry(0.3, 0.3, 0.3);
-            const productMaterial = new THREE.MeshLambertMaterial({ color: color });
-            const product = new THREE.Mesh(productGeometry, productMaterial);
-            
-            product.position.set(
-                (Math.random() - 0.5) * (width - 0.5),
-                1.2 + Math.random() * 0.4,
-                (Math.random() - 0.5) * (depth - 0.2)
-            );
-            product.castShadow = true;
-            shelfGroup.add(product);
-        }
+        // 陳列する商品の在庫（SKUごとに棚の区画を割り当てて箱を並べる）
+        const inventory = this.createShelfInventory(shelfGroup, definition);
 
-        // ラベル（テキスト）
-        this.createShelfLabel(shelfGroup, label, color);
+        // 売場名のラベル
+        this.createShelfLabel(shelfGroup, label, color, width);
 
         shelfGroup.position.set(x, 0, z);
-        this.scene.add(shelfGroup);
+        shelfGroup.rotation.y = rotation * Math.PI / 180;
+        this.addToFloor(shelfGroup, definition);
         this.shelves.push({
             group: shelfGroup,
             position: { x, z },
+            floor: this.layout.getFloorOf(definition),
             width,
             depth,
-            label
+            rotation,
+            label,
+            category,
+            id: definition.id,
+            inventory,
+            accessPoint: null, // setupPathfindingで求める
+            restocker: null, // 補充に向かっている品出し係
+            definition
         });
         this.storeObjects.push(shelfGroup);
     }
 
     /**
-     * 棚のラベルを作成
+     * 棚に陳列する商品の在庫と箱を作成
+     * 棚の幅をSKUの数で区切り、両側の面に2段ずつ箱を並べる（区画ごとに少し明るさを変える）
+     * 箱は在庫が減ると区画の端の列から消える
      */
-    createShelfLabel(shelfGroup, text, color) {
-        // 3Dテキストは複雑なので、代わりに色付きプレートを使用
-        const labelGeometry = new THREE.PlaneGeometry(1, 0.3);
-        const labelMaterial = new THREE.MeshLambertMaterial({ 
-            color: color,
-            transparent: true,
-            opacity: 0.8
+    createShelfInventory(shelfGroup, definition) {
+        const inventory = new Map();
+        const products = this.catalog ? this.catalog.getProductsForShelf(definition.id) : [];
+        if (products.length === 0) return inventory;
+
+        const { width, depth, color } = definition;
+        const slotWidth = width / products.length;
+        const columns = Math.max(1, Math.floor(slotWidth / 0.35));
+        const boxGeometry = new THREE.BoxGeometry(0.25, 0.25, 0.2);
+
+        products.forEach((product, slot) => {
+            const slotColor = new THREE.Color(color).offsetHSL(0, 0, slot % 2 === 0 ? 0.08 : -0.08);
+            const boxMaterial = new THREE.MeshLambertMaterial({ color: slotColor });
+            const boxes = [];
+
+            for (let column = 0; column < columns; column++) {
+                [1.2, 1.55].forEach(height => {
+                    [-1, 1].forEach(side => {
+                        const box = new THREE.Mesh(boxGeometry, boxMaterial);
+                        box.position.set(
+                            -width / 2 + slotWidth * (slot + (column + 0.5) / columns),
+                            height,
+                            side * (depth / 2 + 0.1)
+                        );
+                        box.castShadow = true;
+                        shelfGroup.add(box);
+                        boxes.push(box);
+                    });
+                });
+            }
+
+            if (product.pop) {
+                this.createProductPOP(shelfGroup, product.pop, -width / 2 + slotWidth * (slot + 0.5), slotWidth, depth);
+            }
+
+            inventory.set(product.sku, {
+                product,
+                stock: product.stock,
+                capacity: product.stock,
+                color: slotColor.getHex(),
+                boxes
+            });
+        });
+
+        return inventory;
+    }
+
+    /**
+     * 棚の上に売場名のラベルを作成（両側の通路から読めるように表裏に）
+     */
+    createShelfLabel(shelfGroup, text, color, width) {
+        const label = this.textLabels.createDoubleSidedPlane(text, {
+            height: 0.35,
+            maxWidth: Math.max(0.5, width - 0.2),
+            background: color
         });
-        const label = new THREE.Mesh(labelGeometry, labelMaterial);
         label.position.set(0, 2.2, 0);
         shelfGroup.add(label);
     }
 
+    /**
+     * 商品のPOP（カタログのpop、例: 20%OFF）を区画の上端に両面とも貼る
+     */
+    createProductPOP(shelfGroup, text, x, slotWidth, depth) {
+        [-1, 1].forEach(side => {
+            const pop = this.textLabels.createPlane(text, {
+                height: 0.16,
+                maxWidth: Math.max(0.2, slotWidth - 0.05),
+                background: '#FF1744',
+                border: '#FFEB3B'
+            });
+            pop.position.set(x, 1.85, side * (depth / 2 + 0.01));
+            pop.rotation.y = side > 0 ? 0 : Math.PI;
+            shelfGroup.add(pop);
+        });
+    }
+
     /**
      * レジカウンターを作成
      */
     createCheckouts() {
-        const checkoutPositions = [
-            { x: -2, z: -10 },
-            { x: 0, z: -10 },
-            { x: 2, z: -10 }
-        ];
-
-        checkoutPositions.forEach((pos, index) => {
-            this.createCheckout(pos.x, pos.z, index + 1);
-        });
+        this.layout.checkouts.forEach(checkout => this.createCheckout(checkout));
     }
 
     /**
-     * 個別のレジカウンターを作成
+     * 個別のレジカウンターを作成（回転0のとき客側は+z）
      */
-    createCheckout(x, z, number) {
+    createCheckout(definition) {
+        const { x, z, number, rotation, type } = definition;
         const checkoutGroup = new THREE.Group();
-        
+
+        // 客が会計する場所（有人レジは1か所、セルフレジは台数分）
+        const stations = type === 'self'
+            ? this.createSelfCheckoutStations(checkoutGroup, definition)
+            : [this.createCheckoutCounter(checkoutGroup, definition)];
+
+        checkoutGroup.position.set(x, 0, z);
+        checkoutGroup.rotation.y = rotation * Math.PI / 180;
+        this.addToFloor(checkoutGroup, definition);
+
+        const checkout = {
+            group: checkoutGroup,
+            position: { x, z },
+            floor: this.layout.getFloorOf(definition),
+            approach: this.layout.getCheckoutApproach(definition),
+            number: number,
+            type,
+            itemLimit: definition.itemLimit ?? Infinity, // これより多い商品数の客は並べない
+            stations,
+            queue: [], // 空いた会計場所を待つ客（先頭から）
+            queueSlots: [], // 並ぶ位置（先頭から、setupPathfindingで求める）
+            stats: this.createLaneStats(),
+            open: false,
+            cashier: null, // 担当のレジ係（StaffAgent）
+            serviceRate: 0, // 1秒に通す商品数
+            definition
+        };
+        this.updateStationPositions(checkout);
+        this.checkouts.push(checkout);
+        this.storeObjects.push(checkoutGroup);
+
+        // セルフレジはレジ係がいなくても開いている
+        if (type === 'self') {
+            this.setCheckoutOpen(checkout, true, this.parameters.selfScanRate);
+        }
+    }
+
+    /**
+     * 有人レジ・エクスプレスレジのカウンター（会計する場所を返す）
+     */
+    createCheckoutCounter(checkoutGroup, definition) {
+        const { width, depth, type, number, itemLimit } = definition;
+
         // カウンター
-        const counterGeometry = new THREE.BoxGeometry(1.5, 1, 0.6);
+        const counterGeometry = new THREE.BoxGeometry(width, 1, depth);
         const counterMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
         const counter = new THREE.Mesh(counterGeometry, counterMaterial);
         counter.position.set(0, 0.5, 0);
@@ -281,47 +381,143 @@ class SupermarketStore {
         register.castShadow = true;
         checkoutGroup.add(register);
 
-        // スクリーン
+        // スクリーン（レジ係がいる間だけ緑）
         const screenGeometry = new THREE.PlaneGeometry(0.2, 0.15);
-        const screenMaterial = new THREE.MeshLambertMaterial({ color: 0x00ff00 });
+        const screenMaterial = new THREE.MeshLambertMaterial({ color: 0xff3333 });
         const screen = new THREE.Mesh(screenGeometry, screenMaterial);
         screen.position.set(0, 1.3, 0.16);
         checkoutGroup.add(screen);
 
-        checkoutGroup.position.set(x, 0, z);
-        this.scene.add(checkoutGroup);
-        this.checkouts.push({
-            group: checkoutGroup,
-            position: { x, z },
-            number: number,
-            queue: []
+        // レジ番号の看板（エクスプレスレジは黄色で点数制限も表示）
+        const poleGeometry = new THREE.CylinderGeometry(0.03, 0.03, 2.2);
+        const poleMaterial = new THREE.MeshLambertMaterial({ color: 0x666666 });
+        const pole = new THREE.Mesh(poleGeometry, poleMaterial);
+        pole.position.set(width / 2 - 0.1, 1.1, 0);
+        checkoutGroup.add(pole);
+
+        const signText = type === 'express'
+            ? `${number}番 エクスプレス\n${itemLimit}点まで`
+            : `${number}番レジ`;
+        const sign = this.textLabels.createDoubleSidedPlane(signText, {
+            height: type === 'express' ? 0.5 : 0.35,
+            maxWidth: 1.2,
+            background: type === 'express' ? '#FFC107' : '#1565C0'
+        });
+        sign.position.set(width / 2 - 0.1, 2.2, 0);
+        checkoutGroup.add(sign);
+
+        return { offset: 0, distance: depth / 2 + 1, screen, customer: null, assistance: false };
+    }
+
+    /**
+     * セルフレジの端末を台数分並べる（会計する場所の一覧を返す）
+     */
+    createSelfCheckoutStations(checkoutGroup, definition) {
+        const { width, depth, stations: count } = definition;
+        const stationWidth = width / count;
+        const kioskGeometry = new THREE.BoxGeometry(0.5, 1, depth * 0.6);
+        const kioskMaterial = new THREE.MeshLambertMaterial({ color: 0xECEFF1 });
+        const baggingGeometry = new THREE.BoxGeometry(0.35, 0.05, depth * 0.6);
+        const baggingMaterial = new THREE.MeshLambertMaterial({ color: 0x90A4AE });
+        const screenGeometry = new THREE.PlaneGeometry(0.35, 0.25);
+        const stations = [];
+
+        for (let i = 0; i < count; i++) {
+            const offset = -width / 2 + stationWidth * (i + 0.5);
+
+            const kiosk = new THREE.Mesh(kioskGeometry, kioskMaterial);
+            kiosk.position.set(offset, 0.5, 0);
+            kiosk.castShadow = true;
+            checkoutGroup.add(kiosk);
+
+            // 袋詰め台
+            const bagging = new THREE.Mesh(baggingGeometry, baggingMaterial);
+            bagging.position.set(offset + stationWidth * 0.3, 0.85, 0);
+            checkoutGroup.add(bagging);
+
+            // 客側に傾けた画面（台ごとに色が変わる）
+            const screen = new THREE.Mesh(screenGeometry, new THREE.MeshLambertMaterial({ color: 0xff3333 }));
+            screen.position.set(offset, 1.15, depth * 0.3 + 0.01);
+            screen.rotation.x = -0.3;
+            checkoutGroup.add(screen);
+
+            stations.push({ offset, distance: depth / 2 + 0.6, screen, customer: null, assistance: false });
+        }
+
+        // 上部の案内バー
+        const barGeometry = new THREE.BoxGeometry(width, 0.2, 0.1);
+        const barMaterial = new THREE.MeshLambertMaterial({ color: 0x1976D2 });
+        const bar = new THREE.Mesh(barGeometry, barMaterial);
+        bar.position.set(0, 2.3, 0);
+        checkoutGroup.add(bar);
+
+        const sign = this.textLabels.createDoubleSidedPlane('セルフレジ SELF CHECKOUT', {
+            height: 0.3,
+            maxWidth: width - 0.2,
+            background: '#1976D2'
+        });
+        sign.position.set(0, 2.6, 0);
+        checkoutGroup.add(sign);
+
+        const poleGeometry = new THREE.CylinderGeometry(0.03, 0.03, 2.3);
+        const poleMaterial = new THREE.MeshLambertMaterial({ color: 0x666666 });
+        [-width / 2, width / 2].forEach(x => {
+            const pole = new THREE.Mesh(poleGeometry, poleMaterial);
+            pole.position.set(x, 1.15, 0);
+            checkoutGroup.add(pole);
+        });
+
+        return stations;
+    }
+
+    /**
+     * 会計する場所のワールド座標（レジの向きに合わせて回転）
+     */
+    updateStationPositions(checkout) {
+        const { x, z, rotation } = checkout.definition;
+        const angle = (rotation || 0) * Math.PI / 180;
+        checkout.stations.forEach(station => {
+            station.position = {
+                x: x + Math.cos(angle) * station.offset + Math.sin(angle) * station.distance,
+                z: z - Math.sin(angle) * station.offset + Math.cos(angle) * station.distance,
+                floor: checkout.floor
+            };
         });
-        this.storeObjects.push(checkoutGroup);
     }
 
     /**
      * 入り口を作成
      */
     createEntrance() {
-        // 入り口のドア（自動ドア風）
-        const doorGeometry = new THREE.PlaneGeometry(3.5, 2.5);
-        const doorMaterial = new THREE.MeshLambertMaterial({ 
-            color: 0x4FC3F7,
-            transparent: true,
-            opacity: 0.3
-        });
-        const door = new THREE.Mesh(doorGeometry, doorMaterial);
-        door.position.set(0, 1.25, -this.storeDepth/2 + 0.01);
-        this.scene.add(door);
-        this.storeObjects.push(door);
+        this.layout.entrances.forEach(entrance => {
+            const placement = this.layout.getEntrancePlacement(entrance);
+            const entranceGroup = new THREE.Group();
 
-        // 入り口看板
-        const signGeometry = new THREE.PlaneGeometry(4, 1);
-        const signMaterial = new THREE.MeshLambertMaterial({ color: 0xFF5722 });
-        const sign = new THREE.Mesh(signGeometry, signMaterial);
-        sign.position.set(0, 3.2, -this.storeDepth/2 + 0.05);
-        this.scene.add(sign);
-        this.storeObjects.push(sign);
+            // 入り口のドア（自動ドア風）
+            const doorGeometry = new THREE.PlaneGeometry(Math.max(0.5, entrance.width - 0.5), 2.5);
+            const doorMaterial = new THREE.MeshLambertMaterial({ 
+                color: 0x4FC3F7,
+                transparent: true,
+                opacity: 0.3
+            });
+            const door = new THREE.Mesh(doorGeometry, doorMaterial);
+            door.position.set(0, 1.25, 0.01);
+            entranceGroup.add(door);
+
+            // 入り口看板（店の外からも中からも読める）
+            const sign = this.textLabels.createDoubleSidedPlane('入口 ENTRANCE', {
+                height: 0.8,
+                maxWidth: entrance.width,
+                background: '#FF5722'
+            });
+            sign.position.set(0, 3.2, 0.05);
+            entranceGroup.add(sign);
+
+            entranceGroup.position.set(placement.x, 0, placement.z);
+            entranceGroup.rotation.y = placement.rotation;
+            this.addToFloor(entranceGroup);
+            this.storeObjects.push(entranceGroup);
+        });
     }
 
     /**
@@ -354,13 +550,9 @@ class SupermarketStore {
      * 蛍光灯を作成
      */
     createFluorescentLights() {
-        const positions = [
-            [-5, -5], [-5, 0], [-5, 5],
-            [0, -5], [0, 0], [0, 5],
-            [5, -5], [5, 0], [5, 5]
-        ];
+        const ceiling = this.layout.walls.height;
 
-        positions.forEach(pos => {
+        this.layout.lights.forEach(light => {
             // 蛍光灯の形状
             const lightGeometry = new THREE.BoxGeometry(3, 0.1, 0.3);
             const lightMaterial = new THREE.MeshLambertMaterial({ 
@@ -368,14 +560,14 @@ class SupermarketStore {
                 emissive: 0x222222
             });
             const lightFixture = new THREE.Mesh(lightGeometry, lightMaterial);
-            lightFixture.position.set(pos[0], 3.8, pos[1]);
-            this.scene.add(lightFixture);
+            lightFixture.position.set(light.x, ceiling - 0.2, light.z);
+            this.addToFloor(lightFixture, light);
             this.storeObjects.push(lightFixture);
 
             // ポイントライト
             const pointLight = new THREE.PointLight(0xffffff, 0.5, 8);
-            pointLight.position.set(pos[0], 3.5, pos[1]);
-            this.scene.add(pointLight);
+            pointLight.position.set(light.x, ceiling - 0.5, light.z);
+            this.addToFloor(pointLight, light);
         });
     }
 
@@ -394,17 +586,10 @@ class SupermarketStore {
      * カート置き場を作成
      */
     createCartArea() {
-        const cartPositions = [
-            { x: -6, z: -9 },
-            { x: -4, z: -9 },
-            { x: 4, z: -9 },
-            { x: 6, z: -9 }
-        ];
-
-        cartPositions.forEach(pos => {
+        this.layout.cartBays.forEach(pos => {
             const cartGroup = new THREE.Group();
             
-            const bodyGeometry = new THREE.BoxGeometry(0.4, 0.3, 0.3);
+            const bodyGeometry = new THREE.BoxGeometry(pos.width, 0.3, pos.depth);
             const bodyMaterial = new THREE.MeshLambertMaterial({ color: 0x666666 });
             const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
             body.position.set(0, 0.15, 0);
@@ -413,11 +598,12 @@ class SupermarketStore {
             const handleGeometry = new THREE.CylinderGeometry(0.02, 0.02, 0.6);
             const handleMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
             const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-            handle.position.set(0, 0.45, -0.15);
+            handle.position.set(0, 0.45, -pos.depth / 2);
             cartGroup.add(handle);
 
             cartGroup.position.set(pos.x, 0, pos.z);
-            this.scene.add(cartGroup);
+            cartGroup.rotation.y = pos.rotation * Math.PI / 180;
+            this.addToFloor(cartGroup, pos);
             this.storeObjects.push(cartGroup);
         });
     }
@@ -426,58 +612,588 @@ class SupermarketStore {
      * 案内表示を作成
      */
     createSignage() {
-        // 通路案内
-        const aisleSign = new THREE.Group();
-        
-        const signGeometry = new THREE.BoxGeometry(0.1, 2, 0.8);
-        const signMaterial = new THREE.MeshLambertMaterial({ color: 0x2196F3 });
-        const signPost = new THREE.Mesh(signGeometry, signMaterial);
-        signPost.position.set(0, 1, 0);
-        aisleSign.add(signPost);
+        this.layout.signage.forEach(definition => {
+            // 通路案内
+            const aisleSign = new THREE.Group();
+            
+            const signGeometry = new THREE.BoxGeometry(0.1, 2, 0.8);
+            const signMaterial = new THREE.MeshLambertMaterial({ color: definition.color });
+            const signPost = new THREE.Mesh(signGeometry, signMaterial);
+            signPost.position.set(0, 1, 0);
+            aisleSign.add(signPost);
+
+            const arrowGeometry = new THREE.ConeGeometry(0.2, 0.5, 3);
+            const arrowMaterial = new THREE.MeshLambertMaterial({ color: 0xFFEB3B });
+            const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial);
+            arrow.position.set(0, 2.2, 0);
+            arrow.rotation.z = -Math.PI / 2;
+            aisleSign.add(arrow);
+
+            aisleSign.position.set(definition.x, 0, definition.z);
+            aisleSign.rotation.y = definition.rotation * Math.PI / 180;
+            this.addToFloor(aisleSign, definition);
+            this.storeObjects.push(aisleSign);
+        });
+    }
+
+    /**
+     * エスカレーター・エレベーターを作成（階をまたぐのでシーンに直接置く）
+     */
+    createConnectors() {
+        this.layout.connectors.forEach(definition => {
+            const group = definition.type === 'elevator'
+                ? this.createElevator(definition)
+                : this.createEscalator(definition);
+            this.scene.add(group);
+            this.storeObjects.push(group);
 
-        const arrowGeometry = new THREE.ConeGeometry(0.2, 0.5, 3);
-        const arrowMaterial = new THREE.MeshLambertMaterial({ color: 0xFFEB3B });
-        const arrow = new THREE.Mesh(arrowGeometry, arrowMaterial);
-        arrow.position.set(0, 2.2, 0);
-        arrow.rotation.z = -Math.PI / 2;
-        aisleSign.add(arrow);
+            this.connectors.push({
+                definition,
+                id: definition.id,
+                type: definition.type,
+                group,
+                car: group.userData.car || null,
+                waiting: [], // 乗り口で待っている人 { rider, board, exit, waitTime }
+                riders: [], // 乗っている人（エスカレーターはelapsedで進み具合を持つ）
+                boardTimer: 0, // エスカレーター: 次の人が乗れるまでの時間
+                carFloor: definition.from.floor, // エレベーター: かごのいる階（移動中は出発した階）
+                carTarget: null,
+                carMoving: false,
+                carElapsed: 0,
+                doorTime: 0,
+                stats: { carried: 0, waitTimes: [] }
+            });
+        });
+    }
+
+    /**
+     * エスカレーター（乗り口から降り口へ、平らな乗降部の間を傾斜させる）
+     */
+    createEscalator(definition) {
+        const { from, to, width } = definition;
+        const rise = this.floors.getElevation(to.floor) - this.floors.getElevation(from.floor);
+        const length = Math.hypot(to.x - from.x, to.z - from.z);
+        const slopeLength = length - LAYOUT_ESCALATOR_LANDING * 2;
+        const slope = Math.hypot(slopeLength, rise);
+        const angle = -Math.atan2(rise, slopeLength);
+
+        // 乗り口を原点に、+zが降り口の向き
+        const group = new THREE.Group();
+        group.position.set(from.x, this.floors.getElevation(from.floor), from.z);
+        group.rotation.y = Math.atan2(to.x - from.x, to.z - from.z);
+
+        const stepsMaterial = new THREE.MeshLambertMaterial({ color: 0x9E9E9E });
+        const steps = new THREE.Mesh(new THREE.BoxGeometry(width, 0.3, slope), stepsMaterial);
+        steps.position.set(0, rise / 2, length / 2);
+        steps.rotation.x = angle;
+        steps.castShadow = true;
+        group.add(steps);
+
+        const plateGeometry = new THREE.BoxGeometry(width, 0.05, LAYOUT_ESCALATOR_LANDING);
+        const plateMaterial = new THREE.MeshLambertMaterial({ color: 0x757575 });
+        [[LAYOUT_ESCALATOR_LANDING / 2, 0], [length - LAYOUT_ESCALATOR_LANDING / 2, rise]].forEach(([z, y]) => {
+            const plate = new THREE.Mesh(plateGeometry, plateMaterial);
+            plate.position.set(0, y + 0.025, z);
+            group.add(plate);
+        });
+
+        // 手すり
+        const railGeometry = new THREE.BoxGeometry(0.08, 0.9, slope);
+        const railMaterial = new THREE.MeshLambertMaterial({ color: 0x212121 });
+        [-1, 1].forEach(side => {
+            const rail = new THREE.Mesh(railGeometry, railMaterial);
+            rail.position.set(side * width / 2, rise / 2 + 0.45, length / 2);
+            rail.rotation.x = angle;
+            group.add(rail);
+        });
+
+        // 乗り口の案内（行き先の階）
+        const floor = this.layout.getFloor(to.floor);
+        const sign = this.textLabels.createDoubleSidedPlane(`エスカレーター ${floor.label}へ`, {
+            height: 0.3,
+            maxWidth: Math.max(1.5, width + 0.5),
+            background: '#00897B'
+        });
+        sign.position.set(0, 2.4, 0);
+        group.add(sign);
+
+        return group;
+    }
+
+    /**
+     * エレベーター（ガラスの昇降路とかご、各階の乗り場に案内）
+     */
+    createElevator(definition) {
+        const { from, to, width } = definition;
+        const elevations = [from, to].map(point => this.floors.getElevation(point.floor));
+        const bottom = Math.min(...elevations);
+        const top = Math.max(...elevations) + this.layout.walls.height;
+
+        const group = new THREE.Group();
+        group.position.set(from.x, 0, from.z);
+
+        const shaftMaterial = new THREE.MeshLambertMaterial({
+            color: 0x90CAF9,
+            transparent: true,
+            opacity: 0.15,
+            depthWrite: false
+        });
+        const shaft = new THREE.Mesh(new THREE.BoxGeometry(width, top - bottom, width), shaftMaterial);
+        shaft.position.set(0, (bottom + top) / 2, 0);
+        group.add(shaft);
+
+        const carMaterial = new THREE.MeshLambertMaterial({ color: 0xB0BEC5, transparent: true, opacity: 0.4 });
+        const car = new THREE.Mesh(new THREE.BoxGeometry(width * 0.9, 2.4, width * 0.9), carMaterial);
+        car.position.set(0, this.floors.getElevation(from.floor) + 1.2, 0);
+        group.add(car);
+        group.userData.car = car;
+
+        [from, to].forEach(point => {
+            const sign = this.textLabels.createSprite('エレベーター', { height: 0.35, background: '#5E35B1' });
+            sign.position.set(0, this.floors.getElevation(point.floor) + 2.8, 0);
+            group.add(sign);
+        });
+
+        return group;
+    }
+
+    /**
+     * レイアウトの接続の定義から運行状態を取得
+     */
+    getConnector(definition) {
+        return this.connectors.find(connector => connector.definition === definition) || null;
+    }
+
+    /**
+     * 乗り口に着いた客・スタッフを乗る人の列に加える
+     * riderは position と moveWithConnector(point)・arriveFromConnector(exit) を持つ
+     */
+    boardConnector(definition, rider, board, exit) {
+        const connector = this.getConnector(definition);
+        if (!connector) return false;
+
+        connector.waiting.push({ rider, board, exit, waitTime: 0, elapsed: 0 });
+        return true;
+    }
+
+    /**
+     * 乗る人の列・乗っている人から外す（退店・退勤時）
+     */
+    leaveConnector(rider) {
+        this.connectors.forEach(connector => {
+            connector.waiting = connector.waiting.filter(entry => entry.rider !== rider);
+            connector.riders = connector.riders.filter(entry => entry.rider !== rider);
+        });
+    }
+
+    /**
+     * 乗り口での待ち時間の見込み（秒）
+     * エスカレーターは並んでいる人数を運べる速さで割り、エレベーターはかごを呼ぶ時間と乗り切れない分の往復を足す
+     */
+    getConnectorWait(definition, board) {
+        const connector = this.getConnector(definition);
+        if (!connector) return 0;
+
+        const { travelTime, capacity } = definition;
+        const waiting = connector.waiting.filter(entry => entry.board.floor === board.floor).length;
+        if (connector.type === 'elevator') {
+            const away = connector.carMoving || connector.carFloor !== board.floor ? travelTime : 0;
+            return away + Math.floor(waiting / capacity) * travelTime * 2;
+        }
+        return waiting * travelTime / capacity;
+    }
+
+    /**
+     * エスカレーター: 前の人と間隔を空けて1人ずつ乗り、乗った順に降り口へ運ぶ
+     */
+    updateEscalator(connector, deltaTime) {
+        const { travelTime, capacity } = connector.definition;
+
+        connector.boardTimer = Math.max(0, connector.boardTimer - deltaTime);
+        if (connector.waiting.length > 0 && connector.boardTimer === 0 && connector.riders.length < capacity) {
+            this.startRide(connector, connector.waiting.shift());
+            connector.boardTimer = travelTime / capacity;
+        }
+
+        const arrived = [];
+        connector.riders = connector.riders.filter(entry => {
+            entry.elapsed += deltaTime;
+            const progress = Math.min(1, entry.elapsed / travelTime);
+            entry.rider.moveWithConnector(this.getEscalatorPosition(connector.definition, progress));
+            if (progress < 1) return true;
+            arrived.push(entry);
+            return false;
+        });
+        arrived.forEach(entry => this.finishRide(connector, entry));
+    }
+
+    /**
+     * エスカレーター上の位置（progressは0-1、乗降部は平ら）
+     */
+    getEscalatorPosition(definition, progress) {
+        const { from, to } = definition;
+        const fromElevation = this.floors.getElevation(from.floor);
+        const rise = this.floors.getElevation(to.floor) - fromElevation;
+        const length = Math.hypot(to.x - from.x, to.z - from.z);
+        const slopeLength = length - LAYOUT_ESCALATOR_LANDING * 2;
+        const climbed = Math.min(1, Math.max(0, (progress * length - LAYOUT_ESCALATOR_LANDING) / slopeLength));
 
-        aisleSign.position.set(-6, 0, 2);
-        this.scene.add(aisleSign);
-        this.storeObjects.push(aisleSign);
+        return {
+            x: from.x + (to.x - from.x) * progress,
+            y: fromElevation + rise * climbed,
+            z: from.z + (to.z - from.z) * progress
+        };
+    }
+
+    /**
+     * エレベーター: かごのいる階で扉を開けて定員まで乗せ、扉が閉まったらもう一方の階へ向かう
+     * 誰も乗らなくても、もう一方の階で待っている人がいれば迎えに行く
+     */
+    updateElevator(connector, deltaTime) {
+        const definition = connector.definition;
+
+        if (connector.carMoving) {
+            connector.carElapsed += deltaTime;
+            const progress = Math.min(1, connector.carElapsed / definition.travelTime);
+            const fromElevation = this.floors.getElevation(connector.carFloor);
+            const elevation = fromElevation + (this.floors.getElevation(connector.carTarget) - fromElevation) * progress;
+            connector.car.position.y = elevation + 1.2;
+
+            connector.riders.forEach(entry => {
+                entry.rider.moveWithConnector({
+                    x: entry.board.x + (entry.exit.x - entry.board.x) * progress,
+                    y: elevation,
+                    z: entry.board.z + (entry.exit.z - entry.board.z) * progress
+                });
+            });
+            if (progress < 1) return;
+
+            connector.carMoving = false;
+            connector.carFloor = connector.carTarget;
+            connector.carTarget = null;
+            connector.doorTime = 0;
+            const arrived = connector.riders;
+            connector.riders = [];
+            arrived.forEach(entry => this.finishRide(connector, entry));
+            return;
+        }
+
+        connector.waiting = connector.waiting.filter(entry => {
+            if (entry.board.floor !== connector.carFloor || connector.riders.length >= definition.capacity) return true;
+            this.startRide(connector, entry);
+            return false;
+        });
+
+        // 扉は乗る人・呼んでいる人がいる間だけ開けておく
+        const called = connector.waiting.some(entry => entry.board.floor !== connector.carFloor);
+        if (connector.riders.length === 0 && !called) {
+            connector.doorTime = 0;
+            return;
+        }
+        connector.doorTime += deltaTime;
+        if (connector.doorTime >= this.parameters.elevatorDoorTime) {
+            const { from, to } = definition;
+            connector.carTarget = connector.carFloor === from.floor ? to.floor : from.floor;
+            connector.carMoving = true;
+            connector.carElapsed = 0;
+        }
+    }
+
+    startRide(connector, entry) {
+        entry.elapsed = 0;
+        connector.riders.push(entry);
+        connector.stats.waitTimes.push(entry.waitTime);
+    }
+
+    finishRide(connector, entry) {
+        connector.stats.carried++;
+        entry.rider.arriveFromConnector(entry.exit);
+    }
+
+    /**
+     * 接続ごとの待っている人数・運んだ人数・乗るまでの待ち時間
+     */
+    getConnectorStats() {
+        return this.connectors.map(connector => ({
+            id: connector.id,
+            type: connector.type,
+            waiting: connector.waiting.length,
+            riding: connector.riders.length,
+            carried: connector.stats.carried,
+            waitTime: this.summarizeWaitTimes(connector.stats.waitTimes)
+        }));
+    }
+
+    /**
+     * 1つの階だけを表示する（nullなら全フロア、エスカレーター・エレベーターはその階に接するものを表示）
+     */
+    setVisibleFloor(floorId = null) {
+        this.visibleFloor = floorId;
+        this.floorGroups.forEach((group, id) => {
+            group.visible = floorId === null || id === floorId;
+        });
+        this.connectors.forEach(connector => {
+            const { from, to } = connector.definition;
+            connector.group.visible = floorId === null || from.floor === floorId || to.floor === floorId;
+        });
+    }
+
+    /**
+     * 階が表示されているか
+     */
+    isFloorVisible(floorId) {
+        return this.visibleFloor === null || floorId === this.visibleFloor;
     }
 
     /**
      * パスファインディング用の障害物を設定
      */
     setupPathfinding() {
-        // 壁
-        this.pathFinder.setRectangleObstacle(0, 0, 40, 2); // 上壁
-        this.pathFinder.setRectangleObstacle(0, 38, 40, 2); // 下壁
-        this.pathFinder.setRectangleObstacle(0, 0, 2, 40); // 左壁
-        this.pathFinder.setRectangleObstacle(38, 0, 2, 40); // 右壁
+        // 階ごとの壁・棚・レジ・カート置き場・エスカレーター（レイアウトの検証と同じ方法でグリッドに反映）
+        // レイアウト編集後の再設定でも1回の変更として通知されるようまとめて更新する
+        this.floors.getFloorIds().forEach(floor => {
+            const pathFinder = this.floors.getPathFinder(floor);
+            pathFinder.batchChanges(() => {
+                pathFinder.clearObstacles();
+                this.layout.applyObstacles(pathFinder, null, floor);
+            });
+        });
 
-        // 棚の障害物
+        // 床の移動コスト
+        Object.keys(this.costZones).forEach(layer => this.applyFloorCost(layer));
+
+        // 棚の配置が変わると商品を取る位置も変わる
         this.shelves.forEach(shelf => {
-            const gridPos = this.pathFinder.worldToGrid(shelf.position.x, shelf.position.z);
-            const gridWidth = Math.ceil(shelf.width / this.pathFinder.cellSize);
-            const gridDepth = Math.ceil(shelf.depth / this.pathFinder.cellSize);
-            
-            this.pathFinder.setRectangleObstacle(
-                gridPos.x - Math.floor(gridWidth/2),
-                gridPos.y - Math.floor(gridDepth/2),
-                gridWidth,
-                gridDepth
-            );
+            shelf.accessPoint = this.findAccessPoint(shelf);
         });
 
-        // レジカウンターの障害物
+        // レジが動かされた場合は並んでいる客も新しい位置に並び直す
         this.checkouts.forEach(checkout => {
-            const gridPos = this.pathFinder.worldToGrid(checkout.position.x, checkout.position.z);
-            this.pathFinder.setRectangleObstacle(gridPos.x - 1, gridPos.y - 1, 3, 2);
+            checkout.queueSlots = this.findQueueSlots(checkout);
+            checkout.queue.forEach((agent, index) => agent.moveToQueueSlot(index));
+        });
+    }
+
+    /**
+     * レジの前に並ぶ位置（会計する場所の後ろから通路へ向かって一列、歩けない位置の手前まで）
+     */
+    findQueueSlots(checkout) {
+        const approach = checkout.approach;
+        const angle = (checkout.definition.rotation || 0) * Math.PI / 180;
+        const slots = [];
+
+        for (let i = 0; i < this.parameters.maxQueueSlots; i++) {
+            const distance = this.parameters.queueSpacing * (i + 1);
+            const slot = {
+                x: approach.x + Math.sin(angle) * distance,
+                z: approach.z + Math.cos(angle) * distance
+            };
+            const pathFinder = this.floors.getPathFinder(checkout.floor);
+            const cell = pathFinder.worldToGrid(slot.x, slot.z);
+            if (!pathFinder.isWalkable(cell.x, cell.y)) break;
+            slots.push({ ...slot, floor: checkout.floor });
+        }
+        return slots;
+    }
+
+    /**
+     * 棚の商品を取る位置（棚の中心に最も近い歩行可能セルの中心）
+     */
+    findAccessPoint(shelf) {
+        const pathFinder = this.floors.getPathFinder(shelf.floor);
+        const cell = pathFinder.worldToGrid(shelf.position.x, shelf.position.z);
+        const index = pathFinder.findNearestWalkable(cell.x, cell.y);
+        if (index === -1) return null;
+
+        const corner = pathFinder.gridToWorld(index % pathFinder.gridWidth, Math.floor(index / pathFinder.gridWidth));
+        return {
+            x: corner.x + pathFinder.cellSize / 2,
+            z: corner.z + pathFinder.cellSize / 2,
+            floor: shelf.floor
+        };
+    }
+
+    /**
+     * 棚を追加（レイアウトにも追加される）
+     */
+    addShelf(definition) {
+        this.layout.shelves.push(definition);
+        this.createShelf(definition);
+        return this.shelves[this.shelves.length - 1];
+    }
+
+    /**
+     * レジカウンターを追加（レイアウトにも追加される）
+     */
+    addCheckout(definition) {
+        this.layout.checkouts.push(definition);
+        this.createCheckout(definition);
+        return this.checkouts[this.checkouts.length - 1];
+    }
+
+    /**
+     * 棚・レジの位置と向きをレイアウトの定義に合わせる
+     */
+    updateFixture(fixture) {
+        const definition = fixture.definition;
+        fixture.group.position.set(definition.x, 0, definition.z);
+        fixture.group.rotation.y = definition.rotation * Math.PI / 180;
+        fixture.position = { x: definition.x, z: definition.z };
+        
+        if (this.checkouts.includes(fixture)) {
+            fixture.approach = this.layout.getCheckoutApproach(definition);
+            this.updateStationPositions(fixture);
+        } else {
+            fixture.rotation = definition.rotation;
+        }
+    }
+
+    /**
+     * 棚・レジを撤去（レイアウトからも削除される）
+     */
+    removeFixture(fixture) {
+        const isCheckout = this.checkouts.includes(fixture);
+        const fixtures = isCheckout ? this.checkouts : this.shelves;
+        const definitions = isCheckout ? this.layout.checkouts : this.layout.shelves;
+        if (!fixtures.includes(fixture)) return false;
+
+        fixtures.splice(fixtures.indexOf(fixture), 1);
+        definitions.splice(definitions.indexOf(fixture.definition), 1);
+        this.storeObjects.splice(this.storeObjects.indexOf(fixture.group), 1);
+        
+        fixture.group.parent.remove(fixture.group);
+        fixture.group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        return true;
+    }
+
+    /**
+     * 床の移動コストレイヤーを設定（例: 濡れた床を { x, z, width, depth, cost: 3 } で登録）
+     * ゾーンはfloorで階を指定する（省略時は最初の階）
+     */
+    setFloorCost(layer, zones) {
+        this.costZones[layer] = zones;
+        this.applyFloorCost(layer);
+    }
+
+    /**
+     * コストレイヤーのゾーンを階ごとのグリッドに反映
+     */
+    applyFloorCost(layer) {
+        const zones = this.costZones[layer];
+        this.floors.getFloorIds().forEach(floor => {
+            this.floors.getPathFinder(floor).setCostLayer(layer, zones.filter(zone => this.layout.getFloorOf(zone) === floor));
         });
     }
 
+    /**
+     * 床の移動コストレイヤーを削除
+     */
+    clearFloorCost(layer) {
+        delete this.costZones[layer];
+        this.floors.getFloorIds().forEach(floor => this.floors.getPathFinder(floor).removeCostLayer(layer));
+    }
+
+    /**
+     * 一時的な障害物を配置（補充カート・清掃コーン・通路封鎖）
+     * positionのfloorで階を指定する（省略時は最初の階）
+     * 戻り値のIDでremoveTemporaryObstacleから撤去できる
+     */
+    addTemporaryObstacle(type, position) {
+        const sizes = {
+            cart: { width: 1, depth: 2 },
+            spill: { width: 1.5, depth: 1.5 },
+            closedAisle: { width: 4, depth: 1 }
+        };
+        const size = sizes[type];
+        if (!size) {
+            throw new Error(`Unknown obstacle type: ${type}`);
+        }
+
+        const group = new THREE.Group();
+        
+        if (type === 'cart') {
+            // 補充用の台車
+            const deckGeometry = new THREE.BoxGeometry(size.width, 0.1, size.depth);
+            const deckMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
+            const deck = new THREE.Mesh(deckGeometry, deckMaterial);
+            deck.position.set(0, 0.2, 0);
+            group.add(deck);
+
+            const boxGeometry = new THREE.BoxGeometry(size.width * 0.8, 0.8, size.depth * 0.7);
+            const boxMaterial = new THREE.MeshLambertMaterial({ color: 0xC8A165 });
+            const boxes = new THREE.Mesh(boxGeometry, boxMaterial);
+            boxes.position.set(0, 0.65, 0);
+            boxes.castShadow = true;
+            group.add(boxes);
+        } else if (type === 'spill') {
+            // 濡れた床と注意コーン
+            const puddleGeometry = new THREE.CircleGeometry(size.width / 2, 16);
+            const puddleMaterial = new THREE.MeshLambertMaterial({
+                color: 0x81D4FA,
+                transparent: true,
+                opacity: 0.6
+            });
+            const puddle = new THREE.Mesh(puddleGeometry, puddleMaterial);
+            puddle.rotation.x = -Math.PI / 2;
+            puddle.position.set(0, 0.02, 0);
+            group.add(puddle);
+
+            const coneGeometry = new THREE.ConeGeometry(0.2, 0.6, 8);
+            const coneMaterial = new THREE.MeshLambertMaterial({ color: 0xFFC107 });
+            const cone = new THREE.Mesh(coneGeometry, coneMaterial);
+            cone.position.set(0, 0.3, 0);
+            cone.castShadow = true;
+            group.add(cone);
+        } else {
+            // 通路封鎖のバリア
+            const barrierGeometry = new THREE.BoxGeometry(size.width, 0.9, 0.1);
+            const barrierMaterial = new THREE.MeshLambertMaterial({ color: 0xF44336 });
+            const barrier = new THREE.Mesh(barrierGeometry, barrierMaterial);
+            barrier.position.set(0, 0.45, 0);
+            barrier.castShadow = true;
+            group.add(barrier);
+        }
+
+        group.position.set(position.x, 0, position.z);
+        this.addToFloor(group, position);
+
+        const id = `${type}-${this.nextObstacleId++}`;
+        const rect = { x: position.x, z: position.z, width: size.width, depth: size.depth };
+        const floor = this.layout.getFloorOf(position);
+        this.temporaryObstacles.set(id, { type, group, rect, floor });
+        this.floors.getPathFinder(floor).addDynamicObstacle(id, rect);
+        
+        return id;
+    }
+
+    /**
+     * 一時的な障害物を撤去
+     */
+    removeTemporaryObstacle(id) {
+        const obstacle = this.temporaryObstacles.get(id);
+        if (!obstacle) return false;
+
+        obstacle.group.parent.remove(obstacle.group);
+        obstacle.group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this.temporaryObstacles.delete(id);
+        this.floors.getPathFinder(obstacle.floor).removeDynamicObstacle(id);
+        
+        return true;
+    }
+
+    /**
+     * 全ての一時的な障害物を撤去
+     */
+    clearTemporaryObstacles() {
+        Array.from(this.temporaryObstacles.keys()).forEach(id => this.removeTemporaryObstacle(id));
+    }
+
     /**
      * 店舗オブジェクトを取得
      */
@@ -492,6 +1208,484 @@ class SupermarketStore {
         return this.shelves;
     }
 
+    /**
+     * IDから棚を取得（撤去された棚はnull）
+     */
+    getShelf(id) {
+        return this.shelves.find(shelf => shelf.id === id) || null;
+    }
+
+    /**
+     * 棚の商品を取る位置を取得
+     */
+    getShelfAccessPoint(id) {
+        const shelf = this.getShelf(id);
+        return shelf ? shelf.accessPoint : null;
+    }
+
+    /**
+     * 商品が店内で売られているか（陳列する棚があり、そこに行けるか）
+     */
+    isOnSale(product) {
+        const shelf = this.getShelf(product.shelf);
+        return !!(shelf && shelf.accessPoint && shelf.inventory.has(product.sku));
+    }
+
+    /**
+     * レジを開ける・閉める（開いている間はserviceRateで会計する）
+     */
+    setCheckoutOpen(checkout, open, serviceRate = 0) {
+        checkout.open = open;
+        checkout.serviceRate = open ? serviceRate : 0;
+        checkout.stations.forEach(station => this.updateStationScreen(checkout, station));
+    }
+
+    /**
+     * 画面の色（閉まっていれば赤、店員の対応待ちは橙、開いていれば緑）
+     */
+    updateStationScreen(checkout, station) {
+        const color = !checkout.open ? 0xff3333 : station.assistance ? 0xFFA000 : 0x00ff00;
+        station.screen.material.color.setHex(color);
+    }
+
+    /**
+     * 開いているレジ
+     */
+    getOpenCheckouts() {
+        return this.checkouts.filter(checkout => checkout.open);
+    }
+
+    /**
+     * 客が並べるレーン（開いていて並ぶ位置に空きがあり、商品数が点数制限以内）
+     */
+    getAvailableLanes(itemCount = 0) {
+        return this.getOpenCheckouts().filter(checkout =>
+            checkout.queue.length < checkout.queueSlots.length && itemCount <= checkout.itemLimit
+        );
+    }
+
+    /**
+     * 行列のindex番目の位置（並ぶ位置が減った場合は最後尾）
+     */
+    getQueueSlot(checkout, index) {
+        const slots = checkout.queueSlots;
+        return slots[Math.min(index, slots.length - 1)] || checkout.approach;
+    }
+
+    /**
+     * 商品数に応じた会計時間（秒、セルフレジの店員対応は含まない）
+     */
+    getServiceTime(checkout, itemCount) {
+        if (checkout.type === 'self') {
+            return this.parameters.selfPaymentTime + itemCount / this.parameters.selfScanRate;
+        }
+        const rate = checkout.serviceRate || this.layout.staffing.serviceRate;
+        return this.parameters.paymentTime + itemCount / rate;
+    }
+
+    /**
+     * 会計時間の見込み（セルフレジは店員対応の待ちの期待値を足す）
+     */
+    getExpectedServiceTime(checkout, itemCount) {
+        const assistance = checkout.type === 'self'
+            ? this.parameters.assistanceProbability * this.parameters.assistanceDelay
+            : 0;
+        return this.getServiceTime(checkout, itemCount) + assistance;
+    }
+
+    /**
+     * レーンの予想待ち時間（会計中の残り時間と並んでいる客の会計時間を会計する場所の数で割る）
+     * positionを指定すると行列のその位置の客の待ち時間（前に並んでいる客だけ数える）
+     */
+    getExpectedWait(checkout, position = checkout.queue.length) {
+        const inService = checkout.stations.reduce((total, station) => {
+            const agent = station.customer;
+            return agent ? total + Math.max(0, agent.serviceTime - agent.waitTime) : total;
+        }, 0);
+        const queued = checkout.queue.slice(0, position).reduce((total, agent) =>
+            total + this.getExpectedServiceTime(checkout, agent.cart.length), 0);
+        return (inService + queued) / checkout.stations.length;
+    }
+
+    /**
+     * 行列の最後尾に並ぶ
+     */
+    joinQueue(checkout, agent) {
+        checkout.queue.push(agent);
+        return checkout.queue.length - 1;
+    }
+
+    /**
+     * 行列から抜ける（後ろの客は1つずつ前に詰める）
+     */
+    leaveQueue(checkout, agent) {
+        const index = checkout.queue.indexOf(agent);
+        if (index === -1) return;
+
+        checkout.queue.splice(index, 1);
+        for (let i = index; i < checkout.queue.length; i++) {
+            checkout.queue[i].moveToQueueSlot(i);
+        }
+    }
+
+    /**
+     * 行列の先頭の客を空いている会計場所に入れる（空きがなければnull）
+     * セルフレジはときどき店員の対応が必要になり、その分会計が長くなる
+     */
+    startService(checkout, agent, waitTime) {
+        const station = checkout.stations.find(candidate => !candidate.customer);
+        if (!station || checkout.queue[0] !== agent) return null;
+
+        this.leaveQueue(checkout, agent);
+        station.customer = agent;
+
+        let serviceTime = this.getServiceTime(checkout, agent.cart.length);
+        if (checkout.type === 'self' && Math.random() < this.parameters.assistanceProbability) {
+            serviceTime += this.parameters.assistanceDelay;
+            station.assistance = true;
+            checkout.stats.assistanceCalls++;
+            this.updateStationScreen(checkout, station);
+        }
+
+        this.recordService(checkout, waitTime, serviceTime);
+        return { station, serviceTime };
+    }
+
+    /**
+     * 会計が終わった客を会計場所から出す
+     */
+    finishService(checkout, agent) {
+        const station = checkout.stations.find(candidate => candidate.customer === agent);
+        if (!station) return;
+
+        station.customer = null;
+        station.assistance = false;
+        this.updateStationScreen(checkout, station);
+    }
+
+    /**
+     * 会計を記録（待ち時間は並び始めてから会計が始まるまで）
+     */
+    recordService(checkout, waitTime, serviceTime) {
+        checkout.stats.served++;
+        checkout.stats.waitTimes.push(waitTime);
+        checkout.stats.serviceTimes.push(serviceTime);
+    }
+
+    /**
+     * 並ばずに帰った・並んでから抜けて帰った・ほかのレーンへ移った客を記録
+     * kind: balked / reneged / jockeyed
+     */
+    recordQueueExit(checkout, kind) {
+        checkout.stats[kind]++;
+    }
+
+    createLaneStats() {
+        return {
+            served: 0, openTime: 0, waitTimes: [], serviceTimes: [], assistanceCalls: 0,
+            balked: 0, reneged: 0, jockeyed: 0
+        };
+    }
+
+    /**
+     * 時間（秒）の件数・平均・分位点
+     */
+    summarizeTimes(values) {
+        if (values.length === 0) {
+            return { count: 0, mean: 0, median: 0, p90: 0, max: 0 };
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const quantile = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+        return {
+            count: sorted.length,
+            mean: sorted.reduce((total, value) => total + value, 0) / sorted.length,
+            median: quantile(0.5),
+            p90: quantile(0.9),
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    /**
+     * 待ち時間の分布（平均・分位点とヒストグラム）
+     */
+    summarizeWaitTimes(waitTimes) {
+        return this.summarizeDistribution(waitTimes, [0, 30, 60, 120, 300, Infinity]);
+    }
+
+    /**
+     * 時間（秒）の平均・分位点とedges（秒）で区切ったヒストグラム
+     */
+    summarizeDistribution(values, edges) {
+        const histogram = edges.slice(0, -1).map((from, index) => ({
+            from,
+            to: edges[index + 1],
+            count: values.filter(time => time >= from && time < edges[index + 1]).length
+        }));
+        return { ...this.summarizeTimes(values), histogram };
+    }
+
+    /**
+     * レーンごとの処理件数・待ち時間の分布
+     * throughputは開いていた1分あたりの会計人数
+     */
+    getLaneStats() {
+        return this.checkouts.map(checkout => {
+            const { served, openTime, waitTimes, serviceTimes, assistanceCalls, balked, reneged, jockeyed } = checkout.stats;
+            return {
+                number: checkout.number,
+                type: checkout.type,
+                stations: checkout.stations.length,
+                open: checkout.open,
+                queueLength: checkout.queue.length,
+                served,
+                throughput: openTime > 0 ? served / (openTime / 60) : 0,
+                waitTime: this.summarizeWaitTimes(waitTimes),
+                serviceTime: this.summarizeTimes(serviceTimes),
+                assistanceCalls,
+                balked,
+                reneged,
+                jockeyed
+            };
+        });
+    }
+
+    /**
+     * レジの種類ごとの集計（レジ構成の違うレイアウトを比べる）
+     */
+    getCheckoutTypeStats() {
+        const byType = {};
+        this.checkouts.forEach(checkout => {
+            const stats = byType[checkout.type] || (byType[checkout.type] = {
+                lanes: 0, stations: 0, served: 0, waitTimes: [], serviceTimes: [], assistanceCalls: 0,
+                balked: 0, reneged: 0, jockeyed: 0
+            });
+            stats.lanes++;
+            stats.stations += checkout.stations.length;
+            stats.served += checkout.stats.served;
+            stats.waitTimes.push(...checkout.stats.waitTimes);
+            stats.serviceTimes.push(...checkout.stats.serviceTimes);
+            stats.assistanceCalls += checkout.stats.assistanceCalls;
+            stats.balked += checkout.stats.balked;
+            stats.reneged += checkout.stats.reneged;
+            stats.jockeyed += checkout.stats.jockeyed;
+        });
+
+        Object.values(byType).forEach(stats => {
+            stats.waitTime = this.summarizeWaitTimes(stats.waitTimes);
+            stats.serviceTime = this.summarizeTimes(stats.serviceTimes);
+            delete stats.waitTimes;
+            delete stats.serviceTimes;
+        });
+        return byType;
+    }
+
+    /**
+     * 全レーンの平均待ち時間（秒）
+     */
+    getAverageWaitTime() {
+        const waitTimes = this.checkouts.flatMap(checkout => checkout.stats.waitTimes);
+        return waitTimes.length > 0 ? waitTimes.reduce((total, time) => total + time, 0) / waitTimes.length : 0;
+    }
+
+    /**
+     * 行列と集計を空にする
+     */
+    resetCheckouts() {
+        this.checkouts.forEach(checkout => {
+            checkout.queue = [];
+            checkout.stats = this.createLaneStats();
+            checkout.stations.forEach(station => {
+                station.customer = null;
+                station.assistance = false;
+                this.updateStationScreen(checkout, station);
+            });
+        });
+    }
+
+    /**
+     * 更新処理（レーンが開いていた時間を数え、エスカレーター・エレベーターで客を運ぶ）
+     */
+    update(deltaTime, simulationSpeed = 1) {
+        const scaledDelta = deltaTime * simulationSpeed;
+        this.getOpenCheckouts().forEach(checkout => {
+            checkout.stats.openTime += scaledDelta;
+        });
+        this.connectors.forEach(connector => {
+            connector.waiting.forEach(entry => {
+                entry.waitTime += scaledDelta;
+            });
+            if (connector.type === 'elevator') {
+                this.updateElevator(connector, scaledDelta);
+            } else {
+                this.updateEscalator(connector, scaledDelta);
+            }
+        });
+    }
+
+    /**
+     * 商品の在庫数（売られていなければ0）
+     */
+    getStock(product) {
+        const shelf = this.getShelf(product.shelf);
+        const stocked = shelf && shelf.inventory.get(product.sku);
+        return stocked ? stocked.stock : 0;
+    }
+
+    /**
+     * 棚から商品を1つ取る（品切れならnull）
+     */
+    takeProduct(shelfId, sku) {
+        const shelf = this.getShelf(shelfId);
+        const stocked = shelf && shelf.inventory.get(sku);
+        if (!stocked || stocked.stock === 0) return null;
+
+        stocked.stock--;
+        this.updateShelfDisplay(stocked);
+        return stocked;
+    }
+
+    /**
+     * 在庫の割合に合わせて棚の箱を表示する
+     */
+    updateShelfDisplay(stocked) {
+        const visible = stocked.capacity > 0 ? Math.ceil(stocked.boxes.length * stocked.stock / stocked.capacity) : 0;
+        stocked.boxes.forEach((box, index) => {
+            box.visible = index < visible;
+        });
+    }
+
+    /**
+     * 位置から棚の前を通ったとみなす距離にある同じ階の棚
+     */
+    getShelvesNear(position, floor) {
+        const distance = this.parameters.exposureDistance;
+        return this.shelves.filter(shelf => {
+            if (shelf.floor !== floor) return false;
+            const rect = this.layout.getFootprint(shelf.definition);
+            const dx = Math.max(0, Math.abs(position.x - rect.x) - rect.width / 2);
+            const dz = Math.max(0, Math.abs(position.z - rect.z) - rect.depth / 2);
+            return Math.hypot(dx, dz) <= distance;
+        });
+    }
+
+    /**
+     * 会計した商品をカテゴリーごとに記録（unplannedの商品は棚の前で目に留まって買った商品）
+     */
+    recordPurchase(items) {
+        items.forEach(item => {
+            let mix = this.purchases.get(item.category);
+            if (!mix) {
+                mix = { planned: { items: 0, sales: 0 }, unplanned: { items: 0, sales: 0 } };
+                this.purchases.set(item.category, mix);
+            }
+            const kind = item.unplanned ? mix.unplanned : mix.planned;
+            kind.items++;
+            kind.sales += item.price;
+        });
+    }
+
+    /**
+     * カテゴリーごとの予定していた商品・予定になかった商品の点数と売上、売上に占める予定外の割合
+     */
+    getPurchaseMix() {
+        const mix = {};
+        this.purchases.forEach(({ planned, unplanned }, category) => {
+            const sales = planned.sales + unplanned.sales;
+            mix[category] = {
+                planned: { ...planned },
+                unplanned: { ...unplanned },
+                unplannedShare: sales > 0 ? unplanned.sales / sales : 0
+            };
+        });
+        return mix;
+    }
+
+    /**
+     * 販売の記録を空にする
+     */
+    resetPurchases() {
+        this.purchases.clear();
+    }
+
+    /**
+     * 店を出た客の来店時間（秒）を客層ごとに記録
+     * outOfTime: 来店時間の予算を使い切って残りの買い物をあきらめたか
+     */
+    recordVisit(segment, dwellTime, timeBudget, outOfTime) {
+        let visits = this.visits.get(segment);
+        if (!visits) {
+            visits = { dwellTimes: [], budgetUsage: [], outOfTime: 0 };
+            this.visits.set(segment, visits);
+        }
+        visits.dwellTimes.push(dwellTime);
+        visits.budgetUsage.push(dwellTime / timeBudget);
+        if (outOfTime) visits.outOfTime++;
+    }
+
+    /**
+     * 客層ごとの来店時間の分布（平均・分位点とヒストグラム）
+     * budgetUsageは予算に対する来店時間の割合の平均、outOfTimeは予算を使い切った客数
+     */
+    getDwellTimeStats() {
+        const stats = {};
+        this.visits.forEach((visits, segment) => {
+            stats[segment] = {
+                dwellTime: this.summarizeDistribution(visits.dwellTimes, [0, 60, 120, 180, 300, Infinity]),
+                budgetUsage: this.summarizeTimes(visits.budgetUsage).mean,
+                outOfTime: visits.outOfTime
+            };
+        });
+        return stats;
+    }
+
+    /**
+     * 来店時間の記録を空にする
+     */
+    resetVisits() {
+        this.visits.clear();
+    }
+
+    /**
+     * 品切れ商品の代わりになる同じカテゴリーの商品（同じ棚にあるものを優先、なければnull）
+     */
+    findSubstitute(product) {
+        if (!this.catalog) return null;
+
+        const candidates = this.catalog.getProductsInCategory(product.category).filter(candidate =>
+            candidate.sku !== product.sku && this.isOnSale(candidate) && this.getStock(candidate) > 0
+        );
+        const sameShelf = candidates.filter(candidate => candidate.shelf === product.shelf);
+        const choices = sameShelf.length > 0 ? sameShelf : candidates;
+        return choices.length > 0 ? choices[Math.floor(Math.random() * choices.length)] : null;
+    }
+
+    /**
+     * 棚の在庫をすべて補充する（補充した商品数を返す）
+     */
+    restockShelf(shelf) {
+        let restocked = 0;
+        shelf.inventory.forEach(stocked => {
+            restocked += stocked.capacity - stocked.stock;
+            stocked.stock = stocked.capacity;
+            this.updateShelfDisplay(stocked);
+        });
+        return restocked;
+    }
+
+    /**
+     * すべての棚を開店時の在庫に戻す
+     */
+    resetInventory() {
+        this.shelves.forEach(shelf => this.restockShelf(shelf));
+    }
+
+    /**
+     * 入口・レジエリア・出口
+     */
+    getStorePoints() {
+        return this.layout.getStorePoints();
+    }
+
     /**
      * レジ情報を取得
      */
@@ -503,13 +1697,18 @@ class SupermarketStore {
      * 店舗を削除
      */
     dispose() {
+        this.clearTemporaryObstacles();
         this.storeObjects.forEach(obj => {
             if (obj.geometry) obj.geometry.dispose();
             if (obj.material) obj.material.dispose();
-            this.scene.remove(obj);
+            if (obj.parent) obj.parent.remove(obj);
         });
+        this.floorGroups.forEach(group => this.scene.remove(group));
+        this.floorGroups.clear();
         this.storeObjects = [];
         this.shelves = [];
         this.checkouts = [];
+        this.connectors = [];
+        this.textLabels.dispose();
     }
 }
\ No newline at end of file
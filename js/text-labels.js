@@ -0,0 +1,147 @@
+/**
+ * 文字のラベル
+ * 日本語・英語の文字をcanvasに描いてテクスチャにし、看板の板やスプライトとして使う
+ * 同じ文字・スタイルのテクスチャは描き直さずに使い回す
+ */
+
+class TextLabelRenderer {
+    constructor(options = {}) {
+        this.parameters = {
+            fontFamily: '"Hiragino Kaku Gothic ProN", "Noto Sans JP", "Yu Gothic", "Meiryo", sans-serif',
+            fontSize: 64, // canvasに描く文字の大きさ（px）
+            padding: 0.3, // 文字の周りの余白（文字の大きさに対する割合）
+            lineHeight: 1.2,
+            maxTextureWidth: 2048,
+            ...options
+        };
+
+        // 文字とスタイルごとのテクスチャ { texture, aspect }
+        // 板のマテリアルは設置物と一緒に破棄されるが、テクスチャはdisposeまで残す
+        this.textures = new Map();
+    }
+
+    /**
+     * 文字を描いたテクスチャ（aspectは幅/高さ）
+     * style: color（文字色、省略時は背景に合わせて白か黒）・background（省略時は透明）・border・fontWeight
+     */
+    getTexture(text, style = {}) {
+        const resolved = {
+            background: style.background || null,
+            color: style.color || this.getContrastColor(style.background),
+            border: style.border || null,
+            fontWeight: style.fontWeight || 'bold'
+        };
+        const key = JSON.stringify([String(text), resolved]);
+
+        let entry = this.textures.get(key);
+        if (!entry) {
+            entry = this.drawTexture(String(text), resolved);
+            this.textures.set(key, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * canvasに文字を描く（改行で複数行）
+     */
+    drawTexture(text, style) {
+        const { fontFamily, fontSize, padding, lineHeight, maxTextureWidth } = this.parameters;
+        const lines = text.split('\n');
+        const font = `${style.fontWeight} ${fontSize}px ${fontFamily}`;
+        const margin = fontSize * padding;
+        const lineSpacing = fontSize * lineHeight;
+
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        context.font = font;
+        const textWidth = Math.max(...lines.map(line => context.measureText(line).width));
+        canvas.width = Math.min(maxTextureWidth, Math.ceil(textWidth + margin * 2));
+        canvas.height = Math.ceil(lineSpacing * lines.length + margin * 2);
+
+        // canvasの大きさを変えると描画の設定が消えるので、ここから設定する
+        if (style.background) {
+            context.fillStyle = style.background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        if (style.border) {
+            const borderWidth = margin / 3;
+            context.strokeStyle = style.border;
+            context.lineWidth = borderWidth;
+            context.strokeRect(borderWidth / 2, borderWidth / 2, canvas.width - borderWidth, canvas.height - borderWidth);
+        }
+        context.font = font;
+        context.fillStyle = style.color;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        lines.forEach((line, index) => {
+            context.fillText(line, canvas.width / 2, margin + lineSpacing * (index + 0.5), canvas.width - margin * 2);
+        });
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.minFilter = THREE.LinearFilter; // 2のべき乗でない大きさでもミップマップを作らない
+        return { texture, aspect: canvas.width / canvas.height };
+    }
+
+    /**
+     * 背景色の上で読みやすい文字色（明るい背景には黒、暗い背景・透明には白）
+     */
+    getContrastColor(background) {
+        if (!background) return '#ffffff';
+        const color = new THREE.Color(background);
+        const luminance = 0.299 * color.r + 0.587 * color.g + 0.114 * color.b;
+        return luminance > 0.6 ? '#212121' : '#ffffff';
+    }
+
+    /**
+     * 文字の板（高さheight m、幅は文字の長さに合わせ、maxWidthを超える場合は全体を縮める）
+     * 照明の影響を受けないので暗い場所でも読める
+     */
+    createPlane(text, { height = 0.3, maxWidth = Infinity, ...style } = {}) {
+        const { texture, aspect } = this.getTexture(text, style);
+        let width = height * aspect;
+        if (width > maxWidth) {
+            height *= maxWidth / width;
+            width = maxWidth;
+        }
+
+        const geometry = new THREE.PlaneGeometry(width, height);
+        const material = new THREE.MeshBasicMaterial({ map: texture, transparent: !style.background });
+        const plane = new THREE.Mesh(geometry, material);
+        plane.userData.label = text;
+        return plane;
+    }
+
+    /**
+     * 表裏どちらからも読める文字の板（2枚を背中合わせにする）
+     */
+    createDoubleSidedPlane(text, options = {}) {
+        const group = new THREE.Group();
+        [0, Math.PI].forEach(angle => {
+            const plane = this.createPlane(text, options);
+            plane.rotation.y = angle;
+            plane.position.z = angle === 0 ? 0.005 : -0.005;
+            group.add(plane);
+        });
+        group.userData.label = text;
+        return group;
+    }
+
+    /**
+     * 常にカメラを向く文字のスプライト（高さheight m）
+     */
+    createSprite(text, { height = 0.3, ...style } = {}) {
+        const { texture, aspect } = this.getTexture(text, style);
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthWrite: false }));
+        sprite.scale.set(height * aspect, height, 1);
+        sprite.userData.label = text;
+        return sprite;
+    }
+
+    /**
+     * キャッシュしたテクスチャを破棄
+     */
+    dispose() {
+        this.textures.forEach(entry => entry.texture.dispose());
+        this.textures.clear();
+    }
+}